@@ -0,0 +1,268 @@
+// 管理页面：登录管理员账号后查看玩家、封禁、错误和反作弊记录，并执行踢人、封禁（玩家ID或IP）、收回球杆、重置球台和发公告
+// 页面只调用 /api/auth/login 和 /api/admin 接口，令牌保存在 sessionStorage 中
+function renderAdminPage() {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>台球服务器管理</title>
+<style>
+    body { font-family: sans-serif; margin: 20px; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 24px; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+    th { background: #f0f0f0; }
+    .flagged { background: #fde2e2; }
+    .hidden { display: none; }
+    #status { color: #b00; margin: 8px 0; }
+    button { margin-right: 4px; }
+</style>
+</head>
+<body>
+<h1>台球服务器管理</h1>
+<div id="status"></div>
+
+<form id="login">
+    <input id="username" placeholder="管理员账号" required>
+    <input id="password" type="password" placeholder="密码" required>
+    <button type="submit">登录</button>
+</form>
+
+<div id="panel" class="hidden">
+    <button id="refresh">刷新</button>
+    <button id="logout">退出</button>
+
+    <h2>公告</h2>
+    <input id="announceRoom" placeholder="房间ID（留空发送到所有房间）">
+    <input id="announceMessage" placeholder="公告内容" size="50">
+    <button id="announce">发送</button>
+
+    <h2>玩家和观众</h2>
+    <table>
+        <thead><tr><th>ID</th><th>身份</th><th>房间</th><th>地址</th><th>在线</th><th>持杆</th><th>登录</th><th>最后心跳</th><th>操作</th></tr></thead>
+        <tbody id="players"></tbody>
+    </table>
+
+    <h2>封禁名单</h2>
+    <table>
+        <thead><tr><th>ID</th><th>原因</th><th>操作人</th><th>封禁时间</th><th>到期时间</th><th>操作</th></tr></thead>
+        <tbody id="bans"></tbody>
+    </table>
+
+    <h2>IP封禁名单</h2>
+    <input id="banAddress" placeholder="IP">
+    <input id="banAddressReason" placeholder="原因">
+    <input id="banAddressMinutes" placeholder="时长（分钟，留空为永久）">
+    <button id="banAddressButton">封禁IP</button>
+    <table>
+        <thead><tr><th>IP</th><th>原因</th><th>操作人</th><th>封禁时间</th><th>到期时间</th><th>操作</th></tr></thead>
+        <tbody id="addressBans"></tbody>
+    </table>
+
+    <h2>反作弊标记</h2>
+    <table>
+        <thead><tr><th>ID</th><th>详情</th></tr></thead>
+        <tbody id="flagged"></tbody>
+    </table>
+
+    <h2>最近的错误</h2>
+    <table>
+        <thead><tr><th>时间</th><th>内容</th></tr></thead>
+        <tbody id="errors"></tbody>
+    </table>
+</div>
+
+<script>
+const $ = id => document.getElementById(id);
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+const formatTime = value => value ? new Date(value).toLocaleString() : '';
+
+function showStatus(message) {
+    $('status').textContent = message || '';
+}
+
+async function api(method, path, body) {
+    const response = await fetch(path, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer ' + sessionStorage.getItem('adminToken')
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        logout();
+    }
+    if (!response.ok) {
+        throw new Error(data.message || ('请求失败: ' + response.status));
+    }
+    return data;
+}
+
+// 执行操作后刷新页面数据
+async function act(method, path, body) {
+    try {
+        await api(method, path, body);
+        showStatus('');
+        await refresh();
+    } catch (error) {
+        showStatus(error.message);
+    }
+}
+
+function renderPlayers(players) {
+    $('players').innerHTML = players.map(player => '<tr class="' + (player.flagged ? 'flagged' : '') + '">' +
+        '<td>' + escapeHtml(player.id) + '</td>' +
+        '<td>' + (player.role === 'player' ? '玩家' : '观众') + '</td>' +
+        '<td>' + escapeHtml(player.roomId) + '</td>' +
+        '<td>' + escapeHtml(player.address) + '</td>' +
+        '<td>' + (player.connected ? '是' : '否') + '</td>' +
+        '<td>' + (player.isHoldingCue ? '是' : '') + '</td>' +
+        '<td>' + (player.isAuthenticated ? '是' : '') + '</td>' +
+        '<td>' + formatTime(player.lastHeartbeat) + '</td>' +
+        '<td>' +
+            '<button data-action="kick" data-id="' + escapeHtml(player.id) + '">踢出</button>' +
+            '<button data-action="ban" data-id="' + escapeHtml(player.id) + '" data-connected="' + player.connected + '">封禁</button>' +
+            (player.isHoldingCue ? '<button data-action="release" data-room="' + escapeHtml(player.roomId) + '">收回球杆</button>' : '') +
+            '<button data-action="reset" data-room="' + escapeHtml(player.roomId) + '">重置球台</button>' +
+        '</td></tr>').join('');
+}
+
+function renderBans(bans) {
+    $('bans').innerHTML = bans.map(ban => '<tr>' +
+        '<td>' + escapeHtml(ban.playerId) + '</td>' +
+        '<td>' + escapeHtml(ban.reason) + '</td>' +
+        '<td>' + escapeHtml(ban.bannedBy) + '</td>' +
+        '<td>' + formatTime(ban.bannedAt) + '</td>' +
+        '<td>' + (ban.expiresAt ? formatTime(ban.expiresAt) : '永久') + '</td>' +
+        '<td><button data-action="unban" data-id="' + escapeHtml(ban.playerId) + '">解除</button></td></tr>').join('');
+}
+
+function renderAddressBans(bans) {
+    $('addressBans').innerHTML = bans.map(ban => '<tr>' +
+        '<td>' + escapeHtml(ban.address) + '</td>' +
+        '<td>' + escapeHtml(ban.reason) + '</td>' +
+        '<td>' + escapeHtml(ban.bannedBy) + '</td>' +
+        '<td>' + formatTime(ban.bannedAt) + '</td>' +
+        '<td>' + (ban.expiresAt ? formatTime(ban.expiresAt) : '永久') + '</td>' +
+        '<td><button data-action="unbanAddress" data-address="' + escapeHtml(ban.address) + '">解除</button></td></tr>').join('');
+}
+
+const parseMinutes = value => value.trim() ? parseInt(value, 10) : null;
+
+async function refresh() {
+    try {
+        const [players, bans, addressBans, antiCheat, errors] = await Promise.all([
+            api('GET', '/api/admin/players'),
+            api('GET', '/api/admin/bans'),
+            api('GET', '/api/admin/ip-bans'),
+            api('GET', '/api/admin/anti-cheat'),
+            api('GET', '/api/admin/errors')
+        ]);
+        renderPlayers(players);
+        renderBans(bans);
+        renderAddressBans(addressBans);
+        $('flagged').innerHTML = antiCheat.flaggedPlayers.map(entry =>
+            '<tr><td>' + escapeHtml(entry.playerId) + '</td><td>' + escapeHtml(JSON.stringify(entry)) + '</td></tr>').join('');
+        $('errors').innerHTML = errors.map(entry =>
+            '<tr><td>' + formatTime(entry.timestamp) + '</td><td>' + escapeHtml(entry.message) + '</td></tr>').join('');
+    } catch (error) {
+        showStatus(error.message);
+    }
+}
+
+function showPanel(loggedIn) {
+    $('login').classList.toggle('hidden', loggedIn);
+    $('panel').classList.toggle('hidden', !loggedIn);
+}
+
+function logout() {
+    sessionStorage.removeItem('adminToken');
+    showPanel(false);
+}
+
+$('login').addEventListener('submit', async event => {
+    event.preventDefault();
+    const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: $('username').value, password: $('password').value })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.token) {
+        showStatus(data.message || '登录失败');
+        return;
+    }
+    sessionStorage.setItem('adminToken', data.token);
+    showStatus('');
+    showPanel(true);
+    refresh();
+});
+
+$('logout').addEventListener('click', logout);
+$('refresh').addEventListener('click', refresh);
+
+$('announce').addEventListener('click', () => {
+    const roomId = $('announceRoom').value.trim();
+    act('POST', '/api/admin/announcements', { message: $('announceMessage').value, roomId: roomId || undefined });
+});
+
+$('banAddressButton').addEventListener('click', () => {
+    act('POST', '/api/admin/ip-bans', {
+        address: $('banAddress').value,
+        reason: $('banAddressReason').value,
+        minutes: parseMinutes($('banAddressMinutes').value)
+    });
+});
+
+// 表格中的操作按钮
+const actions = {
+    kick: button => {
+        const reason = prompt('踢出原因', '管理员操作');
+        if (reason !== null) {
+            act('POST', '/api/admin/players/' + encodeURIComponent(button.dataset.id) + '/kick', { reason });
+        }
+    },
+    ban: button => {
+        const reason = prompt('封禁原因', '');
+        if (reason === null) {
+            return;
+        }
+        const minutes = prompt('封禁时长（分钟，留空为永久）', '');
+        if (minutes === null) {
+            return;
+        }
+        const banAddress = button.dataset.connected === 'true' && confirm('同时封禁该玩家当前的IP？');
+        act('POST', '/api/admin/players/' + encodeURIComponent(button.dataset.id) + '/ban',
+            { reason, minutes: parseMinutes(minutes), banAddress });
+    },
+    unban: button => act('DELETE', '/api/admin/bans/' + encodeURIComponent(button.dataset.id)),
+    unbanAddress: button => act('DELETE', '/api/admin/ip-bans/' + encodeURIComponent(button.dataset.address)),
+    release: button => act('POST', '/api/admin/rooms/' + encodeURIComponent(button.dataset.room) + '/release-cue'),
+    reset: button => {
+        if (confirm('确定重置房间 ' + button.dataset.room + ' 的球台？')) {
+            act('POST', '/api/admin/rooms/' + encodeURIComponent(button.dataset.room) + '/reset');
+        }
+    }
+};
+
+document.body.addEventListener('click', event => {
+    const action = actions[event.target.dataset.action];
+    if (action) {
+        action(event.target);
+    }
+});
+
+if (sessionStorage.getItem('adminToken')) {
+    showPanel(true);
+    refresh();
+}
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    renderAdminPage
+};
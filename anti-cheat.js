@@ -0,0 +1,181 @@
+// 反作弊：比赛结果以服务端模拟为准，客户端上报的进球和最终球台只用于发现被修改的客户端
+// 每杆开始时记录击球前球台和服务端结果，把之后收到的上报与之比对，违规次数过多的玩家会被标记为可疑
+const { TABLE, PHYSICS, CUE_BALL, travelDistance } = require('./physics');
+
+const ANTI_CHEAT_CONFIG = {
+    REPORT_GRACE_PERIOD: 5000,      // 球停止后仍接受上报的时间（客户端动画和网络延迟）
+    POSITION_TOLERANCE: 0.01,       // 台面边界的误差容忍（米）
+    TRAVEL_TOLERANCE: 1.5,          // 移动距离上限的放宽倍数（客户端物理实现可能与服务端不同）
+    TRAVEL_SLACK: 0.1,              // 移动距离上限额外放宽的距离（米）
+    MISMATCH_THRESHOLD: 3,          // 上报的进球中服务端未判定落袋的球达到此数量才视为违规
+    FLAG_THRESHOLD: 3,              // 时间窗口内违规达到此次数时标记为可疑
+    VIOLATION_WINDOW: 10 * 60 * 1000,
+    MAX_RECENT_VIOLATIONS: 200      // 保留最近的违规记录条数
+};
+
+const VIOLATION_TYPES = {
+    UNEXPECTED_REPORT: 'unexpectedReport',
+    BALL_NOT_ON_TABLE: 'ballNotOnTable',
+    POCKET_MISMATCH: 'pocketMismatch',
+    OUT_OF_BOUNDS: 'outOfBounds',
+    TELEPORT: 'teleport'
+};
+
+class AntiCheatMonitor {
+    constructor({ rejectShots = false } = {}) {
+        this.rejectShots = rejectShots;
+        this.shots = new Map();         // roomId -> 当前或最近一杆的记录
+        this.violations = new Map();    // playerId -> [违规时间]
+        this.flagged = new Map();       // playerId -> { flaggedAt, lastViolationAt, count }
+        this.recentViolations = [];
+    }
+
+    // 击球开始时记录击球前状态和服务端模拟结果
+    beginShot(roomId, playerId, preState, shotData, shotResult, startTime) {
+        const speed = (1 + PHYSICS.FOLLOW_FACTOR) * shotData.power * PHYSICS.MAX_SHOT_SPEED;
+        this.shots.set(roomId, {
+            playerId,
+            preState,
+            pocketed: new Set(shotResult.pocketed.map(pocket => pocket.ballNumber)),
+            maxTravel: travelDistance(speed) * ANTI_CHEAT_CONFIG.TRAVEL_TOLERANCE + ANTI_CHEAT_CONFIG.TRAVEL_SLACK,
+            endsAt: startTime + shotResult.duration * 1000 + ANTI_CHEAT_CONFIG.REPORT_GRACE_PERIOD
+        });
+    }
+
+    // 击球被取消（重置球台、切换模式、房间关闭）时不再接受对应的上报
+    clearShot(roomId) {
+        this.shots.delete(roomId);
+    }
+
+    // 该玩家在上报时间内的那一杆，不是击球玩家或已超时返回 null
+    getActiveShot(roomId, playerId) {
+        const shot = this.shots.get(roomId);
+        return shot && shot.playerId === playerId && Date.now() <= shot.endsAt ? shot : null;
+    }
+
+    // 检查进球上报：球必须在击球前还在台上，且与服务端判定的落袋球基本一致
+    checkPocketReport(roomId, playerId, pocketedBalls) {
+        const violations = [];
+        const numbers = pocketedBalls.map(pocket => pocket.ballNumber);
+
+        // 没有击球记录时（例如服务器重启后）无法判断
+        const shot = this.getActiveShot(roomId, playerId);
+        if (numbers.length > 0 && this.shots.has(roomId) && !shot) {
+            violations.push({ type: VIOLATION_TYPES.UNEXPECTED_REPORT, detail: '不是当前击球玩家或已超出上报时间' });
+        } else if (numbers.length > 0 && shot) {
+            const missing = numbers.filter(number => !shot.preState[number] || shot.preState[number].pocketed);
+            if (missing.length > 0) {
+                violations.push({ type: VIOLATION_TYPES.BALL_NOT_ON_TABLE, detail: `击球前已不在台上的球: ${missing.join(', ')}` });
+            }
+
+            const mismatched = numbers.filter(number => number !== CUE_BALL && !shot.pocketed.has(number));
+            if (mismatched.length >= ANTI_CHEAT_CONFIG.MISMATCH_THRESHOLD) {
+                violations.push({ type: VIOLATION_TYPES.POCKET_MISMATCH, detail: `服务端未判定落袋的球: ${mismatched.join(', ')}` });
+            }
+        }
+
+        return this.record(roomId, playerId, violations);
+    }
+
+    // 检查击球玩家客户端模拟的最终球台：未落袋的球必须在台面内，移动距离不能超过本杆力度的上限
+    // 其他玩家的客户端也会上报本地模拟结果，不作检查
+    checkFinalState(roomId, playerId, finalState) {
+        const violations = [];
+        const shot = this.getActiveShot(roomId, playerId);
+
+        if (shot) {
+            const maxX = TABLE.length / 2 - TABLE.ballRadius + ANTI_CHEAT_CONFIG.POSITION_TOLERANCE;
+            const maxY = TABLE.width / 2 - TABLE.ballRadius + ANTI_CHEAT_CONFIG.POSITION_TOLERANCE;
+            const outOfBounds = [];
+            const teleported = [];
+
+            for (const [number, ball] of Object.entries(finalState)) {
+                if (ball.pocketed) {
+                    continue;
+                }
+                if (Math.abs(ball.x) > maxX || Math.abs(ball.y) > maxY) {
+                    outOfBounds.push(number);
+                }
+                const before = shot.preState[number];
+                if (before && !before.pocketed && Math.hypot(ball.x - before.x, ball.y - before.y) > shot.maxTravel) {
+                    teleported.push(number);
+                }
+            }
+
+            if (outOfBounds.length > 0) {
+                violations.push({ type: VIOLATION_TYPES.OUT_OF_BOUNDS, detail: `超出台面的球: ${outOfBounds.join(', ')}` });
+            }
+            if (teleported.length > 0) {
+                violations.push({ type: VIOLATION_TYPES.TELEPORT, detail: `移动距离超出击球力度上限的球: ${teleported.join(', ')}` });
+            }
+        }
+
+        return this.record(roomId, playerId, violations);
+    }
+
+    // 记录违规并更新可疑标记，返回 { violations, flagged, newlyFlagged }
+    record(roomId, playerId, violations) {
+        const now = Date.now();
+        if (violations.length === 0) {
+            return { violations, flagged: this.isFlagged(playerId), newlyFlagged: false };
+        }
+
+        violations.forEach(violation => {
+            this.recentViolations.push({ playerId, roomId, ...violation, timestamp: now });
+        });
+        if (this.recentViolations.length > ANTI_CHEAT_CONFIG.MAX_RECENT_VIOLATIONS) {
+            this.recentViolations.splice(0, this.recentViolations.length - ANTI_CHEAT_CONFIG.MAX_RECENT_VIOLATIONS);
+        }
+
+        const history = (this.violations.get(playerId) || [])
+            .filter(timestamp => now - timestamp < ANTI_CHEAT_CONFIG.VIOLATION_WINDOW);
+        history.push(now);
+        this.violations.set(playerId, history);
+
+        const wasFlagged = this.isFlagged(playerId);
+        if (wasFlagged) {
+            const flag = this.flagged.get(playerId);
+            flag.lastViolationAt = now;
+            flag.count = history.length;
+        } else if (history.length >= ANTI_CHEAT_CONFIG.FLAG_THRESHOLD) {
+            this.flagged.set(playerId, { flaggedAt: now, lastViolationAt: now, count: history.length });
+        }
+
+        const flagged = this.isFlagged(playerId);
+        return { violations, flagged, newlyFlagged: flagged && !wasFlagged };
+    }
+
+    // 最后一次违规超过时间窗口后自动解除标记
+    isFlagged(playerId) {
+        const flag = this.flagged.get(playerId);
+        if (!flag) {
+            return false;
+        }
+        if (Date.now() - flag.lastViolationAt >= ANTI_CHEAT_CONFIG.VIOLATION_WINDOW) {
+            this.flagged.delete(playerId);
+            return false;
+        }
+        return true;
+    }
+
+    // 被标记的玩家是否禁止击球
+    isShotBlocked(playerId) {
+        return this.rejectShots && this.isFlagged(playerId);
+    }
+
+    getFlaggedPlayers() {
+        return Array.from(this.flagged.keys())
+            .filter(playerId => this.isFlagged(playerId))
+            .map(playerId => ({ playerId, ...this.flagged.get(playerId) }));
+    }
+
+    getRecentViolations() {
+        return this.recentViolations.slice();
+    }
+}
+
+module.exports = {
+    AntiCheatMonitor,
+    ANTI_CHEAT_CONFIG,
+    VIOLATION_TYPES
+};
@@ -0,0 +1,185 @@
+// 玩家账号：注册、登录（scrypt 哈希密码）和 HMAC 签名的会话令牌
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_CONFIG = {
+    MIN_USERNAME_LENGTH: 1,
+    MAX_USERNAME_LENGTH: 20,
+    MIN_PASSWORD_LENGTH: 6,
+    MAX_PASSWORD_LENGTH: 100,
+    KEY_LENGTH: 64,
+    SALT_BYTES: 16
+};
+
+// 认证失败时抛出，message 可直接返回给客户端
+class AuthError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=/g, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+    return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+class AuthService {
+    constructor(store, options) {
+        this.users = store.collection('users');
+        this.store = store;
+        this.secret = options.secret;
+        this.tokenTtl = options.tokenTtl;
+    }
+
+    validateUsername(username) {
+        if (typeof username !== 'string' || username.trim().length < AUTH_CONFIG.MIN_USERNAME_LENGTH) {
+            throw new AuthError('用户名不能为空');
+        }
+        if (username.length > AUTH_CONFIG.MAX_USERNAME_LENGTH) {
+            throw new AuthError(`用户名不能超过${AUTH_CONFIG.MAX_USERNAME_LENGTH}个字符`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < AUTH_CONFIG.MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`密码至少需要${AUTH_CONFIG.MIN_PASSWORD_LENGTH}个字符`);
+        }
+        if (password.length > AUTH_CONFIG.MAX_PASSWORD_LENGTH) {
+            throw new AuthError(`密码不能超过${AUTH_CONFIG.MAX_PASSWORD_LENGTH}个字符`);
+        }
+    }
+
+    async hashPassword(password, salt) {
+        const key = await scrypt(password, salt, AUTH_CONFIG.KEY_LENGTH);
+        return key.toString('hex');
+    }
+
+    isRegistered(username) {
+        return Object.prototype.hasOwnProperty.call(this.users, username);
+    }
+
+    getUser(username) {
+        const user = this.isRegistered(username) ? this.users[username] : null;
+        return user ? this.toPublicUser(user) : null;
+    }
+
+    toPublicUser(user) {
+        return {
+            username: user.username,
+            createdAt: user.createdAt,
+            lastLoginAt: user.lastLoginAt
+        };
+    }
+
+    async register(username, password) {
+        this.validateUsername(username);
+        this.validatePassword(password);
+
+        if (this.isRegistered(username)) {
+            throw new AuthError(`用户名 "${username}" 已被注册`, 409);
+        }
+
+        const salt = crypto.randomBytes(AUTH_CONFIG.SALT_BYTES).toString('hex');
+        const passwordHash = await this.hashPassword(password, salt);
+
+        // 哈希期间可能有并发的同名注册
+        if (this.isRegistered(username)) {
+            throw new AuthError(`用户名 "${username}" 已被注册`, 409);
+        }
+
+        const now = Date.now();
+        this.users[username] = {
+            username,
+            salt,
+            passwordHash,
+            createdAt: now,
+            lastLoginAt: now
+        };
+        await this.store.save();
+
+        return this.createSession(this.users[username]);
+    }
+
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string' || !this.isRegistered(username)) {
+            throw new AuthError('用户名或密码错误', 401);
+        }
+
+        const user = this.users[username];
+        const passwordHash = await this.hashPassword(password, user.salt);
+        const expected = Buffer.from(user.passwordHash, 'hex');
+        const actual = Buffer.from(passwordHash, 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            throw new AuthError('用户名或密码错误', 401);
+        }
+
+        user.lastLoginAt = Date.now();
+        this.store.save();
+
+        return this.createSession(user);
+    }
+
+    createSession(user) {
+        return {
+            token: this.signToken(user.username),
+            user: this.toPublicUser(user)
+        };
+    }
+
+    sign(payload) {
+        return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+    }
+
+    // 令牌格式：base64url(JSON载荷).签名
+    signToken(username) {
+        const now = Date.now();
+        const payload = base64url(JSON.stringify({ sub: username, iat: now, exp: now + this.tokenTtl }));
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // 验证令牌，成功时返回用户信息，否则返回 null
+    verifyToken(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(fromBase64url(payload));
+        } catch (error) {
+            return null;
+        }
+
+        if (!claims.exp || claims.exp < Date.now()) {
+            return null;
+        }
+
+        return this.getUser(claims.sub);
+    }
+}
+
+module.exports = {
+    AuthService,
+    AuthError
+};
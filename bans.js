@@ -0,0 +1,93 @@
+// 封禁名单：被封禁的玩家ID不能再加入球桌或观战，被封禁的IP不能再连接服务器，封禁可以设置到期时间
+function createBan(fields, { reason = '', bannedBy = null, minutes = null } = {}) {
+    const now = Date.now();
+    return {
+        ...fields,
+        reason,
+        bannedBy,
+        bannedAt: now,
+        expiresAt: minutes ? now + minutes * 60 * 1000 : null
+    };
+}
+
+// IPv4 连接在双栈监听时显示为 ::ffff:1.2.3.4，统一成 1.2.3.4
+function normalizeAddress(address) {
+    const value = String(address || '').trim();
+    return value.startsWith('::ffff:') ? value.slice(7) : value;
+}
+
+class BanList {
+    constructor(store) {
+        this.store = store;
+        this.bans = store.collection('bans');           // playerId -> { playerId, reason, bannedBy, bannedAt, expiresAt }
+        this.addressBans = store.collection('ipBans');  // address -> { address, reason, bannedBy, bannedAt, expiresAt }
+    }
+
+    // minutes 为空时永久封禁
+    ban(playerId, options) {
+        const ban = createBan({ playerId }, options);
+        this.bans[playerId] = ban;
+        this.store.save();
+        return ban;
+    }
+
+    unban(playerId) {
+        return this.remove(this.bans, playerId);
+    }
+
+    // 正在生效的封禁，到期后自动解除
+    getBan(playerId) {
+        return this.getActive(this.bans, playerId);
+    }
+
+    list() {
+        return Object.keys(this.bans)
+            .map(playerId => this.getBan(playerId))
+            .filter(Boolean);
+    }
+
+    banAddress(address, options) {
+        const normalized = normalizeAddress(address);
+        const ban = createBan({ address: normalized }, options);
+        this.addressBans[normalized] = ban;
+        this.store.save();
+        return ban;
+    }
+
+    unbanAddress(address) {
+        return this.remove(this.addressBans, normalizeAddress(address));
+    }
+
+    getAddressBan(address) {
+        return this.getActive(this.addressBans, normalizeAddress(address));
+    }
+
+    listAddresses() {
+        return Object.keys(this.addressBans)
+            .map(address => this.getAddressBan(address))
+            .filter(Boolean);
+    }
+
+    remove(bans, key) {
+        if (!Object.prototype.hasOwnProperty.call(bans, key)) {
+            return false;
+        }
+        delete bans[key];
+        this.store.save();
+        return true;
+    }
+
+    getActive(bans, key) {
+        const ban = Object.prototype.hasOwnProperty.call(bans, key) ? bans[key] : null;
+        if (ban && ban.expiresAt && ban.expiresAt <= Date.now()) {
+            this.remove(bans, key);
+            return null;
+        }
+        return ban;
+    }
+}
+
+module.exports = {
+    BanList,
+    normalizeAddress
+};
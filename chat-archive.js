@@ -0,0 +1,74 @@
+// 聊天存档：所有频道的消息写入本地文件，用于向前翻页和事后查看比赛中的纠纷
+// 球桌保留的最近消息只用于新加入的玩家，更早的消息从存档中分页读取
+// 消息很频繁，存档延迟写盘（合并多次修改），进程退出前同步写回
+const { CHAT_CONFIG, CHAT_CHANNELS } = require('./chat');
+
+const ARCHIVE_CONFIG = {
+    MAX_STORED_MESSAGES: 20000  // 最多保存的消息数，超出后删除最早的消息
+};
+
+class ChatArchive {
+    constructor(store) {
+        this.store = store;
+        this.messages = store.collection('messages', []);
+    }
+
+    // 保存一条消息，私聊的 roomId 为 null
+    append(roomId, message) {
+        this.messages.push({ ...message, roomId });
+        if (this.messages.length > ARCHIVE_CONFIG.MAX_STORED_MESSAGES) {
+            this.messages.splice(0, this.messages.length - ARCHIVE_CONFIG.MAX_STORED_MESSAGES);
+        }
+        this.store.scheduleSave();
+    }
+
+    find(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    // 修改消息（编辑、表情回应），返回修改后的消息
+    update(messageId, changes) {
+        const message = this.find(messageId);
+        if (!message) {
+            return null;
+        }
+        Object.assign(message, changes);
+        this.store.scheduleSave();
+        return message;
+    }
+
+    // 删除的消息保留在存档中（查看纠纷时需要），但不再出现在聊天记录里
+    markDeleted(messageId, deletedBy) {
+        return this.update(messageId, { deleted: true, deletedBy, deletedAt: new Date().toISOString() });
+    }
+
+    // 分页查询一个频道（按时间顺序）：before 为已加载的最早一条消息ID，不传时返回最新的一页
+    // 私聊用 participants 指定双方，其他频道用 roomId 指定球桌；since 为毫秒时间戳，只返回此后的消息
+    getPage({ roomId = null, channel, participants = null, since = 0, before = null, limit } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || CHAT_CONFIG.PAGE_SIZE, 1), CHAT_CONFIG.MAX_PAGE_SIZE);
+        // before 所在位置之前的消息（before 可能已被删除）；找不到时说明更早的消息已被清理
+        let earlier = this.messages;
+        if (before) {
+            const index = this.messages.findIndex(message => message.id === before);
+            earlier = index === -1 ? [] : this.messages.slice(0, index);
+        }
+
+        const matching = earlier.filter(message => !message.deleted && message.channel === channel &&
+            (channel === CHAT_CHANNELS.DIRECT
+                ? participants.includes(message.sender) && participants.includes(message.recipient)
+                : message.roomId === roomId) &&
+            Date.parse(message.timestamp) >= since);
+
+        const start = Math.max(0, matching.length - pageSize);
+        return {
+            messages: matching.slice(start),
+            hasMore: start > 0,
+            limit: pageSize
+        };
+    }
+}
+
+module.exports = {
+    ChatArchive,
+    ARCHIVE_CONFIG
+};
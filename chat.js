@@ -0,0 +1,174 @@
+// 聊天：按频道保留的最近消息、禁言、屏蔽词过滤和斜杠命令解析
+// 每张球桌有一个公共频道和两个队伍频道（玩家、观众），玩家之间还可以私聊
+const fs = require('fs');
+
+const CHAT_CONFIG = {
+    MAX_CHANNEL_HISTORY: 200,       // 每个频道在球桌中保留的最近消息条数（更早的消息在存档中）
+    PAGE_SIZE: 50,                  // 新加入时和每次翻页加载的消息条数
+    MAX_PAGE_SIZE: 100,
+    DEFAULT_MUTE_MINUTES: 5,
+    MAX_MUTE_MINUTES: 24 * 60,
+    EDIT_WINDOW: 2 * 60 * 1000,     // 发送后多久内可以编辑
+    MAX_REACTION_LENGTH: 16,        // 表情回应的最大长度（一个表情可能由多个字符组成）
+    MAX_REACTIONS_PER_MESSAGE: 20   // 每条消息最多的表情种类
+};
+
+const CHAT_CHANNELS = {
+    TABLE: 'table',                 // 球桌内所有人（观众只能查看）
+    TEAM: 'team',                   // 同一队伍（球桌的玩家或观众）
+    DIRECT: 'dm'                    // 两名玩家之间的私聊
+};
+
+const CHAT_TEAMS = {
+    PLAYERS: 'players',
+    SPECTATORS: 'spectators'
+};
+
+// 未配置屏蔽词文件时使用
+const DEFAULT_PROFANITY_WORDS = ['fuck', 'shit', 'bitch', '傻逼', '白痴', '垃圾'];
+
+// 队伍频道在球桌聊天记录中的键，例如 team:players
+function getTeamChannel(team) {
+    return `${CHAT_CHANNELS.TEAM}:${team}`;
+}
+
+class ChatHistory {
+    constructor(channels = {}) {
+        this.channels = new Map(Object.entries(channels)); // 频道 -> 消息（按时间顺序）
+    }
+
+    add(channel, message) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, []);
+        }
+        const messages = this.channels.get(channel);
+        messages.push(message);
+        if (messages.length > CHAT_CONFIG.MAX_CHANNEL_HISTORY) {
+            messages.splice(0, messages.length - CHAT_CONFIG.MAX_CHANNEL_HISTORY);
+        }
+    }
+
+    // 频道中最近的消息
+    getRecent(channel, limit = CHAT_CONFIG.PAGE_SIZE) {
+        return (this.channels.get(channel) || []).slice(-limit);
+    }
+
+    // 修改消息（编辑、表情回应），消息已不在最近记录中时忽略
+    update(channel, messageId, changes) {
+        const message = (this.channels.get(channel) || []).find(item => item.id === messageId);
+        if (message) {
+            Object.assign(message, changes);
+        }
+    }
+
+    remove(channel, messageId) {
+        const messages = this.channels.get(channel) || [];
+        const index = messages.findIndex(item => item.id === messageId);
+        if (index !== -1) {
+            messages.splice(index, 1);
+        }
+    }
+
+    toSnapshot() {
+        return Object.fromEntries(this.channels);
+    }
+
+    static fromSnapshot(snapshot) {
+        return new ChatHistory(snapshot);
+    }
+}
+
+// 禁言和管理员名单；管理员是配置中指定的注册账号
+class ChatModeration {
+    constructor(moderators = []) {
+        this.moderators = new Set(moderators);
+        this.mutes = new Map();         // playerId -> { until, by }
+    }
+
+    isModerator(playerId) {
+        return this.moderators.has(playerId);
+    }
+
+    mute(playerId, minutes, by) {
+        const mute = { until: Date.now() + minutes * 60 * 1000, by };
+        this.mutes.set(playerId, mute);
+        return mute;
+    }
+
+    unmute(playerId) {
+        return this.mutes.delete(playerId);
+    }
+
+    // 正在生效的禁言，到期后自动解除
+    getMute(playerId) {
+        const mute = this.mutes.get(playerId);
+        if (!mute) {
+            return null;
+        }
+        if (Date.now() >= mute.until) {
+            this.mutes.delete(playerId);
+            return null;
+        }
+        return mute;
+    }
+}
+
+// 屏蔽词过滤：匹配的内容替换为等长的 *（不区分大小写）
+class ProfanityFilter {
+    constructor(words = DEFAULT_PROFANITY_WORDS) {
+        this.setWords(words);
+    }
+
+    setWords(words) {
+        this.words = Array.from(new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean)))
+            .sort((a, b) => b.length - a.length);   // 长的词优先匹配
+        this.pattern = this.words.length > 0
+            ? new RegExp(this.words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi')
+            : null;
+    }
+
+    // 从文件加载屏蔽词（每行一个，# 开头的行为注释），返回屏蔽词数量
+    loadFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        this.setWords(content.split(/\r?\n/).filter(line => !line.trim().startsWith('#')));
+        return this.words.length;
+    }
+
+    // 返回 { content, masked }
+    mask(content) {
+        if (!this.pattern) {
+            return { content, masked: false };
+        }
+
+        let masked = false;
+        const result = content.replace(this.pattern, match => {
+            masked = true;
+            return '*'.repeat(Array.from(match).length);
+        });
+        return { content: result, masked };
+    }
+}
+
+// 解析斜杠命令，例如 "/w bob 你好" -> { name: 'w', argText: 'bob 你好' }，不是命令时返回 null
+function parseChatCommand(content) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(content);
+    return match ? { name: match[1].toLowerCase(), argText: match[2].trim() } : null;
+}
+
+// 取出命令的第一个参数，例如 "bob 你好" -> { argument: 'bob', rest: '你好' }
+function splitArgument(argText) {
+    const match = /^(\S*)\s*([\s\S]*)$/.exec(argText);
+    return { argument: match[1], rest: match[2].trim() };
+}
+
+module.exports = {
+    CHAT_CONFIG,
+    CHAT_CHANNELS,
+    CHAT_TEAMS,
+    ChatHistory,
+    ChatModeration,
+    ProfanityFilter,
+    getTeamChannel,
+    parseChatCommand,
+    splitArgument
+};
@@ -0,0 +1,322 @@
+// 多实例部署：每张球桌由一个节点负责（运行规则引擎和计时器），其他节点把该球桌的事件转发过去
+// 节点之间通过 Socket.IO Redis 适配器互相广播，球桌归属、摘要和快照保存在共享状态存储中
+// 本地多进程部署（local-cluster.js）改用 Socket.IO cluster 适配器和主进程中的共享存储，不需要 Redis
+const crypto = require('crypto');
+const { MemoryStateStore, RedisStateStore, IpcStateStore } = require('./state-store');
+const { logger } = require('./logger');
+
+const CLUSTER_CONFIG = {
+    OWNERSHIP_TTL: 15000,       // 球桌归属的有效期，负责节点需定期续期
+    REFRESH_INTERVAL: 5000,     // 续期和检查无人负责球桌的间隔
+    DIRECTORY_TTL: 5 * 60 * 1000, // 球桌摘要和快照的保留时间
+    FORWARD_EVENT: 'cluster:socketEvent',
+    LEAVE_EVENT: 'cluster:leaveTable'
+};
+
+// 其他节点上的客户端连接在本节点的代理，接口与处理事件时用到的 Socket 方法一致
+class RemoteClientSocket {
+    constructor(ioServer, id, originNodeId) {
+        this.ioServer = ioServer;
+        this.id = id;
+        this.originNodeId = originNodeId;
+        this.data = {};
+        this.handshake = { address: null, headers: {} };
+        this.connected = true;
+        this.handlers = new Map();
+    }
+
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+
+    dispatch(event, args) {
+        const handler = this.handlers.get(event);
+        if (handler) {
+            handler(...args);
+        }
+    }
+
+    // 通过适配器发送给所在节点上的真实连接
+    emit(event, ...args) {
+        this.ioServer.to(this.id).emit(event, ...args);
+    }
+
+    join(roomId) {
+        this.ioServer.in(this.id).socketsJoin(roomId);
+    }
+
+    leave(roomId) {
+        this.ioServer.in(this.id).socketsLeave(roomId);
+    }
+
+    disconnect(close = false) {
+        this.connected = false;
+        this.ioServer.in(this.id).disconnectSockets(close);
+    }
+}
+
+// 配置了 Redis 地址时启用 Redis 适配器和共享存储，作为本地多进程部署的工作进程时使用 IPC，
+// 否则为单实例模式（所有球桌都在本地）
+class ClusterNode {
+    constructor(ioServer, redisUrl = null, localCluster = false) {
+        this.ioServer = ioServer;
+        this.redisUrl = redisUrl;
+        this.localCluster = !redisUrl && localCluster;
+        this.enabled = Boolean(redisUrl) || this.localCluster;
+        this.stateStore = new MemoryStateStore();
+        this.nodeId = crypto.randomBytes(4).toString('hex');
+        this.ownedTables = new Set();
+        this.remoteSockets = new Map(); // socketId -> RemoteClientSocket
+        this.refreshTimer = null;
+        this.hooks = {
+            onRemoteSocket: () => {},   // 新建代理时注册事件处理
+            onLeaveTable: () => {},     // 玩家切换到其他节点的球桌时离开本节点的球桌
+            onTakeover: () => {},       // 接管无人负责的球桌
+            getDefaultTables: () => []  // 每个节点都有、但只能由一个节点负责的球桌（大厅）
+        };
+    }
+
+    setHooks(hooks) {
+        Object.assign(this.hooks, hooks);
+    }
+
+    ownerKey(roomId) {
+        return `table:${roomId}:owner`;
+    }
+
+    summaryKey(roomId) {
+        return `table:${roomId}:summary`;
+    }
+
+    snapshotKey(roomId) {
+        return `table:${roomId}:snapshot`;
+    }
+
+    // 连接 Redis（或主进程）并启用适配器，之后开始续期和接管球桌
+    async start() {
+        if (!this.enabled) {
+            return;
+        }
+
+        if (this.localCluster) {
+            const { createAdapter } = require('@socket.io/cluster-adapter');
+            this.ioServer.adapter(createAdapter());
+            this.stateStore = new IpcStateStore();
+        } else {
+            await this.connectRedis();
+        }
+
+        this.ioServer.on(CLUSTER_CONFIG.FORWARD_EVENT, payload => this.handleForwarded(payload));
+        await this.refresh();
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => logger.error('⚠️ 集群状态刷新失败', { error: error.message }));
+        }, CLUSTER_CONFIG.REFRESH_INTERVAL);
+    }
+
+    async connectRedis() {
+        const { createClient } = require('redis');
+        const { createAdapter } = require('@socket.io/redis-adapter');
+
+        const pubClient = createClient({ url: this.redisUrl });
+        const subClient = pubClient.duplicate();
+        pubClient.on('error', error => logger.error('⚠️ Redis 连接错误', { error: error.message }));
+        subClient.on('error', error => logger.error('⚠️ Redis 连接错误', { error: error.message }));
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+
+        this.ioServer.adapter(createAdapter(pubClient, subClient));
+        this.stateStore = new RedisStateStore(pubClient);
+        this.subClient = subClient;
+    }
+
+    // 球桌是否由本节点负责（单实例时所有球桌都在本地）
+    isLocal(roomId) {
+        return !this.enabled || this.ownedTables.has(roomId);
+    }
+
+    // 查询球桌的负责节点，球桌不存在时返回 null
+    async getOwner(roomId) {
+        if (this.isLocal(roomId)) {
+            return this.nodeId;
+        }
+        return this.stateStore.get(this.ownerKey(roomId));
+    }
+
+    // 登记本节点新建的球桌（房间ID按节点区分，不会与其他节点冲突）
+    registerTable(roomId) {
+        this.ownedTables.add(roomId);
+        if (this.enabled) {
+            this.stateStore.set(this.ownerKey(roomId), this.nodeId, CLUSTER_CONFIG.OWNERSHIP_TTL)
+                .catch(error => logger.error('⚠️ 登记球桌失败', { roomId, error: error.message }));
+        }
+    }
+
+    // 尝试负责一张当前无人负责的球桌
+    async claimTable(roomId) {
+        if (!this.enabled || this.ownedTables.has(roomId)) {
+            this.ownedTables.add(roomId);
+            return true;
+        }
+        const claimed = await this.stateStore.setIfAbsent(this.ownerKey(roomId), this.nodeId, CLUSTER_CONFIG.OWNERSHIP_TTL);
+        if (claimed) {
+            this.ownedTables.add(roomId);
+        }
+        return claimed;
+    }
+
+    // 球桌关闭时移除归属和目录信息
+    releaseTable(roomId) {
+        this.ownedTables.delete(roomId);
+        if (!this.enabled) {
+            return;
+        }
+        Promise.all([
+            this.stateStore.deleteIfEqual(this.ownerKey(roomId), this.nodeId),
+            this.stateStore.delete(this.summaryKey(roomId)),
+            this.stateStore.delete(this.snapshotKey(roomId))
+        ]).catch(error => logger.error('⚠️ 移除球桌失败', { roomId, error: error.message }));
+    }
+
+    // 发布本节点负责的球桌摘要，供其他节点汇总房间列表
+    publishSummaries(summaries) {
+        if (!this.enabled) {
+            return;
+        }
+        Promise.all(summaries.map(summary => this.stateStore.set(
+            this.summaryKey(summary.id),
+            { nodeId: this.nodeId, summary },
+            CLUSTER_CONFIG.DIRECTORY_TTL
+        ))).catch(error => logger.error('⚠️ 发布球桌摘要失败', { error: error.message }));
+    }
+
+    // 发布球桌快照，负责节点下线后由其他节点接管
+    publishSnapshots(snapshots) {
+        if (!this.enabled) {
+            return Promise.resolve();
+        }
+        return Promise.all(snapshots.map(snapshot => this.stateStore.set(
+            this.snapshotKey(snapshot.id),
+            snapshot,
+            CLUSTER_CONFIG.DIRECTORY_TTL
+        ))).catch(error => logger.error('⚠️ 发布球桌快照失败', { error: error.message }));
+    }
+
+    // 其他节点负责的球桌摘要
+    async listRemoteSummaries() {
+        if (!this.enabled) {
+            return [];
+        }
+        const keys = (await this.stateStore.keys('table:')).filter(key => key.endsWith(':summary'));
+        const entries = await Promise.all(keys.map(key => this.stateStore.get(key)));
+        return entries
+            .filter(entry => entry && entry.nodeId !== this.nodeId && !this.ownedTables.has(entry.summary.id))
+            .map(entry => entry.summary);
+    }
+
+    // 续期本节点的球桌，并接管负责节点已下线的球桌
+    async refresh() {
+        for (const roomId of Array.from(this.ownedTables)) {
+            const extended = await this.stateStore.extendIfEqual(this.ownerKey(roomId), this.nodeId, CLUSTER_CONFIG.OWNERSHIP_TTL);
+            if (!extended) {
+                // 归属已过期（例如节点长时间卡顿），重新登记
+                const claimed = await this.stateStore.setIfAbsent(this.ownerKey(roomId), this.nodeId, CLUSTER_CONFIG.OWNERSHIP_TTL);
+                if (!claimed) {
+                    logger.warn('⚠️ 球桌已由其他节点负责', { roomId });
+                    this.ownedTables.delete(roomId);
+                }
+            }
+        }
+
+        const summaryIds = (await this.stateStore.keys('table:'))
+            .filter(key => key.endsWith(':summary'))
+            .map(key => key.slice('table:'.length, -':summary'.length));
+        const candidates = new Set([...this.hooks.getDefaultTables(), ...summaryIds]);
+
+        for (const roomId of candidates) {
+            if (this.ownedTables.has(roomId) || !(await this.claimTable(roomId))) {
+                continue;
+            }
+            const snapshot = await this.stateStore.get(this.snapshotKey(roomId));
+            logger.info('🛰️ 接管球桌', { nodeId: this.nodeId, roomId, fromSnapshot: Boolean(snapshot) });
+            this.hooks.onTakeover(roomId, snapshot);
+        }
+    }
+
+    // 把客户端事件转发给球桌的负责节点
+    forward(targetNode, socket, event, args) {
+        this.ioServer.serverSideEmit(CLUSTER_CONFIG.FORWARD_EVENT, {
+            targetNode,
+            originNode: this.nodeId,
+            socketId: socket.id,
+            user: socket.data.user || null,
+            address: socket.data.address || socket.handshake.address,
+            event,
+            args
+        });
+    }
+
+    // 通知其他节点：该连接要离开在那里的球桌
+    forwardLeave(targetNode, socket) {
+        this.forward(targetNode, socket, CLUSTER_CONFIG.LEAVE_EVENT, []);
+    }
+
+    handleForwarded(payload) {
+        if (payload.targetNode !== this.nodeId) {
+            return;
+        }
+
+        let socket = this.remoteSockets.get(payload.socketId);
+        if (!socket) {
+            socket = new RemoteClientSocket(this.ioServer, payload.socketId, payload.originNode);
+            this.remoteSockets.set(payload.socketId, socket);
+            this.hooks.onRemoteSocket(socket);
+        }
+        socket.data.user = payload.user;
+        socket.handshake.address = payload.address;
+
+        if (payload.event === CLUSTER_CONFIG.LEAVE_EVENT) {
+            this.hooks.onLeaveTable(socket);
+        } else {
+            // 转发前已在连接所在节点通过参数校验
+            socket.dispatch(payload.event, payload.args);
+        }
+
+        // 断开或已不在本节点的球桌上时不再保留代理
+        if (payload.event === 'disconnect') {
+            socket.connected = false;
+            this.remoteSockets.delete(payload.socketId);
+        } else if (!socket.data.roomId) {
+            this.remoteSockets.delete(payload.socketId);
+        }
+    }
+
+    getRemoteSocket(socketId) {
+        return this.remoteSockets.get(socketId) || null;
+    }
+
+    // 就绪检查：多实例时共享状态存储需要可用
+    async checkHealth() {
+        await this.stateStore.ping();
+    }
+
+    // 退出前发布最新快照并交出球桌，其他节点可以立即接管
+    async shutdown(snapshots) {
+        if (!this.enabled) {
+            return;
+        }
+        clearInterval(this.refreshTimer);
+        await this.publishSnapshots(snapshots);
+        await Promise.all(Array.from(this.ownedTables).map(roomId =>
+            this.stateStore.deleteIfEqual(this.ownerKey(roomId), this.nodeId)
+        ));
+        await this.stateStore.close();
+        if (this.subClient) {
+            await this.subClient.quit().catch(() => this.subClient.disconnect());
+        }
+    }
+}
+
+module.exports = {
+    ClusterNode,
+    RemoteClientSocket,
+    CLUSTER_CONFIG
+};
@@ -1,4 +1,38 @@
 const path = require('path');
+const crypto = require('crypto');
+const nodeCluster = require('cluster');
+const { logger } = require('./logger');
+
+// 解析逗号分隔的环境变量
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// 解析 TRUST_PROXY：客户端和服务器之间可信代理的层数，true 表示一层；未设置时使用 platformHops（默认不信任 X-Forwarded-For）
+function parseProxyHops(value, platformHops = 0) {
+    if (value === undefined || value === '') {
+        return platformHops;
+    }
+    if (value === 'true') {
+        return 1;
+    }
+    const hops = parseInt(value, 10);
+    return hops > 0 ? hops : 0;
+}
+
+// 解析 JSON 格式的环境变量，格式不正确时使用默认值
+function parseJson(name, fallback) {
+    const value = process.env[name];
+    if (!value) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.warn('⚠️ 环境变量不是合法的 JSON，使用默认值', { name });
+        return fallback;
+    }
+}
 
 class ServerConfig {
     constructor() {
@@ -16,7 +50,22 @@ class ServerConfig {
                     'http://127.0.0.1:3000'
                 ],
                 corsOrigin: true, // 开发环境允许所有来源
-                debug: true
+                debug: true,
+                dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+                sessionSecret: process.env.SESSION_SECRET, // 未设置时使用临时密钥
+                sessionTtl: 7 * 24 * 60 * 60 * 1000, // 登录有效期7天
+                allowGuests: process.env.ALLOW_GUESTS !== 'false',
+                redisUrl: process.env.REDIS_URL || null, // 设置后以多实例模式运行
+                rejectSuspiciousShots: process.env.ANTI_CHEAT_REJECT_SHOTS === 'true', // 默认只记录可疑行为
+                chatModerators: parseList(process.env.CHAT_MODERATORS), // 聊天管理员（注册账号，逗号分隔）
+                adminUsers: parseList(process.env.ADMIN_USERS), // 可以使用管理接口的注册账号（同时也是聊天管理员）
+                trustedProxyHops: parseProxyHops(process.env.TRUST_PROXY), // 部署在反向代理后面时设置代理层数，从 X-Forwarded-For 读取客户端IP
+                maxConnectionsPerIp: parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 20,
+                maxJoinsPerMinute: parseInt(process.env.MAX_JOINS_PER_MINUTE, 10) || 30, // 每个IP每分钟最多进入球桌的次数
+                rateLimits: parseJson('RATE_LIMITS', {}), // 覆盖事件频率限制，例如 {"ballsState":{"burst":200,"perSecond":100}}
+                logLevel: process.env.LOG_LEVEL || 'debug', // debug、info、warn 或 error
+                metricsToken: process.env.METRICS_TOKEN || null, // 设置后 /metrics 需要携带 Bearer 令牌
+                profanityListPath: process.env.PROFANITY_LIST_PATH || null // 屏蔽词文件，未设置时使用内置列表
             },
             production: {
                 port: process.env.PORT || 3000,
@@ -27,7 +76,23 @@ class ServerConfig {
                     'https://incredipoolfront.vercel.app' // Vercel (如果使用)
                 ],
                 corsOrigin: process.env.FRONTEND_URL || 'https://potatos126.github.io',
-                debug: false
+                debug: false,
+                dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+                sessionSecret: process.env.SESSION_SECRET,
+                sessionTtl: 7 * 24 * 60 * 60 * 1000,
+                allowGuests: process.env.ALLOW_GUESTS !== 'false',
+                redisUrl: process.env.REDIS_URL || null,
+                rejectSuspiciousShots: process.env.ANTI_CHEAT_REJECT_SHOTS === 'true',
+                chatModerators: parseList(process.env.CHAT_MODERATORS),
+                adminUsers: parseList(process.env.ADMIN_USERS),
+                // Render 和 Heroku 通过一层代理转发连接，其他平台需要设置 TRUST_PROXY
+                trustedProxyHops: parseProxyHops(process.env.TRUST_PROXY, process.env.RENDER || process.env.HEROKU ? 1 : 0),
+                maxConnectionsPerIp: parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 20,
+                maxJoinsPerMinute: parseInt(process.env.MAX_JOINS_PER_MINUTE, 10) || 30,
+                rateLimits: parseJson('RATE_LIMITS', {}),
+                logLevel: process.env.LOG_LEVEL || 'info',
+                metricsToken: process.env.METRICS_TOKEN || null,
+                profanityListPath: process.env.PROFANITY_LIST_PATH || null
             }
         };
         
@@ -108,13 +173,115 @@ class ServerConfig {
         return this.config[this.environment].debug;
     }
 
+    getDataDir() {
+        return this.config[this.environment].dataDir;
+    }
+
+    getSessionSecret() {
+        const envConfig = this.config[this.environment];
+        
+        // 未配置密钥时生成临时密钥，重启后所有登录失效
+        if (!envConfig.sessionSecret) {
+            logger.warn('⚠️ 未设置 SESSION_SECRET，使用临时密钥（重启后需要重新登录，多实例时各节点的登录互不通用）');
+            envConfig.sessionSecret = crypto.randomBytes(32).toString('hex');
+        }
+        return envConfig.sessionSecret;
+    }
+
+    getSessionTtl() {
+        return this.config[this.environment].sessionTtl;
+    }
+
+    allowsGuests() {
+        return this.config[this.environment].allowGuests;
+    }
+
+    getRedisUrl() {
+        return this.config[this.environment].redisUrl;
+    }
+
+    // 由 local-cluster.js 启动的工作进程（本地多进程部署，不需要 Redis）
+    isLocalCluster() {
+        return process.env.LOCAL_CLUSTER === 'true' && nodeCluster.isWorker;
+    }
+
+    isClusterMode() {
+        return Boolean(this.getRedisUrl()) || this.isLocalCluster();
+    }
+
+    // 多实例时只使用 WebSocket：长轮询需要负载均衡器的粘性会话，WebSocket 连接建立后不会切换节点
+    getSocketTransports() {
+        return this.isClusterMode() ? ['websocket'] : ['polling', 'websocket'];
+    }
+
+    // 发现异常上报时是否判击球无效，并禁止被标记为可疑的玩家击球
+    shouldRejectSuspiciousShots() {
+        return this.config[this.environment].rejectSuspiciousShots;
+    }
+
+    getChatModerators() {
+        return this.config[this.environment].chatModerators;
+    }
+
+    getAdminUsers() {
+        return this.config[this.environment].adminUsers;
+    }
+
+    isAdmin(username) {
+        return this.getAdminUsers().includes(username);
+    }
+
+    getTrustedProxyHops() {
+        return this.config[this.environment].trustedProxyHops;
+    }
+
+    getMaxConnectionsPerIp() {
+        return this.config[this.environment].maxConnectionsPerIp;
+    }
+
+    getMaxJoinsPerMinute() {
+        return this.config[this.environment].maxJoinsPerMinute;
+    }
+
+    getRateLimits() {
+        return this.config[this.environment].rateLimits;
+    }
+
+    getLogLevel() {
+        return this.config[this.environment].logLevel;
+    }
+
+    getMetricsToken() {
+        return this.config[this.environment].metricsToken;
+    }
+
+    getProfanityListPath() {
+        return this.config[this.environment].profanityListPath;
+    }
+
     logEnvironmentInfo() {
-        console.log('🚀 服务器配置信息:');
-        console.log(`   环境: ${this.environment}`);
-        console.log(`   端口: ${this.getPort()}`);
-        console.log(`   前端URL: ${JSON.stringify(this.getFrontendUrls())}`);
-        console.log(`   调试模式: ${this.shouldDebug()}`);
-        console.log(`   NODE_ENV: ${process.env.NODE_ENV || '未设置'}`);
+        logger.info('🚀 服务器配置信息', {
+            environment: this.environment,
+            port: this.getPort(),
+            frontendUrls: this.getFrontendUrls(),
+            debug: this.shouldDebug(),
+            logLevel: this.getLogLevel(),
+            dataDir: this.getDataDir(),
+            allowGuests: this.allowsGuests(),
+            clusterMode: this.isClusterMode(),
+            rejectSuspiciousShots: this.shouldRejectSuspiciousShots(),
+            chatModerators: this.getChatModerators().length,
+            adminUsers: this.getAdminUsers().length,
+            trustedProxyHops: this.getTrustedProxyHops(),
+            maxConnectionsPerIp: this.getMaxConnectionsPerIp(),
+            metricsProtected: Boolean(this.getMetricsToken()),
+            profanityList: this.getProfanityListPath() || '内置列表',
+            nodeEnv: process.env.NODE_ENV || '未设置'
+        });
+        
+        if (this.environment === 'production' && this.getTrustedProxyHops() === 0) {
+            logger.warn('⚠️ 未设置 TRUST_PROXY，部署在代理后面时所有连接都会被当作来自代理的IP（按IP的限制和封禁会影响所有玩家）');
+        }
     }
 
     // 获取环境信息用于API返回
@@ -0,0 +1,68 @@
+// 按IP限制连接：同一IP同时保持的连接数，以及一段时间内进入球桌（加入、观战、恢复会话）的次数
+// 防止换个玩家ID不断重连或反复进出球桌刷屏
+const CONNECTION_LIMITS = {
+    MAX_CONNECTIONS_PER_IP: 20,
+    MAX_JOIN_ATTEMPTS: 30,          // 每个IP在时间窗口内最多的进桌次数
+    JOIN_WINDOW: 60 * 1000
+};
+
+class ConnectionLimiter {
+    constructor(limits = {}) {
+        this.limits = { ...CONNECTION_LIMITS, ...limits };
+        this.connections = new Map();   // address -> 当前连接数
+        this.joinAttempts = new Map();  // address -> 时间窗口内的进桌时间（毫秒）
+    }
+
+    canConnect(address) {
+        return this.getConnectionCount(address) < this.limits.MAX_CONNECTIONS_PER_IP;
+    }
+
+    getConnectionCount(address) {
+        return this.connections.get(address) || 0;
+    }
+
+    addConnection(address) {
+        this.connections.set(address, this.getConnectionCount(address) + 1);
+    }
+
+    removeConnection(address) {
+        const count = this.getConnectionCount(address) - 1;
+        if (count > 0) {
+            this.connections.set(address, count);
+        } else {
+            this.connections.delete(address);
+        }
+    }
+
+    // 记录一次进桌，超过限制时返回 false（超出的次数不计入）
+    recordJoinAttempt(address, now = Date.now()) {
+        const attempts = this.getRecentAttempts(address, now);
+        if (attempts.length >= this.limits.MAX_JOIN_ATTEMPTS) {
+            return false;
+        }
+        attempts.push(now);
+        this.joinAttempts.set(address, attempts);
+        return true;
+    }
+
+    getRecentAttempts(address, now = Date.now()) {
+        return (this.joinAttempts.get(address) || []).filter(time => now - time < this.limits.JOIN_WINDOW);
+    }
+
+    // 清除时间窗口外的进桌记录，定期调用
+    cleanup(now = Date.now()) {
+        this.joinAttempts.forEach((attempts, address) => {
+            const recent = attempts.filter(time => now - time < this.limits.JOIN_WINDOW);
+            if (recent.length > 0) {
+                this.joinAttempts.set(address, recent);
+            } else {
+                this.joinAttempts.delete(address);
+            }
+        });
+    }
+}
+
+module.exports = {
+    ConnectionLimiter,
+    CONNECTION_LIMITS
+};
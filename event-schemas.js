@@ -0,0 +1,324 @@
+// 客户端事件参数校验：每个事件声明一个 schema，由连接中间件在事件处理前统一校验
+// 校验只负责类型、取值范围和大小上限，业务规则（例如ID长度、目标分数）仍由各事件处理返回具体提示
+//
+// schema 写法：
+//   { type: 'string', minLength, maxLength, pattern }
+//   { type: 'number', min, max, integer }       // 只接受有限数值
+//   { type: 'boolean' }
+//   { type: 'object', properties: { 字段: schema }, required: [字段] }   // 未列入 required 的字段可以不传，不允许未声明的字段
+//   { type: 'map', keyPattern, values: schema, maxKeys }                  // 键不固定的对象
+//   { type: 'array', items: schema, maxItems }
+//   { anyOf: [schema, ...] }
+//   事件参数本身可以不传时使用 optional: true（undefined 或 null，对象参数由 normalizeEventPayload 转换为空对象）
+const { TABLE } = require('./physics');
+const { CHAT_CONFIG } = require('./chat');
+
+const SCHEMA_LIMITS = {
+    MAX_BALL_NUMBER: 15,
+    MAX_ID_LENGTH: 64,          // 玩家ID、房间ID等标识的上限（更严格的长度限制由事件处理检查）
+    MAX_TOKEN_LENGTH: 128,
+    MAX_TEXT_LENGTH: 1000,      // 聊天内容、房间名称等文本的上限
+    COORDINATE_MARGIN: 0.2,     // 落袋球的位置可能超出台面边缘
+    MAX_SHOT_ANGLE: 100         // 角度单位为弧度，允许客户端传入未归一化的值
+};
+
+const BALL_NUMBER_PATTERN = /^(?:[0-9]|1[0-5])$/;   // 0 到 MAX_BALL_NUMBER
+const MAX_X = TABLE.length / 2 + SCHEMA_LIMITS.COORDINATE_MARGIN;
+const MAX_Y = TABLE.width / 2 + SCHEMA_LIMITS.COORDINATE_MARGIN;
+const BALL_COUNT = SCHEMA_LIMITS.MAX_BALL_NUMBER + 1;
+
+const id = { type: 'string', maxLength: SCHEMA_LIMITS.MAX_ID_LENGTH };
+const text = { type: 'string', maxLength: SCHEMA_LIMITS.MAX_TEXT_LENGTH };
+const timestamp = { type: 'number', min: 0 };
+
+const ballNumber = { type: 'number', integer: true, min: 0, max: SCHEMA_LIMITS.MAX_BALL_NUMBER };
+
+const ballsState = {
+    type: 'map',
+    keyPattern: BALL_NUMBER_PATTERN,
+    maxKeys: BALL_COUNT,
+    values: {
+        type: 'object',
+        properties: {
+            x: { type: 'number', min: -MAX_X, max: MAX_X },
+            y: { type: 'number', min: -MAX_Y, max: MAX_Y },
+            pocketed: { type: 'boolean' }
+        },
+        required: ['x', 'y']
+    }
+};
+
+const shotData = {
+    type: 'object',
+    properties: {
+        angle: { type: 'number', min: -SCHEMA_LIMITS.MAX_SHOT_ANGLE, max: SCHEMA_LIMITS.MAX_SHOT_ANGLE },
+        power: { type: 'number' },
+        spin: {
+            type: 'object',
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' }
+            }
+        }
+    },
+    required: ['angle', 'power']
+};
+
+const shotClockSettings = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        practice: { type: 'boolean' },
+        duration: { type: 'number' },
+        warnings: { type: 'array', maxItems: 10, items: { type: 'number' } },
+        extensions: { type: 'number' },
+        extensionDuration: { type: 'number' },
+        penalty: id
+    }
+};
+
+// 旧版客户端在每个事件中都会带上 playerId（服务端以连接绑定的身份为准）
+function payload(properties = {}, required = [], optional = false) {
+    return {
+        type: 'object',
+        properties: { playerId: id, ...properties },
+        required,
+        optional
+    };
+}
+
+// 没有参数的事件：允许不传，或只带 playerId
+const noPayload = payload({}, [], true);
+
+const EVENT_SCHEMAS = {
+    listRooms: noPayload,
+    createRoom: payload({ name: text, shotClock: shotClockSettings }, [], true),
+    joinGame: payload({ roomId: id }, [], false),
+    resumeSession: payload({
+        resumeToken: { type: 'string', maxLength: SCHEMA_LIMITS.MAX_TOKEN_LENGTH }
+    }, ['resumeToken']),
+    leaveRoom: noPayload,
+    spectate: payload({ roomId: id, name: text }, [], true),
+    chatMessage: payload({ content: text, channel: id, to: id }),
+    reactToMessage: payload({
+        messageId: id,
+        emoji: { type: 'string', minLength: 1, maxLength: CHAT_CONFIG.MAX_REACTION_LENGTH, pattern: /^\S+$/ }
+    }, ['messageId', 'emoji']),
+    editMessage: payload({ messageId: id, content: text }, ['messageId']),
+    deleteMessage: payload({ messageId: id }, ['messageId']),
+    loadMoreChat: payload({
+        channel: id,
+        with: id,
+        before: id,
+        limit: { type: 'number', integer: true, min: 1, max: CHAT_CONFIG.MAX_PAGE_SIZE }
+    }, ['channel']),
+    heartbeat: noPayload,
+    ping: {
+        anyOf: [
+            { type: 'number', min: 0 },
+            { type: 'object', properties: { timestamp } }
+        ],
+        optional: true
+    },
+    requestCue: noPayload,
+    leaveCueQueue: noPayload,
+    takeCue: noPayload,
+    releaseCue: noPayload,
+    shotStart: payload({
+        shotData,
+        ballsState,   // 旧版客户端上报的击球前球台，服务端不采用
+    }, ['shotData']),
+    ballsState: payload({ state: ballsState }, ['state']),
+    ballHit: payload({
+        shotData,
+        ballsState
+    }, [], true),
+    simulationComplete: payload({ finalState: ballsState }, [], true),
+    resetTable: noPayload,
+    setGameMode: payload({ mode: { type: 'string', maxLength: SCHEMA_LIMITS.MAX_ID_LENGTH } }, ['mode']),
+    setShotClock: payload(shotClockSettings.properties),
+    extendShotClock: noPayload,
+    startGame: payload({
+        opponentId: id,
+        targetScore: { type: 'number' }
+    }, [], true),
+    queueForMatch: payload({ mode: id }, [], true),
+    cancelQueue: noPayload,
+    placeCueBall: payload({
+        x: { type: 'number' },
+        y: { type: 'number' }
+    }, ['x', 'y']),
+    ballsPocketed: payload({
+        pocketedBalls: {
+            type: 'array',
+            maxItems: BALL_COUNT,
+            items: {
+                type: 'object',
+                properties: {
+                    ballNumber,
+                    pocket: id,
+                    pocketType: id,
+                    time: timestamp
+                },
+                required: ['ballNumber']
+            }
+        }
+    }, ['pocketedBalls']),
+    clearScores: noPayload,
+    requestReplay: payload({ gameId: { type: 'string', maxLength: SCHEMA_LIMITS.MAX_ID_LENGTH } }, ['gameId']),
+    getScores: noPayload
+};
+
+function describePath(path) {
+    return path || '参数';
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 各类型的校验，返回 null 表示通过，否则返回 { path, message }
+const TYPE_VALIDATORS = {
+    string(schema, value, path) {
+        if (typeof value !== 'string') {
+            return { path, message: `${describePath(path)}必须是字符串` };
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return { path, message: `${describePath(path)}不能少于${schema.minLength}个字符` };
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return { path, message: `${describePath(path)}不能超过${schema.maxLength}个字符` };
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            return { path, message: `${describePath(path)}格式不正确` };
+        }
+        return null;
+    },
+
+    number(schema, value, path) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return { path, message: `${describePath(path)}必须是数字` };
+        }
+        if (schema.integer && !Number.isInteger(value)) {
+            return { path, message: `${describePath(path)}必须是整数` };
+        }
+        if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+            return { path, message: `${describePath(path)}超出取值范围` };
+        }
+        return null;
+    },
+
+    boolean(schema, value, path) {
+        return typeof value === 'boolean' ? null : { path, message: `${describePath(path)}必须是布尔值` };
+    },
+
+    object(schema, value, path) {
+        if (!isPlainObject(value)) {
+            return { path, message: `${describePath(path)}必须是对象` };
+        }
+
+        const properties = schema.properties || {};
+        const unknownKey = Object.keys(value).find(key => !Object.prototype.hasOwnProperty.call(properties, key));
+        if (unknownKey !== undefined) {
+            return { path: joinPath(path, unknownKey), message: `不支持的字段 ${joinPath(path, unknownKey)}` };
+        }
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            const optional = !(schema.required || []).includes(key);
+            const error = validateValue({ ...propertySchema, optional }, value[key], joinPath(path, key));
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    },
+
+    map(schema, value, path) {
+        if (!isPlainObject(value)) {
+            return { path, message: `${describePath(path)}必须是对象` };
+        }
+
+        const keys = Object.keys(value);
+        if (schema.maxKeys !== undefined && keys.length > schema.maxKeys) {
+            return { path, message: `${describePath(path)}最多包含${schema.maxKeys}项` };
+        }
+
+        for (const key of keys) {
+            if (schema.keyPattern && !schema.keyPattern.test(key)) {
+                return { path: joinPath(path, key), message: `${describePath(path)}包含无效的键 ${key}` };
+            }
+            const error = validateValue(schema.values, value[key], joinPath(path, key));
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    },
+
+    array(schema, value, path) {
+        if (!Array.isArray(value)) {
+            return { path, message: `${describePath(path)}必须是数组` };
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return { path, message: `${describePath(path)}最多包含${schema.maxItems}项` };
+        }
+
+        for (let i = 0; i < value.length; i++) {
+            const error = validateValue(schema.items, value[i], `${path}[${i}]`);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+};
+
+// 按 schema 校验一个值
+function validateValue(schema, value, path = '') {
+    if (value === undefined || value === null) {
+        return schema.optional ? null : { path, message: `缺少${describePath(path)}` };
+    }
+
+    if (schema.anyOf) {
+        const passed = schema.anyOf.some(option => validateValue(option, value, path) === null);
+        return passed ? null : { path, message: `${describePath(path)}格式不正确` };
+    }
+
+    return TYPE_VALIDATORS[schema.type](schema, value, path);
+}
+
+// 事件的 schema，和 Object.prototype 属性同名的事件不会取到原型上的方法
+function getEventSchema(event) {
+    return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+}
+
+// 校验事件参数，未声明 schema 的事件一律拒绝
+function validateEventPayload(event, data) {
+    const schema = getEventSchema(event);
+    if (!schema) {
+        return { valid: false, path: '', message: `未知的事件 ${event}` };
+    }
+
+    const error = validateValue(schema, data);
+    return error ? { valid: false, ...error } : { valid: true };
+}
+
+// 没有传入的对象参数转换为空对象，事件处理可以直接读取其中的字段
+function normalizeEventPayload(event, data) {
+    const schema = getEventSchema(event);
+    if ((data === undefined || data === null) && schema && schema.type === 'object') {
+        return {};
+    }
+    return data;
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    SCHEMA_LIMITS,
+    validateEventPayload,
+    normalizeEventPayload
+};
@@ -0,0 +1,184 @@
+// 比赛规则引擎基类：两名玩家轮流击球，子类实现摆球和每杆的判定
+const crypto = require('crypto');
+const { spotObjectBall } = require('../physics');
+
+const CUE_BALL = 0;
+
+// 各模式通用的犯规原因
+const FOUL_REASONS = {
+    SCRATCH: '白球落袋',
+    NO_CONTACT: '白球未碰到任何球',
+    WRONG_BALL_FIRST: '首先碰到的不是目标球',
+    NO_RAIL: '碰球后没有球碰库或落袋',
+    ILLEGAL_BREAK: '开球无效',
+    SHOT_CLOCK: '击球超时'
+};
+
+class BaseGame {
+    constructor(playerIds) {
+        this.id = crypto.randomUUID();   // 比赛ID，同时用作比赛记录和回放的ID
+        this.players = playerIds.slice(0, 2);
+        this.turnIndex = 0;              // 发起比赛的玩家开球
+        this.isBreak = true;
+        this.ballInHand = true;          // 开球时白球可在开球区内自由摆放
+        this.ballInHandArea = 'kitchen'; // 'kitchen'（开球线后）或 'anywhere'
+        this.status = 'playing';
+        this.winner = null;
+        this.shotCount = 0;
+        this.startedAt = Date.now();
+        this.stats = {};                 // 每名玩家的出杆、进球和犯规统计
+        this.players.forEach(id => {
+            this.stats[id] = { shots: 0, ballsPocketed: [], fouls: 0 };
+        });
+    }
+
+    get currentTurn() {
+        return this.players[this.turnIndex];
+    }
+
+    isActive() {
+        return this.status === 'playing';
+    }
+
+    isParticipant(playerId) {
+        return this.players.includes(playerId);
+    }
+
+    getOpponent(playerId) {
+        return this.players.find(id => id !== playerId);
+    }
+
+    // 创建判定结果的默认结构
+    createOutcome(shotResult) {
+        return {
+            shooter: this.currentTurn,
+            pocketed: shotResult.pocketed.map(p => p.ballNumber).filter(n => n !== CUE_BALL),
+            fouls: [],
+            respotBalls: [],
+            continueTurn: false,
+            nextPlayer: this.currentTurn,
+            ballInHand: false,
+            gameOver: null
+        };
+    }
+
+    // 通用犯规检查：白球落袋、空杆、碰球后无球碰库（开球由各模式单独判定）
+    checkCommonFouls(shotResult, outcome, isBreak) {
+        if (shotResult.cueBallPocketed) {
+            outcome.fouls.push(FOUL_REASONS.SCRATCH);
+        }
+        if (shotResult.firstContact === null) {
+            outcome.fouls.push(FOUL_REASONS.NO_CONTACT);
+        } else if (!isBreak && shotResult.pocketed.length === 0 && shotResult.railContacts.length === 0) {
+            outcome.fouls.push(FOUL_REASONS.NO_RAIL);
+        }
+    }
+
+    // 开球是否有效：有球落袋，或足够数量的目标球碰库
+    isLegalBreak(shotResult, minRailBalls) {
+        const objectBallsPocketed = shotResult.pocketed.filter(p => p.ballNumber !== CUE_BALL);
+        const railObjectBalls = shotResult.railContacts.filter(n => n !== CUE_BALL);
+        return objectBallsPocketed.length > 0 || railObjectBalls.length >= minRailBalls;
+    }
+
+    // 结束本杆：交换球权，犯规时对手获得自由球
+    passTurn(outcome) {
+        const isFoul = outcome.fouls.length > 0;
+
+        if (!outcome.continueTurn) {
+            this.turnIndex = 1 - this.turnIndex;
+            outcome.nextPlayer = this.currentTurn;
+        }
+
+        if (isFoul) {
+            this.ballInHand = true;
+            this.ballInHandArea = 'anywhere';
+            outcome.ballInHand = true;
+        }
+
+        return outcome;
+    }
+
+    // 记录本杆的个人统计（犯规时打进的球不计入）
+    recordShotStats(outcome) {
+        const stats = this.stats[outcome.shooter];
+        stats.shots++;
+        if (outcome.fouls.length > 0) {
+            stats.fouls++;
+        } else {
+            stats.ballsPocketed.push(...outcome.pocketed);
+        }
+    }
+
+    // 根据判定结果调整球台（如把球放回置球点）
+    adjustTable(ballsState, outcome) {
+        outcome.respotBalls.forEach(number => spotObjectBall(ballsState, number));
+        return ballsState;
+    }
+
+    // 击球超时：penalty 为 'foul' 时按犯规处理（对手获得自由球），'passTurn' 时只交换球权
+    // 开球超时由对手开球，白球仍只能摆在开球线后
+    timeoutShot(penalty) {
+        const outcome = this.createOutcome({ pocketed: [] });
+        outcome.timeout = true;
+        if (penalty === 'foul') {
+            outcome.fouls.push(FOUL_REASONS.SHOT_CLOCK);
+            this.stats[outcome.shooter].fouls++;
+        }
+
+        if (this.isBreak) {
+            this.turnIndex = 1 - this.turnIndex;
+            outcome.nextPlayer = this.currentTurn;
+            outcome.ballInHand = this.ballInHand;
+            return outcome;
+        }
+
+        this.ballInHand = false;
+        return this.passTurn(outcome);
+    }
+
+    // 玩家中途离开，对手获胜
+    forfeit(playerId) {
+        const winner = this.getOpponent(playerId);
+        this.finish(winner);
+        return { winner, loser: playerId, reason: `${playerId} 离开了比赛` };
+    }
+
+    finish(winner) {
+        this.status = 'finished';
+        this.winner = winner;
+    }
+
+    // 导出比赛的完整内部状态（均为普通数据），用于重启后恢复
+    toSnapshot() {
+        return JSON.parse(JSON.stringify(this));
+    }
+
+    // 从快照恢复比赛，子类通过 this 得到正确的类型
+    static fromSnapshot(snapshot) {
+        const game = new this(snapshot.players);
+        Object.assign(game, snapshot);
+        return game;
+    }
+
+    getState() {
+        return {
+            id: this.id,
+            mode: this.mode,
+            status: this.status,
+            players: this.players,
+            currentTurn: this.isActive() ? this.currentTurn : null,
+            isBreak: this.isBreak,
+            ballInHand: this.ballInHand,
+            ballInHandArea: this.ballInHandArea,
+            winner: this.winner,
+            shotCount: this.shotCount
+        };
+    }
+}
+
+module.exports = {
+    BaseGame,
+    CUE_BALL,
+    FOUL_REASONS
+};
@@ -0,0 +1,150 @@
+// 8球规则引擎：开球、分组、轮换、犯规、自由球和胜负判定
+const { BaseGame, FOUL_REASONS: BASE_FOUL_REASONS } = require('./base-game');
+const { createStandardRack } = require('../physics');
+
+const EIGHT_BALL = 8;
+const MIN_BREAK_RAIL_BALLS = 4; // 开球未进球时至少需要碰库的目标球数
+
+const GROUPS = {
+    solids: [1, 2, 3, 4, 5, 6, 7],
+    stripes: [9, 10, 11, 12, 13, 14, 15]
+};
+
+const FOUL_REASONS = {
+    ...BASE_FOUL_REASONS,
+    WRONG_BALL_FIRST: '首先碰到的不是本方目标球',
+    ILLEGAL_BREAK: '开球无效（未进球且碰库球少于4颗）'
+};
+
+function getBallGroup(ballNumber) {
+    if (ballNumber === EIGHT_BALL) return 'eight';
+    if (GROUPS.solids.includes(ballNumber)) return 'solids';
+    if (GROUPS.stripes.includes(ballNumber)) return 'stripes';
+    return null;
+}
+
+function getOtherGroup(group) {
+    return group === 'solids' ? 'stripes' : 'solids';
+}
+
+class EightBallGame extends BaseGame {
+    // 标准15球三角摆球，8号球位于第三排中间
+    static createRack() {
+        return createStandardRack();
+    }
+
+    constructor(playerIds) {
+        super(playerIds);
+        this.mode = 'eightBall';
+        this.groups = {};                // playerId -> 'solids' | 'stripes'
+    }
+
+    get isTableOpen() {
+        return Object.keys(this.groups).length === 0;
+    }
+
+    // 玩家本方目标球是否已全部落袋（此时目标为8号球）
+    hasClearedGroup(playerId, ballsState) {
+        const group = this.groups[playerId];
+        if (!group) {
+            return false;
+        }
+        return GROUPS[group].every(number => !ballsState[number] || ballsState[number].pocketed);
+    }
+
+    // 根据服务端物理模拟结果判定本杆
+    // preShotState 为击球前的球状态，用于判断击球前本方是否已清台
+    evaluateShot(shotResult, preShotState) {
+        const outcome = this.createOutcome(shotResult);
+        const { shooter } = outcome;
+        const opponent = this.getOpponent(shooter);
+        const objectBallsPocketed = outcome.pocketed;
+        const wasBreak = this.isBreak;
+        const shooterGroup = this.groups[shooter];
+        const onEightBall = this.hasClearedGroup(shooter, preShotState);
+
+        outcome.groupAssigned = null;
+
+        this.shotCount++;
+        this.isBreak = false;
+        this.ballInHand = false;
+
+        // 1. 犯规判定
+        this.checkCommonFouls(shotResult, outcome, wasBreak);
+        if (shotResult.firstContact !== null) {
+            if (wasBreak) {
+                if (!this.isLegalBreak(shotResult, MIN_BREAK_RAIL_BALLS)) {
+                    outcome.fouls.push(FOUL_REASONS.ILLEGAL_BREAK);
+                }
+            } else {
+                const firstGroup = getBallGroup(shotResult.firstContact);
+                const legalFirst = onEightBall
+                    ? firstGroup === 'eight'
+                    : (shooterGroup ? firstGroup === shooterGroup : firstGroup !== 'eight');
+                if (!legalFirst) {
+                    outcome.fouls.push(FOUL_REASONS.WRONG_BALL_FIRST);
+                }
+            }
+        }
+
+        const isFoul = outcome.fouls.length > 0;
+
+        // 2. 8号球落袋
+        if (objectBallsPocketed.includes(EIGHT_BALL)) {
+            if (wasBreak) {
+                // 开球打进8号球不判负，将8号球放回置球点
+                outcome.respotBalls.push(EIGHT_BALL);
+            } else {
+                const won = onEightBall && !isFoul;
+                this.finish(won ? shooter : opponent);
+                outcome.gameOver = {
+                    winner: this.winner,
+                    loser: won ? opponent : shooter,
+                    reason: won ? '打进8号球获胜' : (isFoul ? '打进8号球时犯规' : '提前打进8号球')
+                };
+                outcome.nextPlayer = null;
+                return outcome;
+            }
+        }
+
+        // 3. 开放球台时根据第一颗合法落袋的球分组
+        if (!wasBreak && this.isTableOpen && !isFoul) {
+            const firstGrouped = shotResult.pocketed
+                .map(p => getBallGroup(p.ballNumber))
+                .find(group => group === 'solids' || group === 'stripes');
+            if (firstGrouped) {
+                this.groups[shooter] = firstGrouped;
+                this.groups[opponent] = getOtherGroup(firstGrouped);
+                outcome.groupAssigned = { ...this.groups };
+            }
+        }
+
+        // 4. 判断是否继续击球
+        if (!isFoul) {
+            const ownGroup = this.groups[shooter];
+            outcome.continueTurn = wasBreak
+                ? objectBallsPocketed.length > 0
+                : objectBallsPocketed.some(n => {
+                    const group = getBallGroup(n);
+                    return ownGroup ? group === ownGroup : group !== 'eight';
+                });
+        }
+
+        // 5. 交换球权，犯规后对手获得自由球（可摆放在台面任意位置）
+        return this.passTurn(outcome);
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            groups: this.groups,
+            tableOpen: this.isTableOpen
+        };
+    }
+}
+
+module.exports = {
+    EightBallGame,
+    getBallGroup,
+    FOUL_REASONS
+};
@@ -0,0 +1,58 @@
+// 游戏模式注册表：每种模式提供摆球方式和规则引擎，自由练习没有规则引擎
+const { createStandardRack } = require('../physics');
+const { EightBallGame } = require('./eight-ball');
+const { NineBallGame } = require('./nine-ball');
+const { StraightPoolGame } = require('./straight-pool');
+
+const DEFAULT_GAME_MODE = 'practice';
+
+const GAME_MODES = {
+    practice: {
+        id: 'practice',
+        name: '自由练习',
+        description: '自由拿杆击球，打进的球计入个人记录',
+        createRack: createStandardRack,
+        Game: null
+    },
+    eightBall: {
+        id: 'eightBall',
+        name: '8球',
+        description: '全色/花色分组，清台后打进8号球获胜',
+        createRack: EightBallGame.createRack,
+        Game: EightBallGame
+    },
+    nineBall: {
+        id: 'nineBall',
+        name: '9球',
+        description: '每杆先碰号码最小的球，合法打进9号球获胜',
+        createRack: NineBallGame.createRack,
+        Game: NineBallGame
+    },
+    straightPool: {
+        id: 'straightPool',
+        name: '14.1 连续进球',
+        description: '每球1分，剩一颗球时重新摆球，先达到目标分数获胜',
+        createRack: StraightPoolGame.createRack,
+        Game: StraightPoolGame
+    }
+};
+
+function getGameMode(modeId) {
+    return Object.prototype.hasOwnProperty.call(GAME_MODES, modeId) ? GAME_MODES[modeId] : null;
+}
+
+function listGameModes() {
+    return Object.values(GAME_MODES).map(({ id, name, description, Game }) => ({
+        id,
+        name,
+        description,
+        isMatch: Game !== null
+    }));
+}
+
+module.exports = {
+    GAME_MODES,
+    DEFAULT_GAME_MODE,
+    getGameMode,
+    listGameModes
+};
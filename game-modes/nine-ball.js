@@ -0,0 +1,84 @@
+// 9球规则引擎：每杆必须先碰台面上号码最小的球，合法打进9号球获胜
+const { BaseGame, CUE_BALL, FOUL_REASONS: BASE_FOUL_REASONS } = require('./base-game');
+const { createDiamondRack } = require('../physics');
+
+const NINE_BALL = 9;
+const MIN_BREAK_RAIL_BALLS = 4; // 开球未进球时至少需要碰库的目标球数
+const RACK_ORDER = [1, 2, 3, 4, 9, 5, 6, 7, 8]; // 1号球在顶点，9号球在中间
+
+const FOUL_REASONS = {
+    ...BASE_FOUL_REASONS,
+    WRONG_BALL_FIRST: '首先碰到的不是台面上号码最小的球',
+    ILLEGAL_BREAK: '开球无效（未进球且碰库球少于4颗）'
+};
+
+// 台面上号码最小的目标球
+function getLowestBall(ballsState) {
+    const numbers = Object.keys(ballsState)
+        .map(Number)
+        .filter(number => number !== CUE_BALL && !ballsState[number].pocketed);
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+}
+
+class NineBallGame extends BaseGame {
+    // 1-9号球菱形摆球
+    static createRack() {
+        return createDiamondRack(RACK_ORDER);
+    }
+
+    constructor(playerIds) {
+        super(playerIds);
+        this.mode = 'nineBall';
+    }
+
+    // 根据服务端物理模拟结果判定本杆
+    evaluateShot(shotResult, preShotState) {
+        const outcome = this.createOutcome(shotResult);
+        const { shooter } = outcome;
+        const wasBreak = this.isBreak;
+        const lowestBall = getLowestBall(preShotState);
+
+        this.shotCount++;
+        this.isBreak = false;
+        this.ballInHand = false;
+
+        // 1. 犯规判定
+        this.checkCommonFouls(shotResult, outcome, wasBreak);
+        if (shotResult.firstContact !== null) {
+            if (shotResult.firstContact !== lowestBall) {
+                outcome.fouls.push(FOUL_REASONS.WRONG_BALL_FIRST);
+            }
+            if (wasBreak && !this.isLegalBreak(shotResult, MIN_BREAK_RAIL_BALLS)) {
+                outcome.fouls.push(FOUL_REASONS.ILLEGAL_BREAK);
+            }
+        }
+
+        const isFoul = outcome.fouls.length > 0;
+
+        // 2. 9号球落袋：合法打进获胜（包括开球和组合球），犯规时放回置球点
+        if (outcome.pocketed.includes(NINE_BALL)) {
+            if (!isFoul) {
+                this.finish(shooter);
+                outcome.gameOver = {
+                    winner: shooter,
+                    loser: this.getOpponent(shooter),
+                    reason: wasBreak ? '开球打进9号球获胜' : '打进9号球获胜'
+                };
+                outcome.nextPlayer = null;
+                return outcome;
+            }
+            outcome.respotBalls.push(NINE_BALL);
+        }
+
+        // 3. 合法打进任意球可以继续击球
+        outcome.continueTurn = !isFoul && outcome.pocketed.length > 0;
+
+        return this.passTurn(outcome);
+    }
+}
+
+module.exports = {
+    NineBallGame,
+    getLowestBall,
+    FOUL_REASONS
+};
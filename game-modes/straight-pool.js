@@ -0,0 +1,190 @@
+// 14.1 连续进球（Straight Pool）规则引擎：每颗合法落袋的球得1分，台面只剩一颗球时重新摆球
+const { BaseGame, CUE_BALL, FOUL_REASONS: BASE_FOUL_REASONS } = require('./base-game');
+const {
+    TABLE,
+    createStandardRack,
+    createTriangleRack,
+    isPositionFree,
+    respotCueBall
+} = require('../physics');
+
+const DEFAULT_TARGET_SCORE = 50;
+const MIN_BREAK_RAIL_BALLS = 2;     // 开球未进球时至少需要碰库的目标球数
+const FOUL_PENALTY = 1;
+const BREAK_FOUL_PENALTY = 2;
+const THREE_FOUL_PENALTY = 15;      // 连续三次犯规的额外罚分
+const APEX_PLACEHOLDER = -1;        // 重新摆球时空出三角形顶点
+
+const FOUL_REASONS = {
+    ...BASE_FOUL_REASONS,
+    ILLEGAL_BREAK: '开球无效（未进球且碰库球少于2颗）'
+};
+
+function getObjectBallsOnTable(ballsState) {
+    return Object.keys(ballsState)
+        .map(Number)
+        .filter(number => number !== CUE_BALL && !ballsState[number].pocketed);
+}
+
+class StraightPoolGame extends BaseGame {
+    // 标准15球三角摆球
+    static createRack() {
+        return createStandardRack();
+    }
+
+    constructor(playerIds, options = {}) {
+        super(playerIds);
+        this.mode = 'straightPool';
+        this.targetScore = options.targetScore || DEFAULT_TARGET_SCORE;
+        this.scores = {};
+        this.consecutiveFouls = {};
+        this.players.forEach(id => {
+            this.scores[id] = 0;
+            this.consecutiveFouls[id] = 0;
+        });
+    }
+
+    // 根据服务端物理模拟结果判定本杆
+    evaluateShot(shotResult) {
+        const outcome = this.createOutcome(shotResult);
+        const { shooter } = outcome;
+        const wasBreak = this.isBreak;
+
+        this.shotCount++;
+        this.isBreak = false;
+        this.ballInHand = false;
+
+        // 1. 犯规判定
+        this.checkCommonFouls(shotResult, outcome, wasBreak);
+        if (wasBreak && shotResult.firstContact !== null &&
+            !this.isLegalBreak(shotResult, MIN_BREAK_RAIL_BALLS)) {
+            outcome.fouls.push(FOUL_REASONS.ILLEGAL_BREAK);
+        }
+
+        const isFoul = outcome.fouls.length > 0;
+        let points = 0;
+
+        // 2. 计分：合法落袋每球1分；犯规扣分，犯规时打进的球放回置球点
+        if (isFoul) {
+            points -= this.getFoulPenalty(shooter, outcome.fouls.includes(FOUL_REASONS.ILLEGAL_BREAK));
+            outcome.respotBalls.push(...outcome.pocketed);
+        } else {
+            points += outcome.pocketed.length;
+            this.consecutiveFouls[shooter] = 0;
+        }
+
+        this.scores[shooter] += points;
+        outcome.points = { [shooter]: points };
+        outcome.scores = { ...this.scores };
+
+        // 3. 达到目标分数获胜
+        if (this.scores[shooter] >= this.targetScore) {
+            this.finish(shooter);
+            outcome.gameOver = {
+                winner: shooter,
+                loser: this.getOpponent(shooter),
+                reason: `率先达到 ${this.targetScore} 分`
+            };
+            outcome.nextPlayer = null;
+            return outcome;
+        }
+
+        // 4. 台面只剩一颗或没有目标球时重新摆球
+        const remaining = getObjectBallsOnTable(shotResult.finalState).length + outcome.respotBalls.length;
+        outcome.reRack = remaining <= 1;
+
+        outcome.continueTurn = !isFoul && outcome.pocketed.length > 0;
+        this.passTurn(outcome);
+
+        // 14.1 中只有白球落袋才有自由球，且只能摆在开球线后
+        this.ballInHand = shotResult.cueBallPocketed;
+        this.ballInHandArea = 'kitchen';
+        outcome.ballInHand = this.ballInHand;
+
+        return outcome;
+    }
+
+    // 犯规罚分，连续第三次犯规额外罚分
+    getFoulPenalty(shooter, isBreakFoul = false) {
+        let penalty = isBreakFoul ? BREAK_FOUL_PENALTY : FOUL_PENALTY;
+        this.consecutiveFouls[shooter]++;
+        if (this.consecutiveFouls[shooter] >= 3) {
+            penalty += THREE_FOUL_PENALTY;
+            this.consecutiveFouls[shooter] = 0;
+        }
+        return penalty;
+    }
+
+    // 击球超时按一般犯规扣分；14.1 中只有白球落袋才有自由球
+    timeoutShot(penalty) {
+        const wasBreak = this.isBreak;
+        const outcome = super.timeoutShot(penalty);
+        const { shooter } = outcome;
+
+        if (outcome.fouls.length > 0) {
+            const points = -this.getFoulPenalty(shooter);
+            this.scores[shooter] += points;
+            outcome.points = { [shooter]: points };
+            outcome.scores = { ...this.scores };
+        }
+
+        if (!wasBreak) {
+            this.ballInHand = false;
+            outcome.ballInHand = false;
+        }
+        return outcome;
+    }
+
+    adjustTable(ballsState, outcome) {
+        super.adjustTable(ballsState, outcome);
+        if (outcome.reRack) {
+            this.reRack(ballsState);
+        }
+        return ballsState;
+    }
+
+    // 把已落袋的球重新摆成三角形；剩下的一颗球保留在原位，顶点空出
+    reRack(ballsState) {
+        const remaining = getObjectBallsOnTable(ballsState);
+        const rackNumbers = [];
+        for (let number = 1; number <= 15; number++) {
+            if (!remaining.includes(number)) {
+                rackNumbers.push(number);
+            }
+        }
+
+        const order = remaining.length > 0 ? [APEX_PLACEHOLDER, ...rackNumbers] : rackNumbers;
+        const rack = createTriangleRack(order);
+        rackNumbers.forEach(number => {
+            ballsState[number] = rack[number];
+        });
+
+        // 剩余的球或白球挡住三角框时移开
+        remaining.forEach(number => {
+            const ball = ballsState[number];
+            if (!isPositionFree(ballsState, ball.x, ball.y, number)) {
+                ballsState[number] = { x: TABLE.headSpot.x, y: TABLE.headSpot.y, pocketed: false };
+            }
+        });
+        const cueBall = ballsState[CUE_BALL];
+        if (cueBall && !cueBall.pocketed && !isPositionFree(ballsState, cueBall.x, cueBall.y, CUE_BALL)) {
+            respotCueBall(ballsState);
+        }
+
+        return ballsState;
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            targetScore: this.targetScore,
+            scores: this.scores
+        };
+    }
+}
+
+module.exports = {
+    StraightPoolGame,
+    DEFAULT_TARGET_SCORE,
+    FOUL_REASONS
+};
@@ -0,0 +1,48 @@
+// 本地多进程部署：不需要 Redis，在一台机器上启动多个服务器进程，模拟多实例部署
+// 用法：node local-cluster.js [进程数，默认 2]，第 i 个进程监听 PORT + i，数据保存在 DATA_DIR/node-i
+// 节点之间的广播使用 Socket.IO cluster 适配器，共享状态存储由主进程保存，工作进程通过 IPC 访问
+const cluster = require('cluster');
+const crypto = require('crypto');
+const path = require('path');
+require('dotenv').config();
+
+if (cluster.isPrimary) {
+    const { setupPrimary } = require('@socket.io/cluster-adapter');
+    const { serveStateStore } = require('./state-store');
+
+    const workerCount = parseInt(process.argv[2], 10) || 2;
+    const basePort = parseInt(process.env.PORT, 10) || 3000;
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    // 各进程必须使用同一个会话密钥，登录才能在节点之间通用
+    const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+    setupPrimary();
+    serveStateStore(cluster);
+
+    for (let i = 0; i < workerCount; i++) {
+        cluster.fork({
+            PORT: String(basePort + i),
+            DATA_DIR: path.join(dataDir, `node-${i}`),
+            SESSION_SECRET: sessionSecret,
+            LOCAL_CLUSTER: 'true'
+        });
+    }
+
+    cluster.on('exit', (worker, code, signal) => {
+        console.log(`🛑 工作进程 ${worker.process.pid} 已退出（${signal || code}）`);
+        if (Object.keys(cluster.workers).length === 0) {
+            process.exit(0);
+        }
+    });
+
+    // 工作进程各自完成优雅关闭，全部退出后主进程再退出
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => {
+            for (const worker of Object.values(cluster.workers)) {
+                worker.process.kill(signal);
+            }
+        });
+    }
+} else {
+    require('./server');
+}
@@ -0,0 +1,99 @@
+// 结构化日志：每条日志输出一行 JSON（时间、级别、消息和上下文字段），便于托管平台收集和检索
+// 设置 LOG_FORMAT=pretty 时输出便于本地阅读的单行文本
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+// Error 对象转换为可以序列化的字段
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const context = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${context}`;
+}
+
+class Logger {
+    constructor(context = {}, root = null) {
+        this.context = context;
+        this.root = root || this;
+        if (!root) {
+            this.level = process.env.LOG_LEVEL in LOG_LEVELS ? process.env.LOG_LEVEL : 'info';
+            this.format = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+            this.listeners = [];
+        }
+    }
+
+    setLevel(level) {
+        if (level in LOG_LEVELS) {
+            this.root.level = level;
+        }
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.root.level];
+    }
+
+    // 带有固定上下文的日志，例如 logger.child({ socketId, playerId })
+    child(context) {
+        return new Logger({ ...this.context, ...context }, this.root);
+    }
+
+    // 每条输出的日志都会交给监听函数（用于统计错误数和记录最近的错误）
+    onEntry(listener) {
+        this.root.listeners.push(listener);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.context };
+        Object.entries(fields || {}).forEach(([key, value]) => {
+            if (value !== undefined) {
+                entry[key] = serializeValue(value);
+            }
+        });
+
+        let line;
+        try {
+            line = this.root.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        } catch (error) {
+            // 字段中有循环引用等无法序列化的内容时只输出消息
+            line = JSON.stringify({ time: entry.time, level, msg, ...this.context, serializeError: error.message });
+        }
+        (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+        this.root.listeners.forEach(listener => listener(entry));
+    }
+}
+
+module.exports = {
+    logger: new Logger(),
+    Logger,
+    LOG_LEVELS
+};
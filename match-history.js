@@ -0,0 +1,140 @@
+// 比赛历史：保存已结束的比赛，并按时间段汇总排行榜
+const crypto = require('crypto');
+
+const HISTORY_CONFIG = {
+    MAX_STORED_MATCHES: 5000,   // 最多保存的比赛数，超出后删除最早的记录
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+};
+
+// 排行榜统计周期（毫秒），all 表示全部历史
+const LEADERBOARD_PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null
+};
+
+class MatchHistory {
+    constructor(store) {
+        this.store = store;
+        this.matches = store.collection('matches', []);
+    }
+
+    // 保存一场已结束的比赛
+    recordMatch(match) {
+        const record = {
+            id: crypto.randomUUID(),
+            ...match,
+            duration: match.endedAt - match.startedAt
+        };
+
+        this.matches.push(record);
+        if (this.matches.length > HISTORY_CONFIG.MAX_STORED_MATCHES) {
+            this.matches.splice(0, this.matches.length - HISTORY_CONFIG.MAX_STORED_MATCHES);
+        }
+        this.store.save();
+
+        return record;
+    }
+
+    getMatch(matchId) {
+        return this.matches.find(match => match.id === matchId) || null;
+    }
+
+    // 分页查询比赛（最新的在前），可按玩家和模式筛选
+    listMatches({ playerId, mode, limit, offset } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || HISTORY_CONFIG.DEFAULT_PAGE_SIZE, 1), HISTORY_CONFIG.MAX_PAGE_SIZE);
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const filtered = this.matches
+            .filter(match => !playerId || match.players.some(p => p.playerId === playerId))
+            .filter(match => !mode || match.mode === mode)
+            .reverse();
+
+        return {
+            total: filtered.length,
+            limit: pageSize,
+            offset: start,
+            matches: filtered.slice(start, start + pageSize).map(match => this.toSummary(match))
+        };
+    }
+
+    toSummary(match) {
+        return {
+            id: match.id,
+            mode: match.mode,
+            players: match.players.map(p => p.playerId),
+            winner: match.winner,
+            reason: match.reason,
+            shotCount: match.shotCount,
+            duration: match.duration,
+            endedAt: match.endedAt
+        };
+    }
+
+    isValidPeriod(period) {
+        return Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period);
+    }
+
+    // 汇总排行榜：只统计注册玩家，按胜场、胜率、进球数排序
+    getLeaderboard({ period = 'all', mode } = {}) {
+        const length = LEADERBOARD_PERIODS[period];
+        const since = length ? Date.now() - length : null;
+        const stats = new Map();
+
+        for (const match of this.matches) {
+            if ((since && match.endedAt < since) || (mode && match.mode !== mode)) {
+                continue;
+            }
+
+            for (const player of match.players) {
+                if (player.isGuest) {
+                    continue;
+                }
+
+                if (!stats.has(player.playerId)) {
+                    stats.set(player.playerId, {
+                        playerId: player.playerId,
+                        games: 0,
+                        wins: 0,
+                        losses: 0,
+                        ballsPocketed: 0,
+                        shots: 0,
+                        fouls: 0
+                    });
+                }
+
+                const entry = stats.get(player.playerId);
+                entry.games++;
+                if (match.winner === player.playerId) {
+                    entry.wins++;
+                } else {
+                    entry.losses++;
+                }
+                entry.ballsPocketed += player.ballsPocketed.length;
+                entry.shots += player.shots;
+                entry.fouls += player.fouls;
+            }
+        }
+
+        const leaderboard = Array.from(stats.values())
+            .map(entry => ({
+                ...entry,
+                winRate: Number((entry.wins / entry.games).toFixed(3))
+            }))
+            .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || b.ballsPocketed - a.ballsPocketed)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        return {
+            period,
+            since: since ? new Date(since).toISOString() : null,
+            leaderboard
+        };
+    }
+}
+
+module.exports = {
+    MatchHistory,
+    LEADERBOARD_PERIODS
+};
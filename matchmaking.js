@@ -0,0 +1,103 @@
+// 匹配队列：按技术分配对同一模式下等待的玩家，等待越久可接受的分差越大
+const MATCHMAKING_CONFIG = {
+    INITIAL_RATING_WINDOW: 100,     // 刚排队时可接受的最大分差
+    WINDOW_EXPANSION_RATE: 50,      // 每等待10秒扩大的分差
+    WINDOW_EXPANSION_INTERVAL: 10000,
+    MAX_RATING_WINDOW: 500
+};
+
+class MatchmakingQueue {
+    constructor() {
+        this.entries = new Map(); // playerId -> { playerId, socketId, mode, rating, joinedAt }
+    }
+
+    enqueue(playerId, { socketId, mode, rating }) {
+        const entry = { playerId, socketId, mode, rating, joinedAt: Date.now() };
+        this.entries.set(playerId, entry);
+        return entry;
+    }
+
+    // 把配对后未能开局的玩家放回队列，保留原排队时间
+    restore(entry) {
+        this.entries.set(entry.playerId, entry);
+    }
+
+    remove(playerId) {
+        return this.entries.delete(playerId);
+    }
+
+    has(playerId) {
+        return this.entries.has(playerId);
+    }
+
+    get(playerId) {
+        return this.entries.get(playerId) || null;
+    }
+
+    countByMode(mode) {
+        let count = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.mode === mode) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // 当前可接受的分差
+    getRatingWindow(entry, now) {
+        const expansions = Math.floor((now - entry.joinedAt) / MATCHMAKING_CONFIG.WINDOW_EXPANSION_INTERVAL);
+        return Math.min(
+            MATCHMAKING_CONFIG.INITIAL_RATING_WINDOW + expansions * MATCHMAKING_CONFIG.WINDOW_EXPANSION_RATE,
+            MATCHMAKING_CONFIG.MAX_RATING_WINDOW
+        );
+    }
+
+    // 找出所有可以配对的玩家并移出队列；先排队的玩家优先，选择分差最小的对手
+    findMatches(now = Date.now()) {
+        const waiting = Array.from(this.entries.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+        const matched = new Set();
+        const matches = [];
+
+        for (const entry of waiting) {
+            if (matched.has(entry.playerId)) {
+                continue;
+            }
+
+            let best = null;
+            for (const candidate of waiting) {
+                if (candidate === entry || matched.has(candidate.playerId) || candidate.mode !== entry.mode) {
+                    continue;
+                }
+
+                const diff = Math.abs(candidate.rating - entry.rating);
+                const window = Math.min(this.getRatingWindow(entry, now), this.getRatingWindow(candidate, now));
+                if (diff <= window && (!best || diff < Math.abs(best.rating - entry.rating))) {
+                    best = candidate;
+                }
+            }
+
+            if (best) {
+                matched.add(entry.playerId);
+                matched.add(best.playerId);
+                matches.push([entry, best]);
+            }
+        }
+
+        matches.forEach(([a, b]) => {
+            this.entries.delete(a.playerId);
+            this.entries.delete(b.playerId);
+        });
+
+        return matches;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = {
+    MatchmakingQueue,
+    MATCHMAKING_CONFIG
+};
@@ -0,0 +1,143 @@
+// 运行指标：计数器、仪表和直方图，按 Prometheus 文本格式输出（/metrics 接口）
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// 标签值中的反斜杠、双引号和换行需要转义
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    const pairs = entries.map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function formatHeader(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// 没有标签的计数器从 0 开始输出，有标签的计数器在第一次计数后才出现对应的标签组合
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map();    // 标签 JSON -> { labels, value }
+        if (labelNames.length === 0) {
+            this.inc({}, 0);
+        }
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = JSON.stringify(labels);
+        const current = this.values.get(key) || { labels, value: 0 };
+        current.value += value;
+        this.values.set(key, current);
+    }
+
+    render() {
+        const lines = formatHeader(this.name, this.help, 'counter');
+        this.values.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+        return lines;
+    }
+}
+
+// 仪表的值在输出时由 collect 计算，返回数值或 [{ labels, value }]
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = formatHeader(this.name, this.help, 'gauge');
+        const result = this.collect();
+        const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        samples.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.counts = this.buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                this.counts[index]++;
+            }
+        });
+        this.sum += value;
+        this.count++;
+    }
+
+    render() {
+        const lines = formatHeader(this.name, this.help, 'histogram');
+        this.buckets.forEach((bound, index) => lines.push(`${this.name}_bucket{le="${bound}"} ${this.counts[index]}`));
+        lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // 进程的内存、运行时间和事件循环延迟（每次输出后重新统计延迟）
+    registerProcessMetrics() {
+        const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+        eventLoopDelay.enable();
+        const toSeconds = nanoseconds => (Number.isFinite(nanoseconds) ? nanoseconds / 1e9 : 0);
+
+        this.gauge('process_resident_memory_bytes', '进程占用的物理内存', () => process.memoryUsage().rss);
+        this.gauge('nodejs_heap_used_bytes', 'V8 堆已使用的内存', () => process.memoryUsage().heapUsed);
+        this.gauge('process_uptime_seconds', '进程运行时间', () => process.uptime());
+        this.gauge('nodejs_eventloop_lag_seconds', '上次采集以来的事件循环延迟', () => {
+            const samples = [
+                { labels: { stat: 'mean' }, value: toSeconds(eventLoopDelay.mean) },
+                { labels: { stat: 'p99' }, value: toSeconds(eventLoopDelay.percentile(99)) },
+                { labels: { stat: 'max' }, value: toSeconds(eventLoopDelay.max) }
+            ];
+            eventLoopDelay.reset();
+            return samples;
+        });
+    }
+
+    render() {
+        return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,357 @@
+// 服务端台球物理引擎：无渲染的二维模拟，固定步长保证相同输入得到相同结果
+//
+// 坐标系：球台中心为原点，x 轴沿球台长边，y 轴沿短边，单位为米。
+// 球状态格式（ballsState）：以球号为键的对象，0 号为白球
+//   { "0": { x, y, pocketed }, "1": { x, y, pocketed }, ... }
+// 击球参数（shotData）：
+//   { angle: 弧度, power: 0~1, spin: { x: 左右塞 -1~1, y: 高低杆 -1~1 } }
+
+// 球台规格（9尺台）
+const TABLE = {
+    length: 2.54,
+    width: 1.27,
+    ballRadius: 0.028575,
+    pockets: [
+        { id: 'topLeft', type: 'corner', x: -1.27, y: -0.635, radius: 0.06 },
+        { id: 'topRight', type: 'corner', x: 1.27, y: -0.635, radius: 0.06 },
+        { id: 'bottomLeft', type: 'corner', x: -1.27, y: 0.635, radius: 0.06 },
+        { id: 'bottomRight', type: 'corner', x: 1.27, y: 0.635, radius: 0.06 },
+        { id: 'topSide', type: 'side', x: 0, y: -0.635, radius: 0.065 },
+        { id: 'bottomSide', type: 'side', x: 0, y: 0.635, radius: 0.065 }
+    ],
+    headSpot: { x: -0.635, y: 0 },  // 开球线中点（白球摆放点）
+    footSpot: { x: 0.635, y: 0 }    // 置球点（三角框顶点）
+};
+
+// 物理参数
+const PHYSICS = {
+    TIME_STEP: 1 / 500,           // 固定模拟步长（秒）
+    MAX_SIMULATION_TIME: 30,      // 最长模拟时间（秒），防止死循环
+    MAX_SHOT_SPEED: 6,            // 满力度击球时白球初速度（米/秒）
+    ROLLING_DECELERATION: 0.2,    // 滚动摩擦减速度（米/秒²）
+    LINEAR_DAMPING: 0.25,         // 与速度成正比的阻尼系数
+    STOP_SPEED: 0.005,            // 低于此速度视为静止
+    BALL_RESTITUTION: 0.95,       // 球与球碰撞恢复系数
+    CUSHION_RESTITUTION: 0.75,    // 库边反弹恢复系数
+    FOLLOW_FACTOR: 0.5,           // 高低杆对首次碰撞后白球速度的影响
+    SIDE_SPIN_FACTOR: 0.3,        // 左右塞对库边反弹角度的影响
+    SPIN_DECAY_PER_CUSHION: 0.5   // 每次碰库后剩余的塞
+};
+
+const CUE_BALL = 0;
+const STANDARD_RACK_ORDER = [1, 9, 2, 10, 8, 3, 11, 7, 14, 4, 5, 13, 15, 6, 12];
+
+// 按行摆球，rowSizes 为从顶点开始每排的球数，顶点位于置球点
+function createRackFromRows(order, rowSizes) {
+    const state = {};
+    const r = TABLE.ballRadius;
+    const spacing = 2 * r + 0.0002; // 留出微小间隙，避免初始重叠
+    const rowOffset = spacing * Math.sqrt(3) / 2;
+
+    let index = 0;
+    rowSizes.forEach((size, row) => {
+        for (let col = 0; col < size && index < order.length; col++) {
+            state[order[index++]] = {
+                x: TABLE.footSpot.x + row * rowOffset,
+                y: (col - (size - 1) / 2) * spacing,
+                pocketed: false
+            };
+        }
+    });
+
+    state[CUE_BALL] = { x: TABLE.headSpot.x, y: TABLE.headSpot.y, pocketed: false };
+    return state;
+}
+
+// 按三角形排列球号，顶点位于置球点
+function createTriangleRack(order) {
+    return createRackFromRows(order, [1, 2, 3, 4, 5]);
+}
+
+// 按菱形排列球号（9球摆法）
+function createDiamondRack(order) {
+    return createRackFromRows(order, [1, 2, 3, 2, 1]);
+}
+
+// 标准15球摆球（8号球位于第三排中间）
+function createStandardRack() {
+    return createTriangleRack(STANDARD_RACK_ORDER);
+}
+
+// 球以给定初速度出发、不发生碰撞时的滑行距离（米），用于估算一杆中球能移动的最远距离
+function travelDistance(speed, params = PHYSICS) {
+    const deceleration = params.ROLLING_DECELERATION;
+    const damping = params.LINEAR_DAMPING;
+    return speed / damping - (deceleration / (damping * damping)) * Math.log(1 + damping * speed / deceleration);
+}
+
+// 深拷贝球状态，只保留已知字段
+function cloneBallsState(ballsState) {
+    const copy = {};
+    for (const [number, ball] of Object.entries(ballsState)) {
+        copy[number] = { x: ball.x, y: ball.y, pocketed: Boolean(ball.pocketed) };
+    }
+    return copy;
+}
+
+// 检查某个位置是否与台上其他球重叠
+function isPositionFree(ballsState, x, y, ignoreNumber = null) {
+    const minDistance = 2 * TABLE.ballRadius;
+    return Object.entries(ballsState).every(([number, ball]) => {
+        if (ball.pocketed || Number(number) === ignoreNumber) {
+            return true;
+        }
+        return Math.hypot(ball.x - x, ball.y - y) >= minDistance;
+    });
+}
+
+// 将白球放回开球点（被占用时沿 x 轴向头库方向寻找空位）
+function respotCueBall(ballsState) {
+    const step = 2 * TABLE.ballRadius;
+    let x = TABLE.headSpot.x;
+    while (!isPositionFree(ballsState, x, TABLE.headSpot.y, CUE_BALL) && x > -TABLE.length / 2 + step) {
+        x -= step;
+    }
+    ballsState[CUE_BALL] = { x, y: TABLE.headSpot.y, pocketed: false };
+    return ballsState;
+}
+
+// 将目标球放回置球点（被占用时沿 x 轴向底库方向寻找空位）
+function spotObjectBall(ballsState, number) {
+    const step = 2 * TABLE.ballRadius;
+    let x = TABLE.footSpot.x;
+    while (!isPositionFree(ballsState, x, TABLE.footSpot.y, number) && x < TABLE.length / 2 - step) {
+        x += step;
+    }
+    ballsState[number] = { x, y: TABLE.footSpot.y, pocketed: false };
+    return ballsState;
+}
+
+class PhysicsEngine {
+    constructor(options = {}) {
+        this.params = { ...PHYSICS, ...options };
+    }
+
+    // 模拟一次击球直到所有球静止，返回最终状态和击球过程中的事件
+    simulateShot(ballsState, shotData) {
+        const params = this.params;
+        const r = TABLE.ballRadius;
+        const halfLength = TABLE.length / 2;
+        const halfWidth = TABLE.width / 2;
+
+        // 按球号排序，保证遍历顺序固定
+        const balls = Object.keys(ballsState)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(number => !ballsState[number].pocketed)
+            .map(number => ({
+                number,
+                x: ballsState[number].x,
+                y: ballsState[number].y,
+                vx: 0,
+                vy: 0,
+                active: true
+            }));
+
+        const cueBall = balls.find(ball => ball.number === CUE_BALL);
+        if (!cueBall) {
+            throw new Error('白球不在台面上');
+        }
+
+        const power = Math.min(Math.max(shotData.power, 0), 1);
+        const spin = shotData.spin || {};
+        let sideSpin = Math.min(Math.max(spin.x || 0, -1), 1);
+        const followSpin = Math.min(Math.max(spin.y || 0, -1), 1);
+        const speed = power * params.MAX_SHOT_SPEED;
+        cueBall.vx = Math.cos(shotData.angle) * speed;
+        cueBall.vy = Math.sin(shotData.angle) * speed;
+
+        const result = {
+            pocketed: [],
+            firstContact: null,        // 白球第一个碰到的球号
+            railContacts: [],          // 首次碰球后碰到库边的球号
+            cueBallPocketed: false
+        };
+
+        let time = 0;
+        let moving = speed > 0;
+
+        while (moving && time < params.MAX_SIMULATION_TIME) {
+            const dt = params.TIME_STEP;
+            time += dt;
+
+            // 1. 移动并施加摩擦
+            for (const ball of balls) {
+                if (!ball.active) continue;
+                const v = Math.hypot(ball.vx, ball.vy);
+                if (v === 0) continue;
+
+                ball.x += ball.vx * dt;
+                ball.y += ball.vy * dt;
+
+                const newV = Math.max(v - (params.ROLLING_DECELERATION + params.LINEAR_DAMPING * v) * dt, 0);
+                if (newV < params.STOP_SPEED) {
+                    ball.vx = 0;
+                    ball.vy = 0;
+                } else {
+                    ball.vx *= newV / v;
+                    ball.vy *= newV / v;
+                }
+            }
+
+            // 2. 进袋检测
+            for (const ball of balls) {
+                if (!ball.active) continue;
+                let pocket = TABLE.pockets.find(p => Math.hypot(ball.x - p.x, ball.y - p.y) < p.radius);
+                // 兜底：越出台面的球视为落入最近的球袋
+                if (!pocket && (Math.abs(ball.x) > halfLength + r || Math.abs(ball.y) > halfWidth + r)) {
+                    pocket = this.findNearestPocket(ball);
+                }
+                if (pocket) {
+                    ball.active = false;
+                    ball.vx = 0;
+                    ball.vy = 0;
+                    result.pocketed.push({
+                        ballNumber: ball.number,
+                        pocket: pocket.id,
+                        pocketType: pocket.type,
+                        time: Number(time.toFixed(3))
+                    });
+                    if (ball.number === CUE_BALL) {
+                        result.cueBallPocketed = true;
+                    }
+                }
+            }
+
+            // 3. 库边反弹（袋口范围内没有库边）
+            for (const ball of balls) {
+                if (!ball.active) continue;
+                let hitCushion = false;
+
+                if (Math.abs(ball.x) > halfLength - r && !this.isInPocketMouth(ball, 'x')) {
+                    ball.x = Math.sign(ball.x) * (halfLength - r);
+                    ball.vx = -ball.vx * params.CUSHION_RESTITUTION;
+                    if (ball.number === CUE_BALL) {
+                        ball.vy += sideSpin * params.SIDE_SPIN_FACTOR * Math.abs(ball.vx) * Math.sign(ball.x);
+                    }
+                    hitCushion = true;
+                }
+
+                if (Math.abs(ball.y) > halfWidth - r && !this.isInPocketMouth(ball, 'y')) {
+                    ball.y = Math.sign(ball.y) * (halfWidth - r);
+                    ball.vy = -ball.vy * params.CUSHION_RESTITUTION;
+                    if (ball.number === CUE_BALL) {
+                        ball.vx -= sideSpin * params.SIDE_SPIN_FACTOR * Math.abs(ball.vy) * Math.sign(ball.y);
+                    }
+                    hitCushion = true;
+                }
+
+                if (hitCushion) {
+                    if (ball.number === CUE_BALL) {
+                        sideSpin *= params.SPIN_DECAY_PER_CUSHION;
+                    }
+                    if (result.firstContact !== null && !result.railContacts.includes(ball.number)) {
+                        result.railContacts.push(ball.number);
+                    }
+                }
+            }
+
+            // 4. 球与球碰撞
+            for (let i = 0; i < balls.length; i++) {
+                const a = balls[i];
+                if (!a.active) continue;
+                for (let j = i + 1; j < balls.length; j++) {
+                    const b = balls[j];
+                    if (!b.active) continue;
+                    // 两球都静止时不可能发生新的碰撞
+                    if (a.vx === 0 && a.vy === 0 && b.vx === 0 && b.vy === 0) continue;
+
+                    const dx = b.x - a.x;
+                    const dy = b.y - a.y;
+                    const distance = Math.hypot(dx, dy);
+                    if (distance >= 2 * r || distance === 0) continue;
+
+                    const nx = dx / distance;
+                    const ny = dy / distance;
+
+                    // 分离重叠的球
+                    const overlap = (2 * r - distance) / 2;
+                    a.x -= nx * overlap;
+                    a.y -= ny * overlap;
+                    b.x += nx * overlap;
+                    b.y += ny * overlap;
+
+                    // 只处理相互靠近的情况
+                    const approachSpeed = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+                    if (approachSpeed <= 0) continue;
+
+                    const impulse = approachSpeed * (1 + params.BALL_RESTITUTION) / 2;
+                    a.vx -= impulse * nx;
+                    a.vy -= impulse * ny;
+                    b.vx += impulse * nx;
+                    b.vy += impulse * ny;
+
+                    // 记录白球首次碰球，并施加高低杆效果
+                    if (result.firstContact === null && (a.number === CUE_BALL || b.number === CUE_BALL)) {
+                        result.firstContact = a.number === CUE_BALL ? b.number : a.number;
+                        const cue = a.number === CUE_BALL ? a : b;
+                        const followSpeed = followSpin * params.FOLLOW_FACTOR * impulse;
+                        cue.vx += Math.cos(shotData.angle) * followSpeed;
+                        cue.vy += Math.sin(shotData.angle) * followSpeed;
+                    }
+                }
+            }
+
+            moving = balls.some(ball => ball.active && (ball.vx !== 0 || ball.vy !== 0));
+        }
+
+        // 生成最终状态（保留模拟前已进袋的球）
+        const finalState = cloneBallsState(ballsState);
+        for (const ball of balls) {
+            finalState[ball.number] = {
+                x: Number(ball.x.toFixed(5)),
+                y: Number(ball.y.toFixed(5)),
+                pocketed: !ball.active
+            };
+        }
+
+        result.finalState = finalState;
+        result.duration = Number(time.toFixed(3));
+        return result;
+    }
+
+    findNearestPocket(ball) {
+        return TABLE.pockets.reduce((nearest, pocket) => {
+            const distance = Math.hypot(ball.x - pocket.x, ball.y - pocket.y);
+            const nearestDistance = Math.hypot(ball.x - nearest.x, ball.y - nearest.y);
+            return distance < nearestDistance ? pocket : nearest;
+        });
+    }
+
+    // 判断球是否位于袋口范围内（该方向上没有库边）
+    isInPocketMouth(ball, axis) {
+        return TABLE.pockets.some(pocket => {
+            // 越过左右库边时检查角袋；越过上下库边时检查所有球袋
+            if (axis === 'x' && pocket.type !== 'corner') {
+                return false;
+            }
+            const along = axis === 'x' ? ball.y - pocket.y : ball.x - pocket.x;
+            return Math.abs(along) < pocket.radius;
+        });
+    }
+}
+
+module.exports = {
+    PhysicsEngine,
+    TABLE,
+    PHYSICS,
+    CUE_BALL,
+    createStandardRack,
+    createTriangleRack,
+    createDiamondRack,
+    cloneBallsState,
+    travelDistance,
+    isPositionFree,
+    respotCueBall,
+    spotObjectBall
+};
@@ -0,0 +1,110 @@
+// 事件频率限制：每个连接的每种事件使用独立的令牌桶，超出的事件直接丢弃
+// 短时间内被丢弃的事件过多时认为客户端在恶意刷事件，由调用方断开连接
+const RATE_LIMIT_CONFIG = {
+    OFFENDER_THRESHOLD: 50,         // 时间窗口内被丢弃的事件数达到后断开连接
+    OFFENDER_WINDOW: 10 * 1000
+};
+
+// 每种事件的令牌桶：burst 为可以连续发送的数量，perSecond 为每秒恢复的数量；未列出的事件共用 default 令牌桶
+const RATE_LIMIT_BUDGETS = {
+    default: { burst: 10, perSecond: 5 },
+    ballsState: { burst: 120, perSecond: 60 },      // 模拟过程中每帧上报
+    ballsPocketed: { burst: 20, perSecond: 10 },
+    ballHit: { burst: 5, perSecond: 1 },
+    shotStart: { burst: 5, perSecond: 1 },
+    simulationComplete: { burst: 5, perSecond: 1 },
+    heartbeat: { burst: 5, perSecond: 1 },
+    ping: { burst: 5, perSecond: 1 },
+    getScores: { burst: 5, perSecond: 1 },
+    requestCue: { burst: 5, perSecond: 1 },
+    takeCue: { burst: 5, perSecond: 1 },
+    releaseCue: { burst: 5, perSecond: 1 },
+    leaveCueQueue: { burst: 5, perSecond: 1 },
+    resetTable: { burst: 3, perSecond: 0.2 },
+    clearScores: { burst: 3, perSecond: 0.2 },
+    createRoom: { burst: 3, perSecond: 0.1 },
+    chatMessage: { burst: 5, perSecond: 1 },
+    reactToMessage: { burst: 10, perSecond: 2 },
+    requestReplay: { burst: 3, perSecond: 0.5 }
+};
+
+class TokenBucket {
+    constructor({ burst, perSecond }, now = Date.now()) {
+        this.capacity = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    // 取出一个令牌，成功返回 0，否则返回还需要等待的毫秒数
+    take(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.perSecond);
+        this.updatedAt = now;
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.perSecond * 1000);
+    }
+}
+
+// 一个连接的频率限制状态
+class SocketRateLimiter {
+    constructor(budgets = RATE_LIMIT_BUDGETS, options = {}) {
+        this.budgets = budgets;
+        this.options = { ...RATE_LIMIT_CONFIG, ...options };
+        this.buckets = new Map();       // 事件 -> 令牌桶
+        this.notified = new Set();      // 已通知过客户端、还没有恢复的事件
+        this.rejections = [];           // 时间窗口内被丢弃的时间（毫秒）
+    }
+
+    // 返回 { allowed: true }，或 { allowed: false, retryAfter, notify, offender }
+    // notify 为 true 时需要通知客户端（同一事件恢复前只通知一次），offender 为 true 时应断开连接
+    check(event, now = Date.now()) {
+        // 未列出的事件共用一个 default 令牌桶，不断换事件名称也绕不过限制
+        const key = Object.prototype.hasOwnProperty.call(this.budgets, event) ? event : 'default';
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(this.budgets[key], now));
+        }
+
+        const retryAfter = this.buckets.get(key).take(now);
+        if (retryAfter === 0) {
+            this.notified.delete(key);
+            return { allowed: true };
+        }
+
+        this.rejections = this.rejections.filter(time => now - time < this.options.OFFENDER_WINDOW);
+        this.rejections.push(now);
+        const notify = !this.notified.has(key);
+        this.notified.add(key);
+        return {
+            allowed: false,
+            retryAfter,
+            notify,
+            offender: this.rejections.length >= this.options.OFFENDER_THRESHOLD
+        };
+    }
+}
+
+// 合并配置中的事件限制，忽略格式不正确的项，返回 { budgets, invalid }
+function mergeRateLimitBudgets(overrides = {}) {
+    const budgets = { ...RATE_LIMIT_BUDGETS };
+    const invalid = [];
+    Object.entries(overrides).forEach(([event, budget]) => {
+        const isPositive = value => typeof value === 'number' && value > 0;
+        if (budget && isPositive(budget.burst) && isPositive(budget.perSecond)) {
+            budgets[event] = { burst: budget.burst, perSecond: budget.perSecond };
+        } else {
+            invalid.push(event);
+        }
+    });
+    return { budgets, invalid };
+}
+
+module.exports = {
+    SocketRateLimiter,
+    TokenBucket,
+    RATE_LIMIT_BUDGETS,
+    RATE_LIMIT_CONFIG,
+    mergeRateLimitBudgets
+};
@@ -0,0 +1,87 @@
+// 玩家技术分：Elo 算法，只保存注册玩家的分数
+const RATING_CONFIG = {
+    DEFAULT_RATING: 1200,
+    K_FACTOR: 32,
+    PROVISIONAL_K_FACTOR: 48,   // 定级期内分数变化更快
+    PROVISIONAL_GAMES: 10
+};
+
+class RatingService {
+    constructor(store) {
+        this.store = store;
+        this.ratings = store.collection('ratings');
+    }
+
+    getRecord(playerId) {
+        if (Object.prototype.hasOwnProperty.call(this.ratings, playerId)) {
+            return this.ratings[playerId];
+        }
+        return { rating: RATING_CONFIG.DEFAULT_RATING, games: 0, wins: 0, losses: 0 };
+    }
+
+    getRating(playerId) {
+        return this.getRecord(playerId).rating;
+    }
+
+    // 对外展示的分数信息
+    getSummary(playerId) {
+        const record = this.getRecord(playerId);
+        return {
+            playerId,
+            rating: record.rating,
+            games: record.games,
+            wins: record.wins,
+            losses: record.losses,
+            provisional: record.games < RATING_CONFIG.PROVISIONAL_GAMES
+        };
+    }
+
+    // 预期胜率
+    expectedScore(rating, opponentRating) {
+        return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+    }
+
+    getKFactor(record) {
+        return record.games < RATING_CONFIG.PROVISIONAL_GAMES
+            ? RATING_CONFIG.PROVISIONAL_K_FACTOR
+            : RATING_CONFIG.K_FACTOR;
+    }
+
+    // 比赛结束后更新双方分数，返回每名玩家的分数变化
+    recordResult(winnerId, loserId) {
+        const winner = { ...this.getRecord(winnerId) };
+        const loser = { ...this.getRecord(loserId) };
+
+        const winnerChange = Math.round(this.getKFactor(winner) * (1 - this.expectedScore(winner.rating, loser.rating)));
+        const loserChange = Math.round(this.getKFactor(loser) * (0 - this.expectedScore(loser.rating, winner.rating)));
+
+        const changes = {
+            [winnerId]: { before: winner.rating, after: winner.rating + winnerChange, change: winnerChange },
+            [loserId]: { before: loser.rating, after: loser.rating + loserChange, change: loserChange }
+        };
+
+        const now = Date.now();
+        this.ratings[winnerId] = {
+            rating: winner.rating + winnerChange,
+            games: winner.games + 1,
+            wins: winner.wins + 1,
+            losses: winner.losses,
+            updatedAt: now
+        };
+        this.ratings[loserId] = {
+            rating: loser.rating + loserChange,
+            games: loser.games + 1,
+            wins: loser.wins,
+            losses: loser.losses + 1,
+            updatedAt: now
+        };
+        this.store.save();
+
+        return changes;
+    }
+}
+
+module.exports = {
+    RatingService,
+    RATING_CONFIG
+};
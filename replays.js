@@ -0,0 +1,154 @@
+// 击球回放：记录比赛中每一杆的击球前状态、击球参数、击球后状态和落袋球，每场比赛保存为一个文件
+//
+// 回放格式（GET /api/games/:id/replay 和 requestReplay 返回）：
+// {
+//   version: 1,
+//   gameId, roomId, mode,
+//   players: [playerId, playerId],
+//   table: { length, width, ballRadius },        // 单位：米
+//   startedAt, endedAt,                           // 毫秒时间戳，比赛未结束时 endedAt 为 null
+//   result: { winner, loser, reason } | null,
+//   shots: [{
+//     index,                                      // 从 0 开始的杆数
+//     playerId,
+//     startTime, endTime,                         // 动画开始时间和球停止后判定的时间
+//     shotData: { angle, power, spin: { x, y } },
+//     preState,                                   // 击球前的球台 { "0": { x, y, pocketed }, ... }
+//     postState,                                  // 判定后的权威球台（已处理白球复位和置球）
+//     pocketed: [{ ballNumber, pocket, pocketType, time }],
+//     firstContact, cueBallPocketed, duration,    // duration 单位：秒
+//     fouls: [原因], continueTurn, nextPlayer, ballInHand
+//   }]
+// }
+const fs = require('fs');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { TABLE } = require('./physics');
+const { logger } = require('./logger');
+
+const REPLAY_CONFIG = {
+    FORMAT_VERSION: 1,
+    MAX_STORED_REPLAYS: 1000    // 超出后删除最早的回放文件
+};
+
+const GAME_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class ReplayService {
+    constructor(directory) {
+        this.directory = directory;
+        this.active = new Map(); // gameId -> JsonStore，进行中的比赛
+    }
+
+    isValidGameId(gameId) {
+        return typeof gameId === 'string' && GAME_ID_PATTERN.test(gameId);
+    }
+
+    getFilePath(gameId) {
+        return path.join(this.directory, `${gameId}.json`);
+    }
+
+    // 比赛开始时创建回放
+    start(game, roomId) {
+        const replayStore = new JsonStore(this.getFilePath(game.id));
+        Object.assign(replayStore.collection('replay'), {
+            version: REPLAY_CONFIG.FORMAT_VERSION,
+            gameId: game.id,
+            roomId,
+            mode: game.mode,
+            players: game.players,
+            table: { length: TABLE.length, width: TABLE.width, ballRadius: TABLE.ballRadius },
+            startedAt: game.startedAt,
+            endedAt: null,
+            result: null,
+            shots: []
+        });
+        this.active.set(game.id, replayStore);
+        replayStore.save();
+    }
+
+    // 重启后继续记录进行中的比赛
+    resume(gameId) {
+        if (this.active.has(gameId) || !this.isValidGameId(gameId)) {
+            return;
+        }
+        const replayStore = new JsonStore(this.getFilePath(gameId));
+        if (replayStore.data.replay) {
+            this.active.set(gameId, replayStore);
+        }
+    }
+
+    // 记录一杆（每杆写盘一次，服务器崩溃也能保留已完成的部分）
+    recordShot(gameId, shot) {
+        const replayStore = this.active.get(gameId);
+        if (!replayStore) {
+            return;
+        }
+
+        const replay = replayStore.collection('replay');
+        replay.shots.push({ index: replay.shots.length, ...shot });
+        replayStore.save();
+    }
+
+    // 比赛结束时写入结果
+    finish(gameId, result) {
+        const replayStore = this.active.get(gameId);
+        if (!replayStore) {
+            return;
+        }
+
+        const replay = replayStore.collection('replay');
+        replay.endedAt = Date.now();
+        replay.result = { winner: result.winner, loser: result.loser, reason: result.reason };
+        this.active.delete(gameId);
+        replayStore.save().then(() => this.prune());
+    }
+
+    // 进程退出前同步写回进行中的回放
+    flushSync() {
+        this.active.forEach(replayStore => replayStore.saveSync());
+    }
+
+    // 获取回放（进行中的比赛也可以查看），不存在时返回 null
+    getReplay(gameId) {
+        if (!this.isValidGameId(gameId)) {
+            return null;
+        }
+
+        if (this.active.has(gameId)) {
+            return this.active.get(gameId).collection('replay');
+        }
+
+        if (!fs.existsSync(this.getFilePath(gameId))) {
+            return null;
+        }
+        const replayStore = new JsonStore(this.getFilePath(gameId));
+        return replayStore.data.replay || null;
+    }
+
+    // 删除超出数量上限的最早回放
+    async prune() {
+        try {
+            const files = (await fs.promises.readdir(this.directory))
+                .filter(file => file.endsWith('.json') && !this.active.has(path.basename(file, '.json')));
+            if (files.length <= REPLAY_CONFIG.MAX_STORED_REPLAYS) {
+                return;
+            }
+
+            const entries = await Promise.all(files.map(async file => {
+                const stats = await fs.promises.stat(path.join(this.directory, file));
+                return { file, mtime: stats.mtimeMs };
+            }));
+            entries.sort((a, b) => a.mtime - b.mtime);
+
+            const excess = entries.slice(0, entries.length - REPLAY_CONFIG.MAX_STORED_REPLAYS);
+            await Promise.all(excess.map(({ file }) => fs.promises.unlink(path.join(this.directory, file))));
+        } catch (error) {
+            logger.error('⚠️ 清理回放文件失败', { error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    ReplayService,
+    REPLAY_CONFIG
+};
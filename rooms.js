@@ -0,0 +1,244 @@
+// 房间（球桌）管理：每个房间拥有独立的球桌状态、聊天记录和得分
+const { DEFAULT_GAME_MODE, getGameMode } = require('./game-modes');
+const { ShotClock } = require('./shot-clock');
+const { ChatHistory, CHAT_CHANNELS } = require('./chat');
+
+const DEFAULT_ROOM_ID = 'lobby';
+
+class Room {
+    constructor(id, name, hostId = null) {
+        this.id = id;
+        this.name = name;
+        this.hostId = hostId;           // 房主（创建者），默认房间没有房主
+        this.createdAt = Date.now();
+
+        // 球桌状态（原全局 gameState 的字段）
+        this.players = new Map();
+        this.spectators = new Map();    // 观众（socketId -> 观众信息），不占玩家名额，不能操作球桌
+        this.currentPlayer = null;
+        this.ballsState = {};
+        this.isSimulating = false;
+        this.chat = new ChatHistory();  // 球桌频道和队伍频道的聊天记录
+        this.simulationTimer = null;
+        this.shotPlayerId = null;
+        this.pendingShot = null;        // 正在模拟的击球（结果已算出），重启后据此补完判定
+        this.playerScores = new Map();  // 玩家进球记录
+        this.gameMode = DEFAULT_GAME_MODE; // 球桌的游戏模式，由房主切换
+        this.game = null;               // 当前比赛（规则引擎），自由练习时为 null
+        this.shotClock = new ShotClock(); // 击球计时，设置由房主调整
+        this.cueQueue = [];             // 自由练习时等待球杆的玩家（按请求顺序）
+    }
+
+    isDefault() {
+        return this.id === DEFAULT_ROOM_ID;
+    }
+
+    // 是否有正在进行的比赛（比赛中由规则引擎分配击球权）
+    hasActiveGame() {
+        return Boolean(this.game && this.game.isActive());
+    }
+
+    isEmpty() {
+        return this.players.size === 0;
+    }
+
+    // 加入等待球杆的队列，返回排队位置（从1开始）
+    enqueueCue(playerId) {
+        if (!this.cueQueue.includes(playerId)) {
+            this.cueQueue.push(playerId);
+        }
+        return this.getCueQueuePosition(playerId);
+    }
+
+    // 离开队列，返回是否在队列中
+    dequeueCue(playerId) {
+        const index = this.cueQueue.indexOf(playerId);
+        if (index === -1) {
+            return false;
+        }
+        this.cueQueue.splice(index, 1);
+        return true;
+    }
+
+    // 排队位置（从1开始），不在队列中返回 null
+    getCueQueuePosition(playerId) {
+        const index = this.cueQueue.indexOf(playerId);
+        return index === -1 ? null : index + 1;
+    }
+
+    // 获取房间摘要信息用于房间列表
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.name,
+            hostId: this.hostId,
+            playerCount: this.players.size,
+            spectatorCount: this.spectators.size,
+            currentPlayer: this.currentPlayer,
+            gameMode: this.gameMode,
+            inGame: this.hasActiveGame(),
+            shotClock: this.shotClock.settings,
+            createdAt: this.createdAt
+        };
+    }
+
+    // 导出可持久化的球桌状态（不含socket、定时器和观众）
+    toSnapshot() {
+        return {
+            id: this.id,
+            name: this.name,
+            hostId: this.hostId,
+            createdAt: this.createdAt,
+            players: Array.from(this.players.values()).map(player => ({
+                id: player.id,
+                isHoldingCue: player.isHoldingCue,
+                isAuthenticated: player.isAuthenticated,
+                lastChatTime: player.lastChatTime,
+                resumeToken: player.resumeToken
+            })),
+            currentPlayer: this.currentPlayer,
+            ballsState: this.ballsState,
+            chat: this.chat.toSnapshot(),
+            playerScores: Array.from(this.playerScores.entries()),
+            gameMode: this.gameMode,
+            game: this.game ? this.game.toSnapshot() : null,
+            pendingShot: this.pendingShot,
+            shotClock: this.shotClock.toSnapshot(),
+            cueQueue: this.cueQueue
+        };
+    }
+
+    // 从快照恢复房间，玩家全部处于掉线状态，等待重新连接
+    static fromSnapshot(snapshot) {
+        const room = new Room(snapshot.id, snapshot.name, snapshot.hostId);
+        const now = Date.now();
+
+        room.createdAt = snapshot.createdAt;
+        snapshot.players.forEach(player => {
+            room.players.set(player.id, {
+                ...player,
+                socketId: null,
+                socket: null,
+                lastHeartbeat: now,
+                disconnectedAt: now,
+                reconnectTimer: null
+            });
+        });
+        room.currentPlayer = snapshot.currentPlayer;
+        room.ballsState = snapshot.ballsState;
+        room.chat = ChatHistory.fromSnapshot(snapshot.chat || { [CHAT_CHANNELS.TABLE]: snapshot.chatHistory || [] });
+        room.playerScores = new Map(snapshot.playerScores);
+        room.gameMode = snapshot.gameMode;
+        room.pendingShot = snapshot.pendingShot;
+        room.cueQueue = snapshot.cueQueue || [];
+        if (snapshot.shotClock) {
+            room.shotClock = ShotClock.fromSnapshot(snapshot.shotClock);
+        }
+
+        const gameMode = snapshot.game ? getGameMode(snapshot.game.mode) : null;
+        room.game = gameMode && gameMode.Game ? gameMode.Game.fromSnapshot(snapshot.game) : null;
+
+        return room;
+    }
+
+    // 释放房间持有的定时器
+    dispose() {
+        if (this.simulationTimer) {
+            clearTimeout(this.simulationTimer);
+            this.simulationTimer = null;
+        }
+        this.shotClock.stop();
+    }
+}
+
+class RoomManager {
+    // idPrefix 用于多实例部署时区分各节点创建的房间ID
+    constructor(idPrefix = 'room') {
+        this.rooms = new Map();
+        this.nextRoomNumber = 1;
+        this.idPrefix = idPrefix;
+
+        // 默认房间始终存在，兼容不指定房间的旧客户端
+        this.rooms.set(DEFAULT_ROOM_ID, new Room(DEFAULT_ROOM_ID, '大厅'));
+    }
+
+    createRoom(name, hostId = null) {
+        const id = `${this.idPrefix}-${this.nextRoomNumber++}`;
+        const room = new Room(id, name || `球桌 ${id}`, hostId);
+        this.rooms.set(id, room);
+        return room;
+    }
+
+    // 加入（或替换）一个已有的房间，例如从快照恢复的房间
+    addRoom(room) {
+        const existing = this.rooms.get(room.id);
+        if (existing && existing !== room) {
+            existing.dispose();
+        }
+        this.rooms.set(room.id, room);
+        return room;
+    }
+
+    getRoom(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+
+    getDefaultRoom() {
+        return this.rooms.get(DEFAULT_ROOM_ID);
+    }
+
+    hasRoom(roomId) {
+        return this.rooms.has(roomId);
+    }
+
+    // 删除房间（默认房间不能删除）
+    deleteRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room || room.isDefault()) {
+            return false;
+        }
+        room.dispose();
+        this.rooms.delete(roomId);
+        return true;
+    }
+
+    // 导出所有房间的快照
+    toSnapshot() {
+        return {
+            nextRoomNumber: this.nextRoomNumber,
+            rooms: this.getAllRooms().map(room => room.toSnapshot())
+        };
+    }
+
+    // 用快照替换当前房间（启动时调用），返回恢复的房间列表
+    restore(snapshot) {
+        this.getAllRooms().forEach(room => room.dispose());
+        this.rooms.clear();
+        snapshot.rooms.forEach(data => {
+            this.rooms.set(data.id, Room.fromSnapshot(data));
+        });
+        if (!this.rooms.has(DEFAULT_ROOM_ID)) {
+            this.rooms.set(DEFAULT_ROOM_ID, new Room(DEFAULT_ROOM_ID, '大厅'));
+        }
+        this.nextRoomNumber = snapshot.nextRoomNumber;
+        return this.getAllRooms();
+    }
+
+    getAllRooms() {
+        return Array.from(this.rooms.values());
+    }
+
+    listRooms() {
+        return this.getAllRooms().map(room => room.getSummary());
+    }
+
+    get size() {
+        return this.rooms.size;
+    }
+}
+
+module.exports = {
+    Room,
+    RoomManager,
+    DEFAULT_ROOM_ID
+};
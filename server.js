@@ -1,9 +1,89 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const { createServer } = require('http');
 const io = require('socket.io');
 const cors = require('cors');
 const config = require('./config');
-require('dotenv').config();
+const { logger } = require('./logger');
+const { MetricsRegistry } = require('./metrics');
+const { JsonStore } = require('./store');
+const { AuthService, AuthError } = require('./auth');
+const { MatchHistory } = require('./match-history');
+const { RatingService } = require('./ratings');
+const { MatchmakingQueue } = require('./matchmaking');
+const { ReplayService } = require('./replays');
+const { Room, RoomManager, DEFAULT_ROOM_ID } = require('./rooms');
+const { ClusterNode } = require('./cluster');
+const { EVENT_SCHEMAS, validateEventPayload, normalizeEventPayload } = require('./event-schemas');
+const { AntiCheatMonitor } = require('./anti-cheat');
+const { SimulationConsensus } = require('./simulation-consensus');
+const { SHOT_CLOCK_DEFAULTS, normalizeShotClockSettings } = require('./shot-clock');
+const {
+    CHAT_CONFIG,
+    CHAT_CHANNELS,
+    CHAT_TEAMS,
+    ChatModeration,
+    ProfanityFilter,
+    getTeamChannel,
+    parseChatCommand,
+    splitArgument
+} = require('./chat');
+const { ChatArchive } = require('./chat-archive');
+const { BanList, normalizeAddress } = require('./bans');
+const { ConnectionLimiter, CONNECTION_LIMITS } = require('./connection-limits');
+const { SocketRateLimiter, mergeRateLimitBudgets } = require('./rate-limiter');
+const { renderAdminPage } = require('./admin-page');
+const {
+    PhysicsEngine,
+    TABLE,
+    CUE_BALL,
+    respotCueBall,
+    isPositionFree,
+    cloneBallsState
+} = require('./physics');
+const { getGameMode, listGameModes } = require('./game-modes');
+
+logger.setLevel(config.getLogLevel());
+
+// 运行指标 - 通过 /metrics 接口按 Prometheus 格式输出
+const metrics = new MetricsRegistry();
+metrics.registerProcessMetrics();
+const serverMetrics = {
+    socketEvents: metrics.counter('pool_socket_events_total', '收到的客户端事件数（按事件类型）', ['event']),
+    rejectedEvents: metrics.counter('pool_socket_events_rejected_total', '被拒绝的客户端事件数（按事件类型和原因）', ['event', 'reason']),
+    shots: metrics.counter('pool_shots_total', '服务端处理的击球数'),
+    simulationCompute: metrics.histogram('pool_simulation_compute_seconds', '服务端物理模拟一杆的计算时间',
+        [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]),
+    shotDuration: metrics.histogram('pool_shot_duration_seconds', '一杆从出杆到球全部停止的时间',
+        [0.5, 1, 2, 3, 5, 8, 12, 20, 30]),
+    logEntries: metrics.counter('pool_log_entries_total', '输出的日志条数（按级别）', ['level']),
+    errors: metrics.counter('pool_errors_total', '记录的服务器错误数')
+};
+
+// 最近一分钟的击球时间，用于计算每分钟击球数
+const SHOTS_PER_MINUTE_WINDOW = 60 * 1000;
+let recentShotTimes = [];
+
+// 最近的服务器错误，供管理接口查看（所有模块通过 logger.error 输出的错误都会记录）
+const MAX_RECENT_ERRORS = 100;
+const recentErrors = [];
+logger.onEntry(entry => {
+    serverMetrics.logEntries.inc({ level: entry.level });
+    if (entry.level !== 'error') {
+        return;
+    }
+    serverMetrics.errors.inc();
+    const { time, level, msg, ...fields } = entry;
+    recentErrors.push({
+        message: Object.keys(fields).length > 0 ? `${msg} ${JSON.stringify(fields)}` : msg,
+        timestamp: time
+    });
+    if (recentErrors.length > MAX_RECENT_ERRORS) {
+        recentErrors.shift();
+    }
+});
 
 const app = express();
 const httpServer = createServer(app);
@@ -15,9 +95,14 @@ const ioServer = io(httpServer, {
         methods: ["GET", "POST"],
         credentials: true,
         allowedHeaders: ["my-custom-header"]
-    }
+    },
+    transports: config.getSocketTransports(),
+    maxHttpBufferSize: 64 * 1024 // 单条消息最大64KB，远大于正常的事件参数
 });
 
+// 集群节点 - 多实例部署时协调各节点负责的球桌，单实例时所有球桌都在本地
+const cluster = new ClusterNode(ioServer, config.getRedisUrl(), config.isLocalCluster());
+
 // 中间件 - 使用动态CORS配置
 app.use(cors({
     origin: config.getCorsOrigin(),
@@ -25,92 +110,653 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// 本地数据存储和玩家账号
+const store = new JsonStore(path.join(config.getDataDir(), 'store.json'));
+const authService = new AuthService(store, {
+    secret: config.getSessionSecret(),
+    tokenTtl: config.getSessionTtl()
+});
+const matchHistory = new MatchHistory(store);
+const ratingService = new RatingService(store);
+const replayService = new ReplayService(path.join(config.getDataDir(), 'replays'));
+const banList = new BanList(store);
+const connectionLimiter = new ConnectionLimiter({
+    MAX_CONNECTIONS_PER_IP: config.getMaxConnectionsPerIp(),
+    MAX_JOIN_ATTEMPTS: config.getMaxJoinsPerMinute()
+});
+const rateLimits = mergeRateLimitBudgets(config.getRateLimits());
+if (rateLimits.invalid.length > 0) {
+    logger.warn('⚠️ 忽略格式不正确的事件频率限制', { events: rateLimits.invalid });
+}
+
+// 球桌快照单独保存，频繁写入时不必重写账号和比赛数据
+const tableStore = new JsonStore(path.join(config.getDataDir(), 'tables.json'));
+
+// 聊天存档单独保存，每条消息都会写盘
+const chatStore = new JsonStore(path.join(config.getDataDir(), 'chat.json'));
+const chatArchive = new ChatArchive(chatStore);
+
+// 辅助函数：执行一项就绪检查，返回 { ok, message }（超时也视为失败）
+async function runReadinessCheck(check) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('检查超时')), GAME_CONFIG.READINESS_CHECK_TIMEOUT);
+    });
+    try {
+        await Promise.race([check(), timeout]);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, message: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// 辅助函数：就绪检查的各项结果
+async function getReadinessChecks() {
+    const [dataStore, clusterState] = await Promise.all([
+        runReadinessCheck(() => Promise.all([store, tableStore, chatStore].map(jsonStore => jsonStore.checkHealth()))),
+        runReadinessCheck(() => cluster.checkHealth())
+    ]);
+    return {
+        listening: httpServer.listening ? { ok: true } : { ok: false, message: '服务器还没有开始监听' },
+        socketIo: isShuttingDown ? { ok: false, message: '服务器正在关闭，不再接受新的连接' } : { ok: true },
+        store: dataStore,
+        cluster: clusterState
+    };
+}
+
+// 辅助函数：从 Authorization 请求头中读取令牌
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// 辅助函数：统一处理账号接口的错误响应
+function handleAuthError(res, error) {
+    if (error instanceof AuthError) {
+        res.status(error.statusCode).json({ success: false, message: error.message });
+        return;
+    }
+    logger.error('❌ 账号接口错误', { error });
+    res.status(500).json({ success: false, message: '服务器内部错误' });
+}
+
 // 添加健康检查和环境信息API
 app.get('/', (req, res) => {
     res.json({
         message: 'IncrediPool Server is running!',
         environment: config.getEnvironmentInfo(),
-        status: 'healthy'
+        status: isShuttingDown ? 'shuttingDown' : 'healthy'
     });
 });
 
+// 存活检查：进程在运行并且能够处理请求（关闭过程中仍返回正常，避免被平台提前强制结束）
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// 就绪检查：服务器在监听、Socket.IO 接受新连接、数据存储可写（多实例时还检查共享状态存储）
+app.get('/readyz', (req, res) => {
+    getReadinessChecks()
+        .then(checks => {
+            const ready = Object.values(checks).every(check => check.ok);
+            res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'notReady', checks });
+        })
+        .catch(error => {
+            logger.error('❌ 就绪检查失败', { error });
+            res.status(503).json({ status: 'notReady', message: error.message });
+        });
+});
+
 // API端点：获取环境信息
 app.get('/api/config', (req, res) => {
     res.json(config.getEnvironmentInfo());
 });
 
-// 游戏状态
-const gameState = {
-    players: new Map(),
-    currentPlayer: null,
-    ballsState: {},
-    isSimulating: false,
-    chatHistory: [], // 聊天记录，最多保存100条
-    simulationTimer: null,
-    shotPlayerId: null,
-    playerScores: new Map() // 玩家进球记录
-};
+// API端点：注册账号
+app.post('/api/auth/register', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const session = await authService.register(username, password);
+        logger.info('📝 新用户注册', { username: session.user.username });
+        res.status(201).json({ success: true, ...session });
+    } catch (error) {
+        handleAuthError(res, error);
+    }
+});
+
+// API端点：登录，返回会话令牌
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const session = await authService.login(username, password);
+        logger.info('🔑 用户登录', { username: session.user.username });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        handleAuthError(res, error);
+    }
+});
+
+// API端点：获取当前登录用户
+app.get('/api/auth/me', (req, res) => {
+    const user = authService.verifyToken(getBearerToken(req));
+    if (!user) {
+        res.status(401).json({ success: false, message: '未登录或登录已失效' });
+        return;
+    }
+    res.json({ success: true, user });
+});
+
+// API端点：分页查询比赛历史，可按 playerId 和 mode 筛选
+app.get('/api/matches', (req, res) => {
+    const { playerId, mode, limit, offset } = req.query;
+    res.json(matchHistory.listMatches({ playerId, mode, limit, offset }));
+});
+
+// API端点：获取单场比赛详情
+app.get('/api/matches/:id', (req, res) => {
+    const match = matchHistory.getMatch(req.params.id);
+    if (!match) {
+        res.status(404).json({ success: false, message: '比赛不存在' });
+        return;
+    }
+    res.json(match);
+});
+
+// API端点：排行榜，period 可选 day / week / month / all
+app.get('/api/leaderboard', (req, res) => {
+    const { period = 'all', mode } = req.query;
+    if (!matchHistory.isValidPeriod(period)) {
+        res.status(400).json({ success: false, message: '无效的统计周期' });
+        return;
+    }
+    res.json(matchHistory.getLeaderboard({ period, mode }));
+});
+
+// API端点：获取比赛的击球回放（进行中的比赛返回已完成的部分）
+app.get('/api/games/:id/replay', (req, res) => {
+    const replay = replayService.getReplay(req.params.id);
+    if (!replay) {
+        res.status(404).json({ success: false, message: '回放不存在' });
+        return;
+    }
+    res.json(replay);
+});
+
+// API端点：获取注册玩家的技术分
+app.get('/api/ratings/:playerId', (req, res) => {
+    const { playerId } = req.params;
+    if (!authService.isRegistered(playerId)) {
+        res.status(404).json({ success: false, message: '玩家不存在' });
+        return;
+    }
+    res.json(ratingService.getSummary(playerId));
+});
+
+// API端点：分页查询聊天记录（before 为已加载的最早一条消息ID）
+// 默认查询大厅的球桌频道；channel=dm 时查询当前登录用户与 with 的私聊
+app.get('/api/chat', (req, res) => {
+    const { roomId = DEFAULT_ROOM_ID, channel = CHAT_CHANNELS.TABLE, with: otherId, before, limit } = req.query;
+    
+    if (channel === CHAT_CHANNELS.TABLE) {
+        // 重启后房间ID可能被新的球桌使用，房间存在时只查询这张球桌创建之后的消息
+        const room = roomManager.getRoom(roomId);
+        const since = room ? room.createdAt : 0;
+        res.json(chatArchive.getPage({ roomId, channel, since, before, limit }));
+        return;
+    }
+    if (channel !== CHAT_CHANNELS.DIRECT) {
+        res.status(400).json({ success: false, message: '只能查询球桌频道或私聊' });
+        return;
+    }
+    
+    const user = authService.verifyToken(getBearerToken(req));
+    if (!user) {
+        res.status(401).json({ success: false, message: '查询私聊需要登录' });
+        return;
+    }
+    if (!otherId) {
+        res.status(400).json({ success: false, message: '缺少私聊对象' });
+        return;
+    }
+    res.json(chatArchive.getPage({ channel, participants: [user.username, otherId], before, limit }));
+});
+
+// API端点：获取可选的游戏模式
+app.get('/api/game-modes', (req, res) => {
+    res.json(listGameModes());
+});
+
+// API端点：获取房间列表
+app.get('/api/rooms', (req, res) => {
+    getRoomList()
+        .then(rooms => res.json(rooms))
+        .catch(error => {
+            logger.error('❌ 获取房间列表失败', { error });
+            res.status(500).json({ success: false, message: '服务器内部错误' });
+        });
+});
+
+// 运行指标（Prometheus 文本格式）；配置了 METRICS_TOKEN 时需要携带令牌
+app.get('/metrics', (req, res) => {
+    const token = config.getMetricsToken();
+    if (token && getBearerToken(req) !== token) {
+        res.status(401).type('text/plain').send('unauthorized\n');
+        return;
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// 管理接口：只有配置为管理员的登录账号可以使用（多实例模式下只能管理本节点负责的球桌）
+function requireAdmin(req, res, next) {
+    const user = authService.verifyToken(getBearerToken(req));
+    if (!user) {
+        res.status(401).json({ success: false, message: '未登录或登录已失效' });
+        return;
+    }
+    if (!config.isAdmin(user.username)) {
+        res.status(403).json({ success: false, message: '需要管理员权限' });
+        return;
+    }
+    req.admin = user;
+    next();
+}
+
+app.use('/api/admin', requireAdmin);
+
+// 管理页面（页面本身不需要登录，页面中的操作通过管理接口完成）
+app.get('/admin', (req, res) => {
+    res.type('html').send(renderAdminPage());
+});
+
+// 管理接口：所有玩家和观众的连接信息
+app.get('/api/admin/players', (req, res) => {
+    res.json(getOwnedRooms().flatMap(room => getAdminMemberList(room)));
+});
+
+// 管理接口：把玩家或观众移出球桌
+app.post('/api/admin/players/:playerId/kick', (req, res) => {
+    const member = findRoomMember(req.params.playerId);
+    if (!member) {
+        res.status(404).json({ success: false, message: '玩家不在任何球桌中' });
+        return;
+    }
+    kickMember(member, req.admin.username, (req.body && req.body.reason) || '管理员操作');
+    res.json({ success: true });
+});
+
+// 辅助函数：校验管理接口的封禁参数，不合法时返回错误信息
+function validateBanOptions({ reason = '', minutes = null }) {
+    if (typeof reason !== 'string' || (minutes !== null && (!Number.isInteger(minutes) || minutes < 1))) {
+        return '封禁原因必须是字符串，时长必须是正整数（分钟）';
+    }
+    return null;
+}
+
+// 管理接口：封禁玩家ID（minutes 为空时永久封禁），玩家在线时同时移出球桌；banAddress 为 true 时同时封禁玩家当前的IP
+app.post('/api/admin/players/:playerId/ban', (req, res) => {
+    const { reason = '', minutes = null, banAddress = false } = req.body || {};
+    const invalid = validateBanOptions({ reason, minutes });
+    if (invalid) {
+        res.status(400).json({ success: false, message: invalid });
+        return;
+    }
+    
+    const { playerId } = req.params;
+    const member = findRoomMember(playerId);
+    const address = banAddress && member && member.socket ? getSocketAddress(member.socket) : null;
+    if (banAddress && !address) {
+        res.status(409).json({ success: false, message: '玩家不在线，无法封禁IP' });
+        return;
+    }
+    
+    const ban = banList.ban(playerId, { reason, bannedBy: req.admin.username, minutes });
+    logger.info('⛔ 管理员封禁玩家', { admin: req.admin.username, playerId, minutes, reason });
+    if (member) {
+        kickMember(member, req.admin.username, reason || '已被封禁');
+    }
+    
+    const addressBan = address ? banList.banAddress(address, { reason, bannedBy: req.admin.username, minutes }) : null;
+    if (addressBan) {
+        logger.info('⛔ 管理员封禁玩家的IP', { admin: req.admin.username, playerId, address });
+        disconnectAddress(address, req.admin.username, addressBan);
+    }
+    res.json({ success: true, ban, addressBan });
+});
+
+// 管理接口：封禁名单
+app.get('/api/admin/bans', (req, res) => {
+    res.json(banList.list());
+});
+
+// 管理接口：解除封禁
+app.delete('/api/admin/bans/:playerId', (req, res) => {
+    const removed = banList.unban(req.params.playerId);
+    if (!removed) {
+        res.status(404).json({ success: false, message: '该玩家没有被封禁' });
+        return;
+    }
+    logger.info('✅ 管理员解除封禁', { admin: req.admin.username, playerId: req.params.playerId });
+    res.json({ success: true });
+});
+
+// 管理接口：IP封禁名单
+app.get('/api/admin/ip-bans', (req, res) => {
+    res.json(banList.listAddresses());
+});
+
+// 管理接口：封禁IP并断开来自该IP的连接
+app.post('/api/admin/ip-bans', (req, res) => {
+    const { address, reason = '', minutes = null } = req.body || {};
+    if (typeof address !== 'string' || normalizeAddress(address).length === 0) {
+        res.status(400).json({ success: false, message: '请指定要封禁的IP' });
+        return;
+    }
+    const invalid = validateBanOptions({ reason, minutes });
+    if (invalid) {
+        res.status(400).json({ success: false, message: invalid });
+        return;
+    }
+    
+    const ban = banList.banAddress(address, { reason, bannedBy: req.admin.username, minutes });
+    const disconnected = disconnectAddress(ban.address, req.admin.username, ban);
+    logger.info('⛔ 管理员封禁IP', { admin: req.admin.username, address: ban.address, minutes, reason, disconnected });
+    res.json({ success: true, ban, disconnected });
+});
+
+// 管理接口：解除IP封禁
+app.delete('/api/admin/ip-bans/:address', (req, res) => {
+    const removed = banList.unbanAddress(req.params.address);
+    if (!removed) {
+        res.status(404).json({ success: false, message: '该IP没有被封禁' });
+        return;
+    }
+    logger.info('✅ 管理员解除IP封禁', { admin: req.admin.username, address: normalizeAddress(req.params.address) });
+    res.json({ success: true });
+});
+
+// 管理接口：收回自由练习中玩家的球杆
+app.post('/api/admin/rooms/:roomId/release-cue', (req, res) => {
+    const room = roomManager.getRoom(req.params.roomId);
+    if (!room) {
+        res.status(404).json({ success: false, message: '房间不存在' });
+        return;
+    }
+    if (room.hasActiveGame()) {
+        res.status(409).json({ success: false, message: '比赛进行中，击球权由服务器分配' });
+        return;
+    }
+    
+    const player = room.players.get(room.currentPlayer);
+    if (!player) {
+        res.status(409).json({ success: false, message: '当前没有玩家持杆' });
+        return;
+    }
+    logger.info('🛠️ 管理员收回球杆', { admin: req.admin.username, roomId: room.id, playerId: player.id });
+    forceReleaseCue(room, player, '管理员收回了球杆');
+    res.json({ success: true, releasedFrom: player.id });
+});
+
+// 管理接口：重置球桌（比赛进行中不能重置）
+app.post('/api/admin/rooms/:roomId/reset', (req, res) => {
+    const room = roomManager.getRoom(req.params.roomId);
+    if (!room) {
+        res.status(404).json({ success: false, message: '房间不存在' });
+        return;
+    }
+    if (room.hasActiveGame()) {
+        res.status(409).json({ success: false, message: '比赛进行中不能重置球台' });
+        return;
+    }
+    
+    logger.info('🛠️ 管理员重置台球桌', { admin: req.admin.username, roomId: room.id });
+    resetTableState(room, req.admin.username);
+    if (room.currentPlayer) {
+        startShotClock(room, room.currentPlayer);
+    }
+    res.json({ success: true, ballsState: room.ballsState });
+});
+
+// 管理接口：发送系统公告（指定 roomId 时只发到该球桌）
+app.post('/api/admin/announcements', (req, res) => {
+    const { message, roomId } = req.body || {};
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > GAME_CONFIG.MAX_MESSAGE_LENGTH) {
+        res.status(400).json({ success: false, message: `公告内容需要1到${GAME_CONFIG.MAX_MESSAGE_LENGTH}个字符` });
+        return;
+    }
+    
+    const rooms = roomId ? [roomManager.getRoom(roomId)].filter(Boolean) : getOwnedRooms();
+    if (rooms.length === 0) {
+        res.status(404).json({ success: false, message: '房间不存在' });
+        return;
+    }
+    rooms.forEach(room => sendSystemMessage(room, `📢 ${message.trim()}`, 'system'));
+    logger.info('📢 管理员发送公告', { admin: req.admin.username, roomCount: rooms.length, message: message.trim() });
+    res.json({ success: true, roomCount: rooms.length });
+});
+
+// 管理接口：最近的服务器错误
+app.get('/api/admin/errors', (req, res) => {
+    res.json(recentErrors.slice().reverse());
+});
+
+// 管理接口：反作弊标记的玩家和最近的违规记录
+app.get('/api/admin/anti-cheat', (req, res) => {
+    res.json({
+        flaggedPlayers: antiCheat.getFlaggedPlayers(),
+        recentViolations: antiCheat.getRecentViolations().reverse()
+    });
+});
+
+// 房间管理 - 每个房间拥有独立的球桌状态
+const roomManager = new RoomManager(cluster.enabled ? `room-${cluster.nodeId}` : 'room');
+
+// 物理引擎 - 击球结果由服务端统一模拟
+const physicsEngine = new PhysicsEngine();
+
+// 匹配队列 - 按技术分为玩家寻找对手
+const matchmakingQueue = new MatchmakingQueue();
+
+// 反作弊 - 把客户端上报的进球和球台与服务端的击球记录比对
+const antiCheat = new AntiCheatMonitor({ rejectShots: config.shouldRejectSuspiciousShots() });
+
+// 模拟一致性检查 - 比对各玩家客户端的最终球台与服务端结果
+const simulationConsensus = new SimulationConsensus();
+
+// 运行指标 - 采集时从当前状态计算的数值（多实例模式下只统计本节点负责的球桌）
+metrics.gauge('pool_connected_sockets', '连接到本节点的客户端数', () => ioServer.of('/').sockets.size);
+metrics.gauge('pool_rooms', '房间数', () => getOwnedRooms().length);
+metrics.gauge('pool_active_players', '在线的玩家数', () => getOwnedRooms()
+    .reduce((count, room) => count + Array.from(room.players.values()).filter(player => player.socket).length, 0));
+metrics.gauge('pool_spectators', '观众数', () => getOwnedRooms().reduce((count, room) => count + room.spectators.size, 0));
+metrics.gauge('pool_active_games', '进行中的比赛数', () => getOwnedRooms().filter(room => room.hasActiveGame()).length);
+metrics.gauge('pool_matchmaking_queue', '排队匹配的玩家数', () => matchmakingQueue.size);
+metrics.gauge('pool_shots_per_minute', '最近一分钟的击球数', () => {
+    const now = Date.now();
+    recentShotTimes = recentShotTimes.filter(time => now - time < SHOTS_PER_MINUTE_WINDOW);
+    return recentShotTimes.length;
+});
+
+// 聊天管理 - 管理员名单、禁言和屏蔽词（管理接口的管理员同时也是聊天管理员）
+const chatModeration = new ChatModeration([...config.getChatModerators(), ...config.getAdminUsers()]);
+const profanityFilter = new ProfanityFilter();
+if (config.getProfanityListPath()) {
+    try {
+        const count = profanityFilter.loadFile(config.getProfanityListPath());
+        logger.info('🧹 已加载屏蔽词', { count, file: config.getProfanityListPath() });
+    } catch (error) {
+        logger.error('⚠️ 读取屏蔽词文件失败，使用内置列表', { file: config.getProfanityListPath(), error: error.message });
+    }
+}
 
 // 游戏配置
 const GAME_CONFIG = {
     HEARTBEAT_INTERVAL: 30000, // 30秒心跳间隔
     PLAYER_TIMEOUT: 60000,     // 60秒玩家超时
     CUE_TIMEOUT: 120000,       // 120秒持杆超时
-    MAX_CHAT_HISTORY: 100,     // 最大聊天记录数
     MAX_MESSAGE_LENGTH: 200,   // 最大消息长度
-    CHAT_RATE_LIMIT: 5000      // 聊天频率限制（5秒一条）
+    CHAT_RATE_LIMIT: 5000,     // 聊天频率限制（5秒一条）
+    MAX_ROOMS: 50,             // 最大房间数
+    MAX_PLAYERS_PER_ROOM: 8,   // 每个房间最大玩家数
+    MAX_SPECTATORS_PER_ROOM: 50, // 每个房间最大观众数（不占玩家名额）
+    MAX_ROOM_NAME_LENGTH: 30,  // 房间名称最大长度
+    ROOM_IDLE_TIMEOUT: 60000,  // 空房间60秒后自动关闭
+    RECONNECT_GRACE_PERIOD: 30000, // 掉线后保留玩家记录30秒等待重连
+    MATCHMAKING_INTERVAL: 2000,   // 每2秒尝试配对一次
+    SNAPSHOT_INTERVAL: 10000,     // 每10秒保存一次球桌快照
+    SNAPSHOT_MAX_AGE: 30 * 60 * 1000, // 超过30分钟的快照启动时不再恢复
+    SHUTDOWN_NOTICE_DELAY: 1000,  // 关闭前等待1秒让客户端收到通知
+    SHUTDOWN_TIMEOUT: 5000,       // 交出球桌时最多等待5秒
+    SHUTDOWN_SIMULATION_TIMEOUT: 20000, // 关闭前最多等待20秒让正在进行的击球模拟结束
+    SHUTDOWN_RECONNECT_DELAY: 5000,     // 建议客户端收到关闭通知后等待5秒再重连
+    SIMULATION_POLL_INTERVAL: 200,      // 关闭时检查模拟是否结束的间隔
+    READINESS_CHECK_TIMEOUT: 2000,      // 就绪检查中每项检查的超时
+    DEFAULT_MATCH_MODE: 'eightBall' // 排队未指定模式时使用8球
 };
 
-// 辅助函数：调试日志
-function debugLog(message, data = null) {
-    if (config.shouldDebug()) {
-        console.log(`[DEBUG] ${message}`, data || '');
-    }
+// 辅助函数：记录一杆的模拟计算时间和球的运动时间（秒）
+function recordShotMetrics(computeSeconds, shotDuration) {
+    const now = Date.now();
+    serverMetrics.shots.inc();
+    serverMetrics.simulationCompute.observe(computeSeconds);
+    serverMetrics.shotDuration.observe(shotDuration);
+    recentShotTimes = recentShotTimes.filter(time => now - time < SHOTS_PER_MINUTE_WINDOW);
+    recentShotTimes.push(now);
+}
+
+// 辅助函数：带有连接上下文（socketId、playerId、roomId）的日志
+function socketLogger(socket) {
+    return logger.child({
+        socketId: socket.id,
+        playerId: socket.data.playerId || undefined,
+        roomId: socket.data.roomId || undefined
+    });
+}
+
+// 辅助函数：生成聊天消息ID（翻页时用作位置标记）
+function createMessageId() {
+    return crypto.randomUUID();
 }
 
-// 辅助函数：创建系统消息
+// 辅助函数：创建系统消息（发送到球桌频道）
 function createSystemMessage(content, type = 'system') {
     return {
-        id: Date.now() + Math.random(),
+        id: createMessageId(),
         type: type, // 'system', 'error', 'info'
+        channel: CHAT_CHANNELS.TABLE,
         sender: 'System',
         content: content,
         timestamp: new Date().toISOString()
     };
 }
 
-// 辅助函数：创建玩家消息
-function createPlayerMessage(playerId, content) {
+// 辅助函数：创建玩家消息（channel 为 table、team:<队伍> 或 dm，私聊时带 recipient）
+function createPlayerMessage(playerId, content, { channel = CHAT_CHANNELS.TABLE, type = 'player', recipient } = {}) {
     return {
-        id: Date.now() + Math.random(),
-        type: 'player',
+        id: createMessageId(),
+        type: type, // 'player', 'emote'
+        channel: channel,
         sender: playerId,
+        ...(recipient ? { recipient } : {}),
         content: content,
         timestamp: new Date().toISOString()
     };
 }
 
-// 辅助函数：添加消息到历史记录
-function addMessageToHistory(message) {
-    gameState.chatHistory.push(message);
-    
-    // 保持历史记录在限制范围内
-    if (gameState.chatHistory.length > GAME_CONFIG.MAX_CHAT_HISTORY) {
-        gameState.chatHistory = gameState.chatHistory.slice(-GAME_CONFIG.MAX_CHAT_HISTORY);
+// 辅助函数：添加消息到房间对应频道的最近消息，并写入存档
+function addMessageToHistory(room, message) {
+    room.chat.add(message.channel, message);
+    chatArchive.append(room.id, message);
+}
+
+// 辅助函数：队伍中所有在线成员的socket
+function getTeamSockets(room, team) {
+    const members = team === CHAT_TEAMS.SPECTATORS ? room.spectators.values() : room.players.values();
+    return Array.from(members).map(member => member.socket).filter(Boolean);
+}
+
+// 辅助函数：把聊天事件发给能看到该消息的人（球桌频道发给整个房间，队伍频道发给同队成员，私聊发给双方）
+function emitToChatChannel(room, message, event, payload) {
+    if (message.channel === CHAT_CHANNELS.DIRECT) {
+        [message.sender, message.recipient].forEach(memberId => {
+            const member = findChatMember(memberId);
+            if (member) {
+                member.socket.emit(event, payload);
+            }
+        });
+    } else if (message.channel === CHAT_CHANNELS.TABLE) {
+        ioServer.to(room.id).emit(event, payload);
+    } else {
+        const team = message.channel === getTeamChannel(CHAT_TEAMS.SPECTATORS) ? CHAT_TEAMS.SPECTATORS : CHAT_TEAMS.PLAYERS;
+        getTeamSockets(room, team).forEach(memberSocket => memberSocket.emit(event, payload));
     }
 }
 
-// 辅助函数：广播聊天消息
-function broadcastChatMessage(message) {
-    addMessageToHistory(message);
-    ioServer.emit('chatMessage', message);
-    debugLog('广播聊天消息', { sender: message.sender, content: message.content });
+// 辅助函数：在房间内广播聊天消息
+function broadcastChatMessage(room, message) {
+    addMessageToHistory(room, message);
+    emitToChatChannel(room, message, 'chatMessage', message);
+    logger.debug('广播聊天消息', { roomId: room.id, channel: message.channel, sender: message.sender, content: message.content });
 }
 
-// 辅助函数：发送系统消息
-function sendSystemMessage(content, type = 'system') {
+// 辅助函数：向房间发送系统消息
+function sendSystemMessage(room, content, type = 'system') {
     const message = createSystemMessage(content, type);
-    broadcastChatMessage(message);
+    broadcastChatMessage(room, message);
+}
+
+// 辅助函数：只发给一个连接的提示消息（命令结果等），不保存到聊天记录
+function sendPrivateNotice(socket, content) {
+    socket.emit('chatMessage', createSystemMessage(content, 'info'));
+}
+
+// 辅助函数：新加入的玩家或观众可以看到的最近聊天记录（球桌频道和自己队伍的频道）
+function getRecentChat(room, team) {
+    return [CHAT_CHANNELS.TABLE, getTeamChannel(team)]
+        .flatMap(channel => room.chat.getRecent(channel))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// 辅助函数：获取socket当前所在的房间
+function getSocketRoom(socket) {
+    return socket.data.roomId ? roomManager.getRoom(socket.data.roomId) : null;
+}
+
+// 辅助函数：获取socket的玩家ID（登录用户使用账号名，游客使用自报的ID）
+function resolvePlayerId(socket, requestedId) {
+    return socket.data.user ? socket.data.user.username : requestedId;
+}
+
+// 辅助函数：根据socket绑定的身份获取房间和玩家（不信任客户端传来的playerId）
+function getSocketPlayer(socket) {
+    const room = getSocketRoom(socket);
+    const player = room ? room.players.get(socket.data.playerId) : null;
+    
+    if (!player || player.socketId !== socket.id) {
+        return { room: null, player: null, playerId: null };
+    }
+    return { room, player, playerId: player.id };
+}
+
+// 辅助函数：获取socket作为观众所在的房间
+function getSocketSpectator(socket) {
+    const room = socket.data.spectating ? getSocketRoom(socket) : null;
+    const spectator = room ? room.spectators.get(socket.id) : null;
+    
+    if (!spectator) {
+        return { room: null, spectator: null };
+    }
+    return { room, spectator };
+}
+
+// 辅助函数：名称是否已被房间中的其他玩家或观众使用（私聊按名称区分身份，不能重名）
+function isMemberNameTaken(room, name, socket) {
+    const player = room.players.get(name);
+    if (player && player.socket !== socket) {
+        return true;
+    }
+    return Array.from(room.spectators.values()).some(spectator => spectator.id === name && spectator.socket !== socket);
 }
 
 // 辅助函数：验证消息内容
@@ -128,144 +774,1997 @@ function validateMessage(content) {
         return { valid: false, reason: `消息长度不能超过${GAME_CONFIG.MAX_MESSAGE_LENGTH}个字符` };
     }
     
-    // 简单的内容过滤（可以根据需要扩展）
-    const forbiddenWords = ['fuck', 'shit', 'bitch', '傻逼', '白痴', '垃圾'];
-    const lowerContent = trimmed.toLowerCase();
-    for (const word of forbiddenWords) {
-        if (lowerContent.includes(word)) {
-            return { valid: false, reason: '消息包含不当内容' };
-        }
+    // 屏蔽词替换为 *，不拒绝整条消息
+    const filtered = profanityFilter.mask(trimmed);
+    return { valid: true, content: filtered.content, masked: filtered.masked };
+}
+
+// 辅助函数：获取socket的聊天身份（玩家或观众），返回 { room, member, id, team, isPlayer } 或 null
+function getChatSender(socket) {
+    const { room, player } = getSocketPlayer(socket);
+    if (player) {
+        return { room, member: player, id: player.id, team: CHAT_TEAMS.PLAYERS, isPlayer: true };
     }
     
-    return { valid: true, content: trimmed };
+    const { room: spectatorRoom, spectator } = getSocketSpectator(socket);
+    if (spectator) {
+        return { room: spectatorRoom, member: spectator, id: spectator.id, team: CHAT_TEAMS.SPECTATORS, isPlayer: false };
+    }
+    return null;
 }
 
-// 广播游戏状态
-function broadcastGameState() {
-    const state = {
-        currentPlayer: gameState.currentPlayer,
-        ballsState: gameState.ballsState
-    };
-    ioServer.emit('gameState', state);
-    debugLog('广播游戏状态', state);
+// 辅助函数：按ID查找在线的玩家或观众（多实例模式下只能找到本节点负责的球桌中的成员）
+function findChatMember(memberId) {
+    for (const room of getOwnedRooms()) {
+        const player = room.players.get(memberId);
+        if (player && player.socket) {
+            return { room, member: player, id: player.id, socket: player.socket, team: CHAT_TEAMS.PLAYERS, isPlayer: true };
+        }
+        for (const spectator of room.spectators.values()) {
+            if (spectator.id === memberId) {
+                return { room, member: spectator, id: spectator.id, socket: spectator.socket, team: CHAT_TEAMS.SPECTATORS, isPlayer: false };
+            }
+        }
+    }
+    return null;
 }
 
-// 广播玩家列表
-function broadcastPlayerList() {
-    const playerList = Array.from(gameState.players.values()).map(player => ({
-        id: player.id,
-        isHoldingCue: player.isHoldingCue,
-        isOnline: Date.now() - player.lastHeartbeat < GAME_CONFIG.PLAYER_TIMEOUT
-    }));
-    ioServer.emit('playerList', playerList);
-    debugLog('广播玩家列表', playerList);
+// 辅助函数：是否为配置中的聊天管理员（只认登录的账号）
+function isGlobalModerator(member) {
+    return Boolean(member.isAuthenticated) && chatModeration.isModerator(member.id);
 }
 
-// 清理断开连接的玩家
-function removePlayer(playerId, reason = '断开连接') {
-    const player = gameState.players.get(playerId);
-    if (player) {
-        console.log(`🚪 移除玩家: ${playerId} (${reason})`);
-        
-        // 发送系统消息通知玩家离开
-        sendSystemMessage(`${playerId} 离开了游戏`, 'info');
-        
-        // 如果这个玩家正在持杆，清空持杆状态
-        if (gameState.currentPlayer === playerId) {
-            gameState.currentPlayer = null;
-            console.log(`🎱 清空持杆状态 (玩家 ${playerId} ${reason})`);
-            ioServer.emit('cueStateChanged', { playerId, isHolding: false });
-            ioServer.emit('gameState', { currentPlayer: null });
-            sendSystemMessage(`${playerId} 的球杆已被释放`, 'info');
-        }
-        
-        // 清除该玩家的得分记录
-        if (gameState.playerScores.has(playerId)) {
-            gameState.playerScores.delete(playerId);
-            console.log(`🧹 清除玩家 ${playerId} 的得分记录`);
-            
-            // 广播得分清除事件（如果有其他玩家在线）
-            if (gameState.players.size > 1) {
-                ioServer.emit('playerScoreRemoved', {
-                    playerId: playerId,
-                    reason: reason,
-                    timestamp: Date.now()
-                });
-            }
-        }
-        
-        // 从玩家列表中移除
-        gameState.players.delete(playerId);
-        broadcastPlayerList();
-        broadcastGameState();
-        
+// 辅助函数：能否管理目标：管理员可以管理所有人，房主只能管理自己球桌中的非管理员
+function canModerate(sender, target) {
+    if (sender.id === target.id) {
+        return false;
+    }
+    if (isGlobalModerator(sender.member)) {
         return true;
     }
-    return false;
+    return sender.isPlayer && sender.room.hostId === sender.id && target.room === sender.room &&
+        !isGlobalModerator(target.member);
 }
 
-// 检查和清理超时玩家
-function checkPlayerTimeouts() {
+// 辅助函数：检查禁言，被禁言时提示并返回 false
+function checkNotMuted(socket, sender) {
+    const mute = chatModeration.getMute(sender.id);
+    if (mute) {
+        const minutes = Math.ceil((mute.until - Date.now()) / 60000);
+        socket.emit('chatError', { message: `你已被禁言，${minutes} 分钟后解除` });
+        return false;
+    }
+    return true;
+}
+
+// 辅助函数：检查禁言和发言频率，允许发言时更新发言时间并返回 true
+function checkCanSendChat(socket, sender) {
+    if (!checkNotMuted(socket, sender)) {
+        return false;
+    }
+    
     const now = Date.now();
-    const playersToRemove = [];
-    
-    for (const [playerId, player] of gameState.players.entries()) {
-        const timeSinceLastHeartbeat = now - player.lastHeartbeat;
-        
-        // 检查玩家是否超时
-        if (timeSinceLastHeartbeat > GAME_CONFIG.PLAYER_TIMEOUT) {
-            playersToRemove.push(playerId);
-        }
-        // 检查持杆是否超时
-        else if (player.isHoldingCue && gameState.currentPlayer === playerId) {
-            if (timeSinceLastHeartbeat > GAME_CONFIG.CUE_TIMEOUT) {
-                console.log(`⏰ 玩家 ${playerId} 持杆超时，自动释放球杆`);
-                player.isHoldingCue = false;
-                gameState.currentPlayer = null;
-                
-                // 通知该玩家和其他玩家
-                if (player.socket && player.socket.connected) {
-                    player.socket.emit('forceReleaseCue', { reason: '持杆超时' });
-                }
-                ioServer.emit('cueStateChanged', { playerId, isHolding: false });
-                ioServer.emit('gameState', { currentPlayer: null });
-                broadcastPlayerList();
-            }
-        }
+    if (now - sender.member.lastChatTime < GAME_CONFIG.CHAT_RATE_LIMIT) {
+        const remainingTime = Math.ceil((GAME_CONFIG.CHAT_RATE_LIMIT - (now - sender.member.lastChatTime)) / 1000);
+        socket.emit('chatError', {
+            message: `发送消息过于频繁，请等待 ${remainingTime} 秒`
+        });
+        return false;
     }
     
-    // 移除超时玩家
-    playersToRemove.forEach(playerId => {
-        removePlayer(playerId, '超时断开');
-    });
+    sender.member.lastChatTime = now;
+    if (sender.isPlayer) {
+        sender.member.lastHeartbeat = now;
+    }
+    return true;
 }
 
-// 定时检查超时玩家
-setInterval(checkPlayerTimeouts, GAME_CONFIG.HEARTBEAT_INTERVAL);
+// 辅助函数：在球桌频道或自己队伍的频道发言（观众只能在观众频道发言）
+function sendChannelMessage(socket, sender, channel, content, type = 'player') {
+    if (channel !== CHAT_CHANNELS.TABLE && channel !== CHAT_CHANNELS.TEAM) {
+        socket.emit('chatError', { message: '频道不存在' });
+        return;
+    }
+    if (channel === CHAT_CHANNELS.TABLE && !sender.isPlayer) {
+        socket.emit('chatError', { message: '观众只能在观众频道发言' });
+        return;
+    }
+    
+    const validation = validateMessage(content);
+    if (!validation.valid) {
+        socket.emit('chatError', { message: validation.reason });
+        return;
+    }
+    if (!checkCanSendChat(socket, sender)) {
+        return;
+    }
+    
+    const messageChannel = channel === CHAT_CHANNELS.TEAM ? getTeamChannel(sender.team) : CHAT_CHANNELS.TABLE;
+    broadcastChatMessage(sender.room, createPlayerMessage(sender.id, validation.content, { channel: messageChannel, type }));
+    logger.info('💬 聊天消息', { roomId: sender.room.id, channel: messageChannel, sender: sender.id, content: validation.content });
+}
 
-// Socket.IO 连接处理
-ioServer.on('connection', (socket) => {
-    const clientAddress = socket.handshake.address;
-    const origin = socket.handshake.headers.origin;
+// 辅助函数：发送私聊，消息发给双方并保存到私聊记录
+function sendDirectMessage(socket, sender, recipientId, content) {
+    const recipient = findChatMember(recipientId);
+    if (!recipient) {
+        socket.emit('chatError', { message: `${recipientId} 不在线` });
+        return;
+    }
+    if (recipient.id === sender.id) {
+        socket.emit('chatError', { message: '不能给自己发送私聊' });
+        return;
+    }
+    
+    const validation = validateMessage(content);
+    if (!validation.valid) {
+        socket.emit('chatError', { message: validation.reason });
+        return;
+    }
+    if (!checkCanSendChat(socket, sender)) {
+        return;
+    }
     
-    console.log(`👤 用户连接 - Socket ID: ${socket.id}, IP: ${clientAddress}, Origin: ${origin}`);
-    debugLog('Socket连接详情', {
-        id: socket.id,
-        address: clientAddress,
-        origin: origin,
-        headers: socket.handshake.headers
+    const message = createPlayerMessage(sender.id, validation.content, {
+        channel: CHAT_CHANNELS.DIRECT,
+        recipient: recipient.id
     });
+    chatArchive.append(null, message);
+    socket.emit('chatMessage', message);
+    recipient.socket.emit('chatMessage', message);
+    logger.debug('私聊消息', { sender: sender.id, recipient: recipient.id });
+}
 
-    // 玩家加入游戏
-    socket.on('joinGame', (data) => {
-        const { playerId } = data;
-        
-        // 验证玩家ID
-        if (!playerId || playerId.trim().length === 0) {
-            socket.emit('joinGameResponse', {
-                success: false,
-                message: '玩家ID不能为空'
-            });
+// 辅助函数：查找发送者能看到的存档消息（所在球桌的球桌频道、自己队伍的频道、自己参与的私聊），找不到时返回 null
+function findVisibleMessage(sender, messageId) {
+    const message = chatArchive.find(messageId);
+    if (!message || message.deleted) {
+        return null;
+    }
+    if (message.channel === CHAT_CHANNELS.DIRECT) {
+        return message.sender === sender.id || message.recipient === sender.id ? message : null;
+    }
+    
+    // 重启后房间ID可能被新的球桌使用
+    const inRoom = message.roomId === sender.room.id && Date.parse(message.timestamp) >= sender.room.createdAt;
+    return inRoom && (message.channel === CHAT_CHANNELS.TABLE || message.channel === getTeamChannel(sender.team))
+        ? message
+        : null;
+}
+
+// 辅助函数：修改消息并同步到球桌的最近消息，然后通知能看到该消息的人
+function updateChatMessage(message, changes) {
+    const updated = chatArchive.update(message.id, changes);
+    const room = message.roomId ? roomManager.getRoom(message.roomId) : null;
+    if (room) {
+        room.chat.update(message.channel, message.id, changes);
+    }
+    emitToChatChannel(room, updated, 'chatMessageUpdated', updated);
+    return updated;
+}
+
+// 辅助函数：删除消息（存档中保留记录），并从球桌的最近消息中移除
+function deleteChatMessage(message, deletedBy) {
+    chatArchive.markDeleted(message.id, deletedBy);
+    const room = message.roomId ? roomManager.getRoom(message.roomId) : null;
+    if (room) {
+        room.chat.remove(message.channel, message.id);
+    }
+    emitToChatChannel(room, message, 'chatMessageDeleted', {
+        messageId: message.id,
+        channel: message.channel,
+        deletedBy
+    });
+}
+
+// 辅助函数：禁言或踢出前查找目标并检查权限，失败时返回 null
+function findModerationTarget(socket, sender, targetId) {
+    const target = findChatMember(targetId);
+    if (!target) {
+        sendPrivateNotice(socket, `${targetId} 不在线`);
+        return null;
+    }
+    if (!canModerate(sender, target)) {
+        sendPrivateNotice(socket, `你不能管理 ${targetId}`);
+        return null;
+    }
+    return target;
+}
+
+// 聊天命令：run(socket, sender, argText)；moderator 为 true 的命令只有管理员和房主可以使用
+const CHAT_COMMANDS = {
+    help: {
+        usage: '/help',
+        description: '显示可用的命令',
+        run(socket, sender) {
+            const lines = Object.values(CHAT_COMMANDS)
+                .filter(command => !command.moderator || isChatModerator(sender))
+                .map(command => `${command.usage} - ${command.description}`);
+            sendPrivateNotice(socket, lines.join('\n'));
+        }
+    },
+    
+    w: {
+        usage: '/w <玩家> <消息>',
+        description: '发送私聊',
+        run(socket, sender, argText) {
+            const { argument, rest } = splitArgument(argText);
+            if (!argument || !rest) {
+                sendPrivateNotice(socket, `用法: ${this.usage}`);
+                return;
+            }
+            sendDirectMessage(socket, sender, argument, rest);
+        }
+    },
+    
+    me: {
+        usage: '/me <动作>',
+        description: '以第三人称描述动作',
+        run(socket, sender, argText) {
+            if (!argText) {
+                sendPrivateNotice(socket, `用法: ${this.usage}`);
+                return;
+            }
+            sendChannelMessage(socket, sender, sender.isPlayer ? CHAT_CHANNELS.TABLE : CHAT_CHANNELS.TEAM, argText, 'emote');
+        }
+    },
+    
+    mute: {
+        usage: '/mute <玩家> [分钟]',
+        description: `禁止玩家发言（默认${CHAT_CONFIG.DEFAULT_MUTE_MINUTES}分钟）`,
+        moderator: true,
+        run(socket, sender, argText) {
+            const { argument, rest } = splitArgument(argText);
+            const minutes = rest ? Number(rest) : CHAT_CONFIG.DEFAULT_MUTE_MINUTES;
+            if (!argument || !Number.isInteger(minutes) || minutes < 1 || minutes > CHAT_CONFIG.MAX_MUTE_MINUTES) {
+                sendPrivateNotice(socket, `用法: ${this.usage}（1到${CHAT_CONFIG.MAX_MUTE_MINUTES}分钟）`);
+                return;
+            }
+            
+            const target = findModerationTarget(socket, sender, argument);
+            if (!target) {
+                return;
+            }
+            
+            const mute = chatModeration.mute(target.id, minutes, sender.id);
+            logger.info('🔇 禁言', { roomId: sender.room.id, by: sender.id, playerId: target.id, minutes });
+            target.socket.emit('chatMuted', { until: mute.until, minutes, by: sender.id });
+            sendSystemMessage(target.room, `🔇 ${target.id} 被 ${sender.id} 禁言 ${minutes} 分钟`, 'info');
+            if (target.room !== sender.room) {
+                sendPrivateNotice(socket, `已禁言 ${target.id} ${minutes} 分钟`);
+            }
+            broadcastPlayerList(target.room);
+        }
+    },
+    
+    unmute: {
+        usage: '/unmute <玩家>',
+        description: '解除禁言',
+        moderator: true,
+        run(socket, sender, argText) {
+            const { argument } = splitArgument(argText);
+            if (!argument) {
+                sendPrivateNotice(socket, `用法: ${this.usage}`);
+                return;
+            }
+            
+            const target = findModerationTarget(socket, sender, argument);
+            if (!target) {
+                return;
+            }
+            
+            if (!chatModeration.unmute(target.id)) {
+                sendPrivateNotice(socket, `${target.id} 没有被禁言`);
+                return;
+            }
+            logger.info('🔊 解除禁言', { roomId: sender.room.id, by: sender.id, playerId: target.id });
+            target.socket.emit('chatUnmuted', { by: sender.id });
+            sendSystemMessage(target.room, `🔊 ${target.id} 的禁言已被 ${sender.id} 解除`, 'info');
+            broadcastPlayerList(target.room);
+        }
+    },
+    
+    kick: {
+        usage: '/kick <玩家> [原因]',
+        description: '把玩家或观众移出球桌',
+        moderator: true,
+        run(socket, sender, argText) {
+            const { argument, rest } = splitArgument(argText);
+            if (!argument) {
+                sendPrivateNotice(socket, `用法: ${this.usage}`);
+                return;
+            }
+            
+            const target = findModerationTarget(socket, sender, argument);
+            if (!target) {
+                return;
+            }
+            
+            kickMember(target, sender.id, rest || '违反聊天规则');
+            if (target.room !== sender.room) {
+                sendPrivateNotice(socket, `已把 ${target.id} 移出球桌`);
+            }
+        }
+    }
+};
+
+// 辅助函数：把玩家或观众移出球桌（member 为 findChatMember 的结果，掉线等待重连的玩家没有 socket）
+function kickMember(member, by, reason) {
+    logger.info('👢 移出球桌', { roomId: member.room.id, playerId: member.id, by, reason });
+    if (member.socket) {
+        member.socket.emit('kicked', { roomId: member.room.id, by, reason });
+    }
+    sendSystemMessage(member.room, `👢 ${member.id} 被 ${by} 移出了球桌（${reason}）`, 'info');
+    if (member.isPlayer) {
+        removePlayer(member.room, member.id, '被踢出');
+    } else {
+        removeSpectator(member.room, member.socket, '被踢出');
+    }
+}
+
+// 辅助函数：被封禁时的提示
+function getBanMessage(ban) {
+    const until = ban.expiresAt ? `，到期时间 ${new Date(ban.expiresAt).toLocaleString()}` : '';
+    return `你已被封禁${ban.reason ? `（${ban.reason}）` : ''}${until}`;
+}
+
+// 辅助函数：连接的客户端IP（连接时已解析；其他节点转发来的连接使用转发时带上的地址）
+function getSocketAddress(socket) {
+    return socket.data.address || normalizeAddress(socket.handshake.address);
+}
+
+// 辅助函数：握手时解析客户端IP
+// 部署在代理后面时，X-Forwarded-For 中最左边的地址可以由客户端伪造，只采用可信代理追加的地址：
+// 从连接地址往左数可信代理的层数（与 Express 的 trust proxy 层数相同）
+function resolveClientAddress(socket) {
+    const hops = config.getTrustedProxyHops();
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    if (hops === 0 || !forwardedFor) {
+        return normalizeAddress(socket.handshake.address);
+    }
+    const chain = [...forwardedFor.split(',').map(address => address.trim()), socket.handshake.address];
+    return normalizeAddress(chain[Math.max(chain.length - 1 - hops, 0)] || socket.handshake.address);
+}
+
+// 辅助函数：断开来自被封禁IP的所有连接（多实例模式下只能断开连接在本节点的客户端）
+function disconnectAddress(address, by, ban) {
+    let count = 0;
+    ioServer.sockets.sockets.forEach(socket => {
+        if (getSocketAddress(socket) !== address) {
+            return;
+        }
+        const sender = getChatSender(socket);
+        const member = sender && findRoomMember(sender.id);
+        if (member) {
+            kickMember(member, by, ban.reason || '已被封禁');
+        }
+        socket.emit('banned', { reason: ban.reason, expiresAt: ban.expiresAt });
+        socket.disconnect(true);
+        count++;
+    });
+    return count;
+}
+
+// 辅助函数：按ID查找玩家或观众，包括掉线等待重连的玩家（格式同 findChatMember）
+function findRoomMember(memberId) {
+    const online = findChatMember(memberId);
+    if (online) {
+        return online;
+    }
+    for (const room of getOwnedRooms()) {
+        const player = room.players.get(memberId);
+        if (player) {
+            return { room, member: player, id: player.id, socket: null, team: CHAT_TEAMS.PLAYERS, isPlayer: true };
+        }
+    }
+    return null;
+}
+
+// 辅助函数：管理页面中显示的球桌成员和连接信息
+function getAdminMemberList(room) {
+    const flagged = new Set(antiCheat.getFlaggedPlayers().map(entry => entry.playerId));
+    const players = Array.from(room.players.values()).map(player => ({
+        id: player.id,
+        role: 'player',
+        roomId: room.id,
+        socketId: player.socket ? player.socket.id : null,
+        address: player.socket ? getSocketAddress(player.socket) : null,
+        connected: Boolean(player.socket),
+        isHoldingCue: player.isHoldingCue,
+        isAuthenticated: player.isAuthenticated,
+        lastHeartbeat: player.lastHeartbeat,
+        flagged: flagged.has(player.id)
+    }));
+    const spectators = Array.from(room.spectators.values()).map(spectator => ({
+        id: spectator.id,
+        role: 'spectator',
+        roomId: room.id,
+        socketId: spectator.socket.id,
+        address: getSocketAddress(spectator.socket),
+        connected: true,
+        isHoldingCue: false,
+        isAuthenticated: spectator.isAuthenticated,
+        lastHeartbeat: null,
+        flagged: flagged.has(spectator.id)
+    }));
+    return [...players, ...spectators];
+}
+
+// 辅助函数：能否使用管理命令（聊天管理员，或所在球桌的房主）
+function isChatModerator(sender) {
+    return isGlobalModerator(sender.member) || (sender.isPlayer && sender.room.hostId === sender.id);
+}
+
+// 辅助函数：执行聊天命令
+function runChatCommand(socket, sender, { name, argText }) {
+    const command = CHAT_COMMANDS[name];
+    if (!command) {
+        sendPrivateNotice(socket, `未知的命令 /${name}，输入 /help 查看可用的命令`);
+        return;
+    }
+    if (command.moderator && !isChatModerator(sender)) {
+        sendPrivateNotice(socket, `只有管理员和房主才能使用 /${name}`);
+        return;
+    }
+    command.run(socket, sender, argText);
+}
+
+// 辅助函数：验证击球参数
+function validateShotData(shotData) {
+    if (!shotData || typeof shotData !== 'object') {
+        return { valid: false, reason: '缺少击球参数' };
+    }
+    
+    const { angle, power, spin = {} } = shotData;
+    if (!Number.isFinite(angle)) {
+        return { valid: false, reason: '击球角度无效' };
+    }
+    
+    if (!Number.isFinite(power) || power <= 0 || power > 1) {
+        return { valid: false, reason: '击球力度必须在0到1之间' };
+    }
+    
+    const spinX = spin.x === undefined ? 0 : spin.x;
+    const spinY = spin.y === undefined ? 0 : spin.y;
+    if (!Number.isFinite(spinX) || !Number.isFinite(spinY) ||
+        Math.abs(spinX) > 1 || Math.abs(spinY) > 1) {
+        return { valid: false, reason: '塞的取值必须在-1到1之间' };
+    }
+    
+    return { valid: true, shotData: { angle, power, spin: { x: spinX, y: spinY } } };
+}
+
+// 辅助函数：记录玩家进球得分
+function recordPocketedBalls(room, playerId, pocketedBalls) {
+    pocketedBalls.forEach(pocketInfo => {
+        const { ballNumber, pocketType } = pocketInfo;
+        
+        // 跳过白球（0号球），白球进洞不算得分
+        if (ballNumber === 0) {
+            logger.debug('🎱 白球进洞，不记录得分', { roomId: room.id, playerId });
+            return;
+        }
+        
+        // 记录该玩家的得分
+        if (!room.playerScores.has(playerId)) {
+            room.playerScores.set(playerId, []);
+        }
+        
+        const playerScore = room.playerScores.get(playerId);
+        
+        // 检查球是否已经被进过（防止重复记录）
+        if (!playerScore.includes(ballNumber)) {
+            playerScore.push(ballNumber);
+            
+            logger.info('🎯 进球', { roomId: room.id, playerId, ballNumber, pocketType });
+            
+            // 广播进球事件给房间内所有玩家
+            ioServer.to(room.id).emit('playerScored', {
+                playerId: playerId,
+                ballNumber: ballNumber,
+                pocketType: pocketType,
+                timestamp: Date.now()
+            });
+            
+            // 发送系统消息
+            sendSystemMessage(room, `🎯 ${playerId} 打进了 ${ballNumber} 号球！`, 'info');
+            
+            logger.debug('进球记录', {
+                roomId: room.id,
+                playerId,
+                ballNumber,
+                pocketType,
+                currentScore: playerScore
+            });
+        } else {
+            logger.debug('⚠️ 重复的进球记录', { roomId: room.id, playerId, ballNumber });
+        }
+    });
+}
+
+// 辅助函数：把一杆写入比赛回放
+function recordReplayShot(room, playerId, shot, shotResult, outcome) {
+    replayService.recordShot(room.game.id, {
+        playerId,
+        startTime: shot.startTime,
+        endTime: Date.now(),
+        shotData: shot.shotData,
+        preState: shot.preShotState,
+        postState: cloneBallsState(room.ballsState),
+        pocketed: shotResult.pocketed,
+        firstContact: shotResult.firstContact,
+        cueBallPocketed: shotResult.cueBallPocketed,
+        duration: shotResult.duration,
+        fouls: outcome.fouls,
+        continueTurn: outcome.continueTurn,
+        nextPlayer: outcome.nextPlayer,
+        ballInHand: outcome.ballInHand
+    });
+}
+
+// 辅助函数：球停止后提交服务端模拟结果（shot 为击球前状态、击球参数和开始时间）
+function finishShot(room, playerId, shotResult, shot) {
+    room.simulationTimer = null;
+    room.isSimulating = false;
+    room.shotPlayerId = null;
+    room.pendingShot = null;
+    
+    // 白球复位和置球前的模拟结果，用于与客户端的本地模拟比对
+    const simulatedState = cloneBallsState(shotResult.finalState);
+    
+    // 白球落袋后放回开球点
+    room.ballsState = shotResult.cueBallPocketed
+        ? respotCueBall(shotResult.finalState)
+        : shotResult.finalState;
+    
+    logger.info('⏹️ 服务端物理模拟结束', { roomId: room.id, playerId, duration: shotResult.duration });
+    
+    // 比赛中由规则引擎判定本杆结果
+    let outcome = null;
+    if (room.hasActiveGame()) {
+        outcome = room.game.evaluateShot(shotResult, shot.preShotState);
+        room.game.recordShotStats(outcome);
+        room.game.adjustTable(room.ballsState, outcome);
+        recordReplayShot(room, playerId, shot, shotResult, outcome);
+    }
+    
+    recordPocketedBalls(room, playerId, shotResult.pocketed);
+    
+    // 先以服务端模拟结果作为权威状态同步给所有玩家（所有客户端上报一致的结果后可能改用客户端结果）
+    ioServer.to(room.id).emit('syncConfirm', {
+        playerId,
+        authoritativeState: room.ballsState,
+        pocketedBalls: shotResult.pocketed
+    });
+
+    ioServer.to(room.id).emit('simulationEnd', {
+        playerId,
+        message: '物理模拟已结束，可以继续游戏'
+    });
+
+    sendSystemMessage(room, `${playerId} 的击球模拟完成`, 'info');
+    handleConsensusResult(room, simulationConsensus.resolve(room.id, simulatedState));
+    
+    if (outcome) {
+        applyGameOutcome(room, outcome);
+    } else if (room.currentPlayer) {
+        startShotClock(room, room.currentPlayer);
+    }
+}
+
+// 辅助函数：判正在模拟的击球无效，球台保持击球前的状态
+function rejectPendingShot(room, reason) {
+    const { playerId } = room.pendingShot;
+    
+    clearTimeout(room.simulationTimer);
+    room.simulationTimer = null;
+    room.isSimulating = false;
+    room.shotPlayerId = null;
+    room.pendingShot = null;
+    antiCheat.clearShot(room.id);
+    simulationConsensus.clearShot(room.id);
+    
+    logger.warn('🚫 判击球无效', { roomId: room.id, playerId, reason });
+    
+    ioServer.to(room.id).emit('shotRejected', {
+        playerId,
+        reason,
+        ballsState: room.ballsState
+    });
+    sendSystemMessage(room, `⚠️ ${playerId} 的击球被判无效：${reason}`, 'error');
+    broadcastGameState(room);
+    if (room.currentPlayer === playerId) {
+        startShotClock(room, playerId);
+    }
+}
+
+// 辅助函数：记录反作弊检查发现的问题，开启拒绝模式时判该玩家正在进行的击球无效
+function handleAntiCheatResult(room, playerId, check) {
+    if (check.violations.length === 0) {
+        return;
+    }
+    
+    check.violations.forEach(violation => {
+        logger.warn('🚨 上报异常', { roomId: room.id, playerId, type: violation.type, detail: violation.detail });
+    });
+    if (check.newlyFlagged) {
+        logger.warn('🚨 玩家已被标记为可疑', { roomId: room.id, playerId });
+    }
+    
+    if (antiCheat.rejectShots && room.pendingShot && room.pendingShot.playerId === playerId) {
+        rejectPendingShot(room, '客户端上报的击球结果异常');
+    }
+}
+
+// 辅助函数：向模拟结果不一致的客户端重发权威状态，持续不一致时记录日志
+function handleConsensusResult(room, { comparisons, summary }) {
+    comparisons.forEach(comparison => {
+        if (comparison.matches) {
+            return;
+        }
+        
+        const player = room.players.get(comparison.playerId);
+        const playerSocket = player && player.socketId ? getClientSocket(player.socketId) : null;
+        if (playerSocket) {
+            playerSocket.emit('syncConfirm', {
+                playerId: comparison.playerId,
+                authoritativeState: room.ballsState,
+                corrective: true,
+                divergentBalls: comparison.divergentBalls
+            });
+        }
+        logger.debug('客户端模拟结果与服务端不一致', { roomId: room.id, ...comparison });
+        
+        if (comparison.persistent) {
+            logger.warn('⚠️ 玩家连续多杆模拟结果与服务端不一致，可能不同步或客户端被篡改', {
+                roomId: room.id,
+                playerId: comparison.playerId,
+                divergentShots: comparison.divergentShots
+            });
+        }
+    });
+
+    if (!summary || summary.matches) {
+        return;
+    }
+    
+    if (summary.adopted) {
+        adoptConsensusState(room, summary);
+        return;
+    }
+    logger.warn('⚠️ 客户端的模拟结果与服务端不一致，客户端物理实现可能与服务端不同', {
+        roomId: room.id,
+        reportCount: summary.reportCount,
+        clientsAgree: summary.clientsAgree,
+        divergentBalls: summary.divergentBalls
+    });
+}
+
+// 辅助函数：所有客户端一致时采用客户端的中位数结果作为权威状态
+// 只替换规则引擎没有调整过的球（例如重新摆放的球、自由球保持服务端的位置）
+function adoptConsensusState(room, { playerId, consensusState, referenceState, reportCount, divergentBalls }) {
+    const ballsState = { ...room.ballsState };
+    Object.entries(consensusState).forEach(([number, ball]) => {
+        const current = ballsState[number];
+        const reference = referenceState[number];
+        if (current && reference && !reference.pocketed &&
+            current.x === reference.x && current.y === reference.y && current.pocketed === reference.pocketed) {
+            ballsState[number] = { ...current, x: ball.x, y: ball.y };
+        }
+    });
+    room.ballsState = ballsState;
+    
+    logger.info('🤝 采用客户端一致的模拟结果作为权威状态', { roomId: room.id, playerId, reportCount, divergentBalls });
+    ioServer.to(room.id).emit('syncConfirm', {
+        playerId,
+        authoritativeState: room.ballsState,
+        consensus: true
+    });
+}
+
+// 辅助函数：把击球权交给指定玩家（比赛模式）
+function setTurn(room, playerId, reason) {
+    const previousPlayerId = room.currentPlayer;
+    
+    room.players.forEach(player => {
+        player.isHoldingCue = player.id === playerId;
+    });
+    room.currentPlayer = playerId;
+    
+    ioServer.to(room.id).emit('turnChanged', {
+        playerId,
+        previousPlayerId,
+        reason,
+        ballInHand: room.game.ballInHand,
+        ballInHandArea: room.game.ballInHandArea
+    });
+    if (previousPlayerId && previousPlayerId !== playerId) {
+        ioServer.to(room.id).emit('cueStateChanged', { playerId: previousPlayerId, isHolding: false });
+    }
+    ioServer.to(room.id).emit('cueStateChanged', { playerId, isHolding: true });
+    broadcastPlayerList(room);
+    broadcastGameState(room);
+    startShotClock(room, playerId);
+    
+    logger.info('🔁 轮到玩家击球', { roomId: room.id, playerId, reason });
+}
+
+// 辅助函数：轮到玩家击球时开始计时（比赛中为规则引擎分配的玩家，自由练习时为持杆玩家）
+function startShotClock(room, playerId) {
+    // 关闭过程中不再开始计时（重启后由恢复的球桌重新计时）
+    if (isShuttingDown) {
+        return;
+    }
+    // 自由练习默认不计时，由持杆超时处理
+    if (!room.hasActiveGame() && !room.shotClock.settings.practice) {
+        stopShotClock(room);
+        return;
+    }
+    room.shotClock.start(playerId, {
+        onTick: state => ioServer.to(room.id).emit('shotClock', state),
+        onWarning: (clockPlayerId, remaining) => {
+            ioServer.to(room.id).emit('shotClockWarning', { playerId: clockPlayerId, remaining });
+        },
+        onExpire: clockPlayerId => handleShotClockExpired(room, clockPlayerId)
+    });
+}
+
+// 辅助函数：停止计时并通知客户端
+function stopShotClock(room) {
+    if (room.shotClock.isRunning()) {
+        room.shotClock.stop();
+        ioServer.to(room.id).emit('shotClock', room.shotClock.getState());
+    }
+}
+
+// 辅助函数：击球超时，比赛中按球桌设置判犯规或交换球权，自由练习时收回球杆
+function handleShotClockExpired(room, playerId) {
+    const player = room.players.get(playerId);
+    if (!player || room.currentPlayer !== playerId || room.isSimulating) {
+        return;
+    }
+    
+    const inGame = room.hasActiveGame() && room.game.currentTurn === playerId;
+    const penalty = inGame ? room.shotClock.settings.penalty : 'releaseCue';
+    
+    logger.info('⏰ 击球超时', { roomId: room.id, playerId, penalty });
+    ioServer.to(room.id).emit('shotClockExpired', { playerId, penalty });
+    sendSystemMessage(room, `⏰ ${playerId} 击球超时`, 'info');
+    
+    if (inGame) {
+        applyGameOutcome(room, room.game.timeoutShot(penalty));
+    } else {
+        forceReleaseCue(room, player, '击球超时');
+    }
+}
+
+// 辅助函数：收回自由练习中玩家的球杆
+function forceReleaseCue(room, player, reason) {
+    player.isHoldingCue = false;
+    room.currentPlayer = null;
+    stopShotClock(room);
+    
+    // 通知该玩家和其他玩家
+    if (player.socket && player.socket.connected) {
+        player.socket.emit('forceReleaseCue', { reason });
+    }
+    ioServer.to(room.id).emit('cueStateChanged', { playerId: player.id, isHolding: false });
+    ioServer.to(room.id).emit('gameState', { currentPlayer: null });
+    broadcastPlayerList(room);
+    passCueToNext(room);
+}
+
+// 辅助函数：处理球杆请求，球杆空闲且没有人排队时直接拿起，否则加入等待队列
+function requestCue(room, player) {
+    if (room.hasActiveGame()) {
+        return { success: false, message: '比赛进行中，击球权由服务器分配' };
+    }
+    if (room.currentPlayer === player.id) {
+        return { success: false, message: '你已经拿着球杆了' };
+    }
+    
+    player.lastHeartbeat = Date.now(); // 更新心跳
+    if (!room.currentPlayer && !getNextQueuedPlayer(room)) {
+        grantCue(room, player);
+        return { success: true, message: '已拿起球杆', position: null };
+    }
+    
+    if (room.getCueQueuePosition(player.id) === null) {
+        const position = room.enqueueCue(player.id);
+        logger.info('🙋 排队等待球杆', { roomId: room.id, playerId: player.id, position });
+        broadcastPlayerList(room);
+    }
+    
+    // 持杆玩家掉线时不再为其保留球杆
+    const holder = room.players.get(room.currentPlayer);
+    if (holder && !holder.socket && !room.isSimulating) {
+        forceReleaseCue(room, holder, '掉线');
+    }
+    
+    if (room.currentPlayer === player.id) {
+        return { success: true, message: '已拿起球杆', position: null };
+    }
+    const position = room.getCueQueuePosition(player.id);
+    return { success: true, message: `已加入等待队列（第 ${position} 位）`, position };
+}
+
+// 辅助函数：队列中第一位在线的玩家（掉线等待重连的玩家保留位置，但不会拿到球杆）
+function getNextQueuedPlayer(room) {
+    return room.cueQueue
+        .map(playerId => room.players.get(playerId))
+        .find(player => player && player.socket) || null;
+}
+
+// 辅助函数：把球杆交给玩家并开始计时
+function grantCue(room, player) {
+    room.dequeueCue(player.id);
+    room.currentPlayer = player.id;
+    player.isHoldingCue = true;
+    
+    logger.info('🎱 拿起球杆', { roomId: room.id, playerId: player.id });
+    sendSystemMessage(room, `${player.id} 拿起了球杆`, 'info');
+    broadcastPlayerList(room);
+    ioServer.to(room.id).emit('cueStateChanged', { playerId: player.id, isHolding: true });
+    ioServer.to(room.id).emit('gameState', { currentPlayer: room.currentPlayer });
+    startShotClock(room, player.id);
+}
+
+// 辅助函数：球杆空出时自动交给队列中的下一位玩家
+function passCueToNext(room) {
+    if (room.currentPlayer || room.hasActiveGame()) {
+        return false;
+    }
+    
+    const nextPlayer = getNextQueuedPlayer(room);
+    if (!nextPlayer) {
+        return false;
+    }
+    grantCue(room, nextPlayer);
+    return true;
+}
+
+// 辅助函数：停止正在进行的模拟，按当前模式重新摆球并清除得分（resetBy 为操作的玩家或管理员）
+function resetTableState(room, resetBy) {
+    // 🛑 停止当前的模拟
+    if (room.simulationTimer) {
+        clearTimeout(room.simulationTimer);
+        room.simulationTimer = null;
+    }
+    
+    // 🔄 重置游戏状态，按当前模式重新摆球
+    room.ballsState = getGameMode(room.gameMode).createRack();
+    room.isSimulating = false;
+    room.shotPlayerId = null;
+    room.pendingShot = null;
+    antiCheat.clearShot(room.id);
+    simulationConsensus.clearShot(room.id);
+    
+    // 🧹 清除所有得分记录
+    room.playerScores.clear();
+    logger.info('🧹 重置台球桌时清除所有得分记录', { roomId: room.id, resetBy });
+    
+    // 📡 广播重置事件给房间内所有玩家
+    ioServer.to(room.id).emit('resetTable', {
+        playerId: resetBy,
+        resetBy: resetBy,
+        gameMode: room.gameMode,
+        ballsState: room.ballsState
+    });
+
+    // 🧹 广播得分清除事件
+    ioServer.to(room.id).emit('scoresCleared', {
+        clearedBy: resetBy,
+        reason: '台球桌重置',
+        timestamp: Date.now()
+    });
+
+    // 💬 发送系统消息
+    sendSystemMessage(room, `${resetBy} 重置了台球桌`, 'info');
+}
+
+// 辅助函数：更新技术分，双方都是注册玩家时才计分
+function updateRatings(result) {
+    if (!result.winner || !result.loser ||
+        !authService.isRegistered(result.winner) || !authService.isRegistered(result.loser)) {
+        return null;
+    }
+    return ratingService.recordResult(result.winner, result.loser);
+}
+
+// 辅助函数：保存已结束的比赛到历史记录
+function saveMatch(room, result, ratingChanges) {
+    const { game } = room;
+    return matchHistory.recordMatch({
+        id: game.id,
+        roomId: room.id,
+        mode: game.mode,
+        players: game.players.map(playerId => ({
+            playerId,
+            isGuest: !authService.isRegistered(playerId),
+            ...game.stats[playerId],
+            ...(game.scores ? { points: game.scores[playerId] } : {})
+        })),
+        winner: result.winner,
+        loser: result.loser,
+        reason: result.reason,
+        shotCount: game.shotCount,
+        ratingChanges,
+        startedAt: game.startedAt,
+        endedAt: Date.now()
+    });
+}
+
+// 辅助函数：结束比赛并公布胜负
+function endGame(room, result) {
+    room.players.forEach(player => {
+        player.isHoldingCue = false;
+    });
+    room.currentPlayer = null;
+    stopShotClock(room);
+    
+    const ratingChanges = updateRatings(result);
+    const match = saveMatch(room, result, ratingChanges);
+    replayService.finish(room.game.id, result);
+    
+    ioServer.to(room.id).emit('gameOver', {
+        ...result,
+        matchId: match.id,
+        ratingChanges,
+        game: room.game.getState(),
+        timestamp: Date.now()
+    });
+    sendSystemMessage(room, `🏆 ${result.winner} 赢得了比赛！(${result.reason})`, 'info');
+    broadcastPlayerList(room);
+    broadcastGameState(room);
+    broadcastRoomList();
+    
+    logger.info('🏆 比赛结束', { roomId: room.id, winner: result.winner, reason: result.reason });
+}
+
+// 辅助函数：广播规则引擎的判定结果
+function applyGameOutcome(room, outcome) {
+    const { shooter } = outcome;
+    
+    if (outcome.fouls.length > 0) {
+        ioServer.to(room.id).emit('foul', {
+            playerId: shooter,
+            reasons: outcome.fouls,
+            ballInHand: outcome.ballInHand ? outcome.nextPlayer : null
+        });
+        sendSystemMessage(room, `⚠️ ${shooter} 犯规：${outcome.fouls.join('，')}`, 'info');
+    }
+    
+    if (outcome.groupAssigned) {
+        ioServer.to(room.id).emit('groupAssigned', { groups: outcome.groupAssigned });
+        const names = { solids: '全色球', stripes: '花色球' };
+        const summary = Object.entries(outcome.groupAssigned)
+            .map(([pid, group]) => `${pid}: ${names[group]}`)
+            .join('，');
+        sendSystemMessage(room, `🎱 分组确定 - ${summary}`, 'info');
+    }
+    
+    if (outcome.gameOver) {
+        endGame(room, outcome.gameOver);
+        return;
+    }
+    
+    if (outcome.reRack) {
+        sendSystemMessage(room, '🔺 台面只剩最后一颗球，重新摆球', 'info');
+    }
+    
+    if (outcome.continueTurn) {
+        broadcastGameState(room);
+        sendSystemMessage(room, `${shooter} 继续击球`, 'info');
+        startShotClock(room, shooter);
+    } else {
+        setTurn(room, outcome.nextPlayer, outcome.fouls.length > 0 ? 'foul' : 'miss');
+    }
+}
+
+// 广播房间游戏状态
+function broadcastGameState(room) {
+    const state = {
+        currentPlayer: room.currentPlayer,
+        ballsState: room.ballsState,
+        game: room.game ? room.game.getState() : null
+    };
+    ioServer.to(room.id).emit('gameState', state);
+    logger.debug('广播游戏状态', { roomId: room.id, ...state });
+}
+
+// 构建房间玩家列表
+function getPlayerList(room) {
+    return Array.from(room.players.values()).map(player => ({
+        id: player.id,
+        isHoldingCue: player.isHoldingCue,
+        isHost: room.hostId === player.id,
+        isGuest: !player.isAuthenticated,
+        rating: ratingService.getRating(player.id),
+        queuePosition: room.getCueQueuePosition(player.id),
+        isModerator: isGlobalModerator(player),
+        isMuted: Boolean(chatModeration.getMute(player.id)),
+        isReconnecting: !player.socket,
+        isOnline: Boolean(player.socket) && Date.now() - player.lastHeartbeat < GAME_CONFIG.PLAYER_TIMEOUT
+    }));
+}
+
+// 构建房间观众列表
+function getSpectatorList(room) {
+    return Array.from(room.spectators.values()).map(spectator => ({
+        id: spectator.id,
+        isGuest: !spectator.isAuthenticated,
+        joinedAt: spectator.joinedAt
+    }));
+}
+
+// 构建房间得分排行榜
+function getScoreboard(room) {
+    return Array.from(room.playerScores.entries()).map(([pid, scores]) => ({
+        playerId: pid,
+        balls: scores,
+        totalScore: scores.length
+    })).sort((a, b) => b.totalScore - a.totalScore);
+}
+
+// 构建房间完整状态快照（用于重连后恢复），聊天记录包含 team 队伍的频道
+function getRoomSnapshot(room, team = CHAT_TEAMS.PLAYERS) {
+    return {
+        room: room.getSummary(),
+        currentPlayer: room.currentPlayer,
+        ballsState: room.ballsState,
+        isSimulating: room.isSimulating,
+        game: room.game ? room.game.getState() : null,
+        shotClock: room.shotClock.getState(),
+        players: getPlayerList(room),
+        spectators: getSpectatorList(room),
+        scores: getScoreboard(room),
+        chatHistory: getRecentChat(room, team),
+        timestamp: Date.now()
+    };
+}
+
+// 广播房间玩家列表
+function broadcastPlayerList(room) {
+    const playerList = getPlayerList(room);
+    ioServer.to(room.id).emit('playerList', playerList);
+    logger.debug('广播玩家列表', { roomId: room.id, playerList });
+}
+
+// 广播房间观众列表
+function broadcastSpectatorList(room) {
+    ioServer.to(room.id).emit('spectatorList', getSpectatorList(room));
+}
+
+// 本节点负责的房间
+function getOwnedRooms() {
+    return roomManager.getAllRooms().filter(room => cluster.isLocal(room.id));
+}
+
+// 获取所有节点的房间列表
+async function getRoomList() {
+    const localRooms = getOwnedRooms().map(room => room.getSummary());
+    const remoteRooms = await cluster.listRemoteSummaries();
+    return [...localRooms, ...remoteRooms];
+}
+
+// 广播房间列表给所有连接
+function broadcastRoomList() {
+    cluster.publishSummaries(getOwnedRooms().map(room => room.getSummary()));
+    getRoomList()
+        .then(rooms => ioServer.emit('roomList', rooms))
+        .catch(error => logger.error('⚠️ 获取房间列表失败', { error: error.message }));
+}
+
+// 创建由本节点负责的新房间
+function createTable(name, hostId) {
+    const room = roomManager.createRoom(name, hostId);
+    cluster.registerTable(room.id);
+    return room;
+}
+
+// 关闭房间
+function closeRoom(room, reason) {
+    if (roomManager.deleteRoom(room.id)) {
+        logger.info('🏚️ 关闭房间', { roomId: room.id, reason });
+        cluster.releaseTable(room.id);
+        antiCheat.clearShot(room.id);
+        simulationConsensus.clearShot(room.id);
+        
+        // 通知仍在观战的观众
+        room.spectators.forEach(spectator => {
+            spectator.socket.leave(room.id);
+            spectator.socket.data.roomId = null;
+            spectator.socket.data.spectating = false;
+            spectator.socket.emit('roomClosed', { roomId: room.id, reason });
+        });
+        room.spectators.clear();
+        broadcastRoomList();
+    }
+}
+
+// 清理断开连接的玩家
+function removePlayer(room, playerId, reason = '断开连接') {
+    const player = room.players.get(playerId);
+    if (player) {
+        logger.info('🚪 移除玩家', { roomId: room.id, playerId, reason });
+        matchmakingQueue.remove(playerId);
+        simulationConsensus.forgetPlayer(playerId);
+        room.dequeueCue(playerId);
+        
+        // 发送系统消息通知玩家离开
+        sendSystemMessage(room, `${playerId} 离开了游戏`, 'info');
+        
+        // 比赛中离开视为认输
+        if (room.hasActiveGame() && room.game.isParticipant(playerId)) {
+            endGame(room, room.game.forfeit(playerId));
+        }
+        
+        // 如果这个玩家正在持杆，清空持杆状态
+        if (room.currentPlayer === playerId) {
+            room.currentPlayer = null;
+            stopShotClock(room);
+            logger.info('🎱 清空持杆状态', { roomId: room.id, playerId, reason });
+            ioServer.to(room.id).emit('cueStateChanged', { playerId, isHolding: false });
+            ioServer.to(room.id).emit('gameState', { currentPlayer: null });
+            sendSystemMessage(room, `${playerId} 的球杆已被释放`, 'info');
+        }
+        
+        // 清除该玩家的得分记录
+        if (room.playerScores.has(playerId)) {
+            room.playerScores.delete(playerId);
+            logger.info('🧹 清除玩家的得分记录', { roomId: room.id, playerId });
+            
+            // 广播得分清除事件（如果有其他玩家在线）
+            if (room.players.size > 1) {
+                ioServer.to(room.id).emit('playerScoreRemoved', {
+                    playerId: playerId,
+                    reason: reason,
+                    timestamp: Date.now()
+                });
+            }
+        }
+        
+        // 从玩家列表中移除，并让socket离开房间
+        if (player.reconnectTimer) {
+            clearTimeout(player.reconnectTimer);
+            player.reconnectTimer = null;
+        }
+        room.players.delete(playerId);
+        if (player.socket) {
+            player.socket.leave(room.id);
+            if (player.socket.data.roomId === room.id) {
+                player.socket.data.roomId = null;
+                player.socket.data.playerId = null;
+            }
+        }
+        
+        // 房主离开时移交给下一位玩家
+        if (room.hostId === playerId) {
+            const nextHost = room.players.keys().next();
+            room.hostId = nextHost.done ? null : nextHost.value;
+            if (room.hostId) {
+                sendSystemMessage(room, `${room.hostId} 成为了房主`, 'info');
+            }
+        }
+        
+        // 最后一名玩家离开后关闭非默认房间
+        if (room.isEmpty() && !room.isDefault()) {
+            closeRoom(room, '所有玩家已离开');
+            return true;
+        }
+        
+        broadcastPlayerList(room);
+        broadcastGameState(room);
+        broadcastRoomList();
+        passCueToNext(room);
+        
+        return true;
+    }
+    return false;
+}
+
+// 移除观众
+function removeSpectator(room, socket, reason = '断开连接') {
+    const spectator = room.spectators.get(socket.id);
+    if (!spectator) {
+        return false;
+    }
+    
+    logger.info('👋 观众离开房间', { roomId: room.id, spectatorId: spectator.id, reason });
+    room.spectators.delete(socket.id);
+    socket.leave(room.id);
+    socket.data.roomId = null;
+    socket.data.spectating = false;
+    
+    broadcastSpectatorList(room);
+    broadcastRoomList();
+    return true;
+}
+
+// 辅助函数：让socket离开当前房间（无论是玩家还是观众）
+function leaveSocketRoom(socket, reason) {
+    const room = getSocketRoom(socket);
+    if (!room) {
+        return null;
+    }
+    
+    if (socket.data.spectating) {
+        removeSpectator(room, socket, reason);
+    } else {
+        removePlayer(room, socket.data.playerId, reason);
+    }
+    return room;
+}
+
+// 辅助函数：生成重连凭证，格式为 房间ID:随机串（多实例时据此找到负责该房间的节点）
+function createResumeToken(room) {
+    return `${room.id}:${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// 辅助函数：从重连凭证中取出房间ID
+function getResumeTokenRoomId(resumeToken) {
+    if (typeof resumeToken !== 'string') {
+        return null;
+    }
+    const separator = resumeToken.lastIndexOf(':');
+    return separator > 0 ? resumeToken.slice(0, separator) : null;
+}
+
+// 辅助函数：把socket绑定到房间中的玩家记录
+function attachPlayerSocket(room, player, socket) {
+    player.socket = socket;
+    player.socketId = socket.id;
+    player.lastHeartbeat = Date.now();
+    player.disconnectedAt = null;
+    player.resumeToken = createResumeToken(room); // 每次绑定都更换凭证，旧凭证失效
+    
+    socket.join(room.id);
+    socket.data.roomId = room.id;
+    socket.data.playerId = player.id;
+    socket.data.spectating = false;
+}
+
+// 辅助函数：根据重连凭证查找玩家
+function findPlayerByResumeToken(resumeToken) {
+    for (const room of roomManager.getAllRooms()) {
+        for (const player of room.players.values()) {
+            if (player.resumeToken === resumeToken) {
+                return { room, player };
+            }
+        }
+    }
+    return null;
+}
+
+// 辅助函数：宽限期内未重连的玩家从房间中移除
+function scheduleReconnectTimeout(room, player) {
+    player.reconnectTimer = setTimeout(() => {
+        player.reconnectTimer = null;
+        removePlayer(room, player.id, '断线超时');
+    }, GAME_CONFIG.RECONNECT_GRACE_PERIOD);
+}
+
+// 玩家掉线：保留玩家记录（持杆、得分、比赛）一段时间等待重连
+function holdPlayerForReconnect(room, player) {
+    player.socket = null;
+    player.socketId = null;
+    player.disconnectedAt = Date.now();
+    scheduleReconnectTimeout(room, player);
+    
+    // 掉线期间暂停击球计时，重连后重新开始
+    if (room.shotClock.playerId === player.id) {
+        stopShotClock(room);
+    }
+    
+    logger.info('📴 玩家掉线，等待重连', { roomId: room.id, playerId: player.id, gracePeriod: GAME_CONFIG.RECONNECT_GRACE_PERIOD / 1000 });
+    sendSystemMessage(room, `${player.id} 掉线了，等待重连...`, 'info');
+    
+    // 自由练习中有人排队时不再为掉线的玩家保留球杆
+    if (room.currentPlayer === player.id && !room.hasActiveGame() && !room.isSimulating && getNextQueuedPlayer(room)) {
+        forceReleaseCue(room, player, '掉线');
+        return;
+    }
+    broadcastPlayerList(room);
+}
+
+// 玩家重连：把新的socket接回原有的玩家记录，并发送完整状态快照
+function resumePlayer(room, player, socket, responseEvent) {
+    // 旧连接还没有断开时（例如网络切换），让旧连接下线
+    const oldSocket = player.socket;
+    if (oldSocket && oldSocket !== socket) {
+        oldSocket.leave(room.id);
+        oldSocket.data.roomId = null;
+        oldSocket.data.playerId = null;
+        oldSocket.emit('sessionReplaced', { message: '你的会话已在其他连接上恢复' });
+        oldSocket.disconnect(true);
+    }
+    
+    // 新连接已在其他房间中（或正在观战）时，先离开
+    const currentRoom = getSocketRoom(socket);
+    if (currentRoom && (currentRoom !== room || socket.data.playerId !== player.id)) {
+        leaveSocketRoom(socket, '切换房间');
+    }
+    
+    if (player.reconnectTimer) {
+        clearTimeout(player.reconnectTimer);
+        player.reconnectTimer = null;
+    }
+    attachPlayerSocket(room, player, socket);
+    
+    // 旧连接断开时不会再清理匹配队列，排队记录改用新连接
+    const queueEntry = matchmakingQueue.get(player.id);
+    if (queueEntry) {
+        queueEntry.socketId = socket.id;
+    }
+    
+    logger.info('🔌 玩家重新连接', { roomId: room.id, playerId: player.id, socketId: socket.id });
+    
+    socket.emit(responseEvent, {
+        success: true,
+        resumed: true,
+        message: `欢迎回来，${player.id}！`,
+        playerId: player.id,
+        resumeToken: player.resumeToken,
+        authenticated: player.isAuthenticated,
+        room: room.getSummary(),
+        snapshot: getRoomSnapshot(room)
+    });
+
+    sendSystemMessage(room, `${player.id} 重新连接了`, 'info');
+    broadcastPlayerList(room);
+    
+    if (room.currentPlayer === player.id && !room.isSimulating) {
+        startShotClock(room, player.id);
+    }
+    // 排队的玩家重连时球杆可能正空闲
+    passCueToNext(room);
+}
+
+// 辅助函数：把socket作为新玩家加入房间（已在其他房间中或正在观战时先离开）
+function addPlayerToRoom(room, playerId, socket) {
+    leaveSocketRoom(socket, '切换房间');
+    
+    const newPlayer = {
+        id: playerId,
+        socketId: socket.id,
+        isHoldingCue: false,
+        lastHeartbeat: Date.now(),
+        lastChatTime: 0, // 用于聊天频率限制
+        isAuthenticated: Boolean(socket.data.user),
+        socket: socket
+    };
+    
+    room.players.set(playerId, newPlayer);
+    if (!room.hostId) {
+        room.hostId = playerId;
+    }
+    attachPlayerSocket(room, newPlayer, socket);
+    
+    return newPlayer;
+}
+
+// 辅助函数：按房间当前模式开始一场比赛，firstPlayerId 开球
+function startMatch(room, firstPlayerId, secondPlayerId, options = {}) {
+    const gameMode = getGameMode(room.gameMode);
+    
+    logger.info('🏁 开始比赛', { roomId: room.id, mode: gameMode.id, players: [firstPlayerId, secondPlayerId] });
+    
+    // 摆好新的球台，清除上一局的得分
+    room.game = new gameMode.Game([firstPlayerId, secondPlayerId], options);
+    room.ballsState = gameMode.createRack();
+    room.playerScores.clear();
+    room.shotClock.resetExtensions();
+    room.cueQueue = [];
+    replayService.start(room.game, room.id);
+    
+    ioServer.to(room.id).emit('gameStarted', {
+        game: room.game.getState(),
+        ballsState: room.ballsState,
+        timestamp: Date.now()
+    });
+    sendSystemMessage(room, `🏁 ${gameMode.name}比赛开始：${firstPlayerId} vs ${secondPlayerId}，${firstPlayerId} 开球`, 'info');
+    setTurn(room, firstPlayerId, 'break');
+    broadcastRoomList();
+}
+
+// 辅助函数：为配对成功的两名玩家创建房间并开始比赛
+function createMatchRoom(first, second) {
+    const gameMode = getGameMode(first.mode);
+    const room = createTable(`${gameMode.name}匹配赛`, null);
+    room.gameMode = first.mode;
+    
+    logger.info('🤝 匹配成功', {
+        roomId: room.id,
+        players: [first.playerId, second.playerId],
+        ratings: [first.rating, second.rating]
+    });
+
+    [[first, second], [second, first]].forEach(([entry, opponent]) => {
+        const socket = getClientSocket(entry.socketId);
+        const player = addPlayerToRoom(room, entry.playerId, socket);
+        socket.emit('matchFound', {
+            success: true,
+            message: `匹配成功，对手是 ${opponent.playerId}`,
+            playerId: entry.playerId,
+            resumeToken: player.resumeToken,
+            rating: entry.rating,
+            opponent: { playerId: opponent.playerId, rating: opponent.rating },
+            room: room.getSummary()
+        });
+    });
+
+    broadcastPlayerList(room);
+    
+    // 随机决定开球方
+    const [breaker, other] = Math.random() < 0.5 ? [first, second] : [second, first];
+    startMatch(room, breaker.playerId, other.playerId);
+}
+
+// 为队列中的玩家配对（房间数达到上限时暂停配对）
+function runMatchmaking() {
+    if (isShuttingDown || matchmakingQueue.size < 2 || roomManager.size >= GAME_CONFIG.MAX_ROOMS) {
+        return;
+    }
+    
+    for (const [first, second] of matchmakingQueue.findMatches()) {
+        // 连接已经断开的玩家移出队列，对手放回队列继续等待
+        const disconnected = [first, second].filter(entry => !getClientSocket(entry.socketId));
+        if (disconnected.length > 0) {
+            logger.warn('⚠️ 匹配的玩家已断开连接，移出匹配队列', { players: disconnected.map(entry => entry.playerId) });
+            [first, second].filter(entry => !disconnected.includes(entry)).forEach(entry => matchmakingQueue.restore(entry));
+            continue;
+        }
+        if (roomManager.size >= GAME_CONFIG.MAX_ROOMS) {
+            matchmakingQueue.restore(first);
+            matchmakingQueue.restore(second);
+            continue;
+        }
+        createMatchRoom(first, second);
+    }
+}
+
+// 检查和清理超时玩家
+function checkPlayerTimeouts() {
+    const now = Date.now();
+    
+    for (const room of roomManager.getAllRooms()) {
+        const playersToRemove = [];
+        
+        for (const [playerId, player] of room.players.entries()) {
+            const timeSinceLastHeartbeat = now - player.lastHeartbeat;
+            
+            // 掉线等待重连的玩家由重连计时器处理
+            if (!player.socket) {
+                continue;
+            }
+            
+            // 检查玩家是否超时
+            if (timeSinceLastHeartbeat > GAME_CONFIG.PLAYER_TIMEOUT) {
+                playersToRemove.push(playerId);
+            }
+            // 检查持杆是否超时（比赛中击球权由规则引擎管理，自由练习也计时的球桌由计时处理）
+            else if (player.isHoldingCue && room.currentPlayer === playerId && !room.hasActiveGame() &&
+                !(room.shotClock.settings.enabled && room.shotClock.settings.practice)) {
+                if (timeSinceLastHeartbeat > GAME_CONFIG.CUE_TIMEOUT) {
+                    logger.info('⏰ 持杆超时，自动释放球杆', { roomId: room.id, playerId });
+                    forceReleaseCue(room, player, '持杆超时');
+                }
+            }
+        }
+        
+        // 移除超时玩家
+        playersToRemove.forEach(playerId => {
+            removePlayer(room, playerId, '超时断开');
+        });
+        
+        // 关闭创建后一直无人加入的空房间
+        if (roomManager.hasRoom(room.id) && room.isEmpty() && !room.isDefault() &&
+            now - room.createdAt > GAME_CONFIG.ROOM_IDLE_TIMEOUT) {
+            closeRoom(room, '空闲超时');
+        }
+    }
+}
+
+// 定时检查超时玩家
+setInterval(checkPlayerTimeouts, GAME_CONFIG.HEARTBEAT_INTERVAL);
+
+// 定时配对排队中的玩家（等待越久分差范围越大）
+setInterval(runMatchmaking, GAME_CONFIG.MATCHMAKING_INTERVAL);
+
+// 定时清理过期的进桌记录
+setInterval(() => connectionLimiter.cleanup(), CONNECTION_LIMITS.JOIN_WINDOW);
+
+// 保存所有球桌的快照（sync 为 true 时同步写盘，用于进程退出前）；多实例时同时发布到共享存储
+function saveTableSnapshot(sync = false) {
+    tableStore.set('snapshot', {
+        savedAt: Date.now(),
+        ...roomManager.toSnapshot()
+    });
+    cluster.publishSnapshots(getOwnedRooms().map(room => room.toSnapshot()));
+    
+    if (sync) {
+        tableStore.saveSync();
+        return;
+    }
+    tableStore.save();
+}
+
+// 辅助函数：从快照恢复的球桌继续运行（等待玩家重连、继续记录回放、补完未结束的击球）
+function resumeRestoredRoom(room) {
+    room.players.forEach(player => {
+        scheduleReconnectTimeout(room, player);
+    });
+
+    if (room.hasActiveGame()) {
+        replayService.resume(room.game.id);
+    }
+    
+    // 重启前还在模拟的击球，直接提交已算好的结果
+    if (room.pendingShot) {
+        const { playerId, shotResult, shot } = room.pendingShot;
+        finishShot(room, playerId, shotResult, shot);
+    }
+    
+    if (room.players.size > 0) {
+        sendSystemMessage(room, '🔄 服务器已重启，球桌已恢复，等待玩家重新连接...', 'info');
+    }
+}
+
+// 启动时从快照恢复球桌，玩家需要在重连宽限期内用重连凭证或登录账号回到原来的位置
+function restoreTableSnapshot() {
+    const snapshot = tableStore.collection('snapshot', null);
+    if (!snapshot) {
+        return;
+    }
+    
+    const age = Date.now() - snapshot.savedAt;
+    if (age > GAME_CONFIG.SNAPSHOT_MAX_AGE) {
+        logger.info('🗄️ 球桌快照已过期，不再恢复', { ageMinutes: Math.round(age / 60000) });
+        return;
+    }
+    
+    let playerCount = 0;
+    let rooms;
+    try {
+        rooms = roomManager.restore(snapshot);
+    } catch (error) {
+        logger.error('⚠️ 恢复球桌快照失败', { error: error.message });
+        return;
+    }
+    
+    rooms.forEach(room => {
+        resumeRestoredRoom(room);
+        playerCount += room.players.size;
+    });
+
+    logger.info('🗄️ 从快照恢复球桌', { roomCount: rooms.length, playerCount });
+}
+
+// 定时保存球桌快照
+setInterval(saveTableSnapshot, GAME_CONFIG.SNAPSHOT_INTERVAL);
+
+// 辅助函数：等待本节点所有球桌正在进行的击球模拟结束（最多等待 timeout 毫秒），返回仍在模拟的球桌数
+function waitForSimulations(timeout) {
+    const deadline = Date.now() + timeout;
+    return new Promise(resolve => {
+        const check = () => {
+            const simulating = getOwnedRooms().filter(room => room.isSimulating).length;
+            if (simulating === 0 || Date.now() >= deadline) {
+                resolve(simulating);
+                return;
+            }
+            setTimeout(check, GAME_CONFIG.SIMULATION_POLL_INTERVAL);
+        };
+        check();
+    });
+}
+
+// 收到退出信号：停止接受新的连接和对局，通知客户端，等待正在进行的击球结束，保存状态后关闭服务器
+let isShuttingDown = false;
+async function shutdown(signal) {
+    if (isShuttingDown) {
+        return;
+    }
+    isShuttingDown = true;
+    
+    const simulatingRooms = getOwnedRooms().filter(room => room.isSimulating).length;
+    logger.info('🛑 收到退出信号，停止接受新的对局', { signal, simulatingRooms });
+    
+    // 等待期间停止击球计时，不能击球的玩家不会被判超时
+    getOwnedRooms().forEach(room => stopShotClock(room));
+    
+    // 只通知连接在本节点的客户端（多实例时其他节点照常运行）
+    ioServer.local.emit('serverShutdown', {
+        message: '服务器正在重启，重新连接后可以继续当前对局',
+        reconnectAfter: GAME_CONFIG.SHUTDOWN_RECONNECT_DELAY,
+        resumeSession: true,    // 使用加入时获得的重连凭证（resumeToken）恢复会话
+        timestamp: Date.now()
+    });
+
+    const unfinished = await waitForSimulations(GAME_CONFIG.SHUTDOWN_SIMULATION_TIMEOUT);
+    if (unfinished > 0) {
+        logger.warn('⚠️ 等待超时，未结束的击球将在重启后提交', { rooms: unfinished });
+    }
+    
+    try {
+        saveTableSnapshot(true);
+        replayService.flushSync();
+        store.saveSync();
+        chatStore.saveSync();
+    } catch (error) {
+        logger.error('⚠️ 退出前保存状态失败', { error: error.message });
+    }
+    
+    // 多实例时交出球桌，其他节点从共享快照接管
+    const released = cluster.shutdown(getOwnedRooms().map(room => room.toSnapshot()))
+        .catch(error => logger.error('⚠️ 交出球桌失败', { error: error.message }));
+    const noticeDelay = new Promise(resolve => setTimeout(resolve, GAME_CONFIG.SHUTDOWN_NOTICE_DELAY));
+    const timeout = new Promise(resolve => setTimeout(resolve, GAME_CONFIG.SHUTDOWN_TIMEOUT));
+    
+    await Promise.race([Promise.all([released, noticeDelay]), timeout]);
+    logger.info('👋 服务器已关闭');
+    ioServer.close();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// 集群模式：进入球桌的事件，以及始终由连接所在节点处理的事件
+const TABLE_ENTRY_EVENTS = new Set(['joinGame', 'spectate', 'resumeSession']);
+const NODE_LOCAL_EVENTS = new Set(['listRooms', 'createRoom', 'ping', 'requestReplay']);
+
+// 辅助函数：按ID获取客户端连接（本节点的连接或其他节点连接的代理）
+function getClientSocket(socketId) {
+    return ioServer.sockets.sockets.get(socketId) || cluster.getRemoteSocket(socketId);
+}
+
+// 辅助函数：socket当前所在的球桌（集群模式下可能由其他节点负责）
+function getSocketTableId(socket) {
+    return Array.from(socket.rooms).find(roomId => roomId !== socket.id) || null;
+}
+
+// 辅助函数：确定事件要交给哪张球桌处理，返回 null 表示由本节点处理
+function getEventTableId(socket, event, data) {
+    if (NODE_LOCAL_EVENTS.has(event)) {
+        return null;
+    }
+    if (event === 'joinGame' || event === 'spectate') {
+        return (data && data.roomId) || DEFAULT_ROOM_ID;
+    }
+    if (event === 'resumeSession') {
+        return getResumeTokenRoomId(data && data.resumeToken);
+    }
+    return getSocketTableId(socket);
+}
+
+// 辅助函数：按事件 schema 校验客户端参数，不合法的事件不会交给处理函数，也不会转发到其他节点
+function validateSocketEvents(socket) {
+    socket.use((packet, next) => {
+        const [event, data] = packet;
+        const validation = validateEventPayload(event, data);
+        if (!validation.valid) {
+            socket.emit('validationError', {
+                event,
+                field: validation.path || null,
+                message: validation.message
+            });
+            serverMetrics.rejectedEvents.inc({ event: getEventLabel(event), reason: 'validation' });
+            socketLogger(socket).debug('拒绝不合法的事件参数', { event, reason: validation.message });
+            return;
+        }
+        packet[1] = normalizeEventPayload(event, data);
+        next();
+    });
+}
+
+// 辅助函数：按事件限制连接的发送频率，超出的事件丢弃并通知客户端（恢复前只通知一次），持续刷事件的连接直接断开
+function limitEventRate(socket) {
+    const limiter = new SocketRateLimiter(rateLimits.budgets);
+    
+    socket.use(([event], next) => {
+        // 断开后仍在缓冲区中的事件不再处理
+        if (!socket.connected) {
+            return;
+        }
+        
+        const result = limiter.check(event);
+        if (result.allowed) {
+            next();
+            return;
+        }
+        
+        serverMetrics.rejectedEvents.inc({ event: getEventLabel(event), reason: 'rateLimit' });
+        if (result.offender) {
+            socketLogger(socket).warn('🚫 持续超出事件频率限制，断开连接', { address: getSocketAddress(socket), event });
+            socket.emit('rateLimited', {
+                event,
+                retryAfter: result.retryAfter,
+                disconnected: true,
+                message: '请求过于频繁，连接已断开'
+            });
+            socket.disconnect(true);
+            return;
+        }
+        
+        if (result.notify) {
+            socket.emit('rateLimited', {
+                event,
+                retryAfter: result.retryAfter,
+                disconnected: false,
+                message: '操作过于频繁，请稍后再试'
+            });
+        }
+        socketLogger(socket).debug('丢弃超出频率限制的事件', { event, retryAfter: result.retryAfter });
+    });
+}
+
+// 辅助函数：指标中的事件名称（未知的事件统一记为 unknown，避免标签数量无限增长）
+function getEventLabel(event) {
+    return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? event : 'unknown';
+}
+
+// 辅助函数：统计通过校验的客户端事件
+function countSocketEvents(socket) {
+    socket.use(([event], next) => {
+        serverMetrics.socketEvents.inc({ event: getEventLabel(event) });
+        next();
+    });
+}
+
+// 关闭过程中拒绝的事件，以及拒绝时回复的事件
+const SHUTDOWN_REJECTED_EVENTS = {
+    joinGame: 'joinGameResponse',
+    spectate: 'spectateResponse',
+    resumeSession: 'resumeSessionResponse',
+    createRoom: 'createRoomResponse',
+    queueForMatch: 'queueForMatchResponse',
+    startGame: 'error',
+    shotStart: 'error'
+};
+
+// 辅助函数：关闭过程中不再接受进入球桌、创建房间、开始比赛和击球
+function rejectDuringShutdown(socket) {
+    socket.use(([event], next) => {
+        if (!isShuttingDown || !Object.prototype.hasOwnProperty.call(SHUTDOWN_REJECTED_EVENTS, event)) {
+            next();
+            return;
+        }
+        socket.emit(SHUTDOWN_REJECTED_EVENTS[event], {
+            success: false,
+            message: '服务器正在重启，请稍后重新连接',
+            reconnectAfter: GAME_CONFIG.SHUTDOWN_RECONNECT_DELAY
+        });
+    });
+}
+
+// 辅助函数：限制同一IP进入球桌的频率（在转发到其他节点之前检查，每次进桌只计一次）
+function limitJoinAttempts(socket) {
+    socket.use(([event], next) => {
+        if (TABLE_ENTRY_EVENTS.has(event) && !connectionLimiter.recordJoinAttempt(getSocketAddress(socket))) {
+            serverMetrics.rejectedEvents.inc({ event: getEventLabel(event), reason: 'joinLimit' });
+            socketLogger(socket).info('🚧 进入球桌过于频繁', { address: getSocketAddress(socket), event });
+            socket.emit(`${event}Response`, { success: false, message: '进入球桌过于频繁，请稍后再试' });
+            return;
+        }
+        next();
+    });
+}
+
+// 集群模式：把事件交给球桌的负责节点处理（同一连接的事件按到达顺序依次路由）
+function routeSocketEvents(socket) {
+    let routeChain = Promise.resolve();
+    
+    socket.use(([event, data], next) => {
+        routeChain = routeChain.then(async () => {
+            const tableId = getEventTableId(socket, event, data);
+            const owner = tableId ? await cluster.getOwner(tableId) : null;
+            
+            // 进入其他节点负责的球桌前，先离开当前所在的球桌
+            const currentTableId = getSocketTableId(socket);
+            if (TABLE_ENTRY_EVENTS.has(event) && owner && currentTableId && currentTableId !== tableId) {
+                const currentOwner = await cluster.getOwner(currentTableId);
+                if (currentOwner === cluster.nodeId && owner !== cluster.nodeId) {
+                    leaveSocketRoom(socket, '切换房间');
+                } else if (currentOwner && currentOwner !== cluster.nodeId && currentOwner !== owner) {
+                    cluster.forwardLeave(currentOwner, socket);
+                }
+            }
+            
+            // 球桌不存在时交给本节点处理（返回错误信息）
+            if (!owner || owner === cluster.nodeId) {
+                next();
+                return;
+            }
+            cluster.forward(owner, socket, event, [data]);
+        }).catch(error => socketLogger(socket).error('⚠️ 转发事件失败', { event, error: error.message }));
+    });
+
+    // 断开时通知球桌的负责节点（disconnecting 时socket还在房间中）
+    socket.on('disconnecting', () => {
+        const tableId = getSocketTableId(socket);
+        if (!tableId || cluster.isLocal(tableId)) {
+            return;
+        }
+        routeChain = routeChain.then(async () => {
+            const owner = await cluster.getOwner(tableId);
+            if (owner) {
+                cluster.forward(owner, socket, 'disconnect', []);
+            }
+        }).catch(error => socketLogger(socket).error('⚠️ 转发断开事件失败', { error: error.message }));
+    });
+}
+
+// 集群模式：接管负责节点已下线的球桌，通知仍在线的玩家重新恢复会话
+function takeOverTable(roomId, snapshot) {
+    if (!snapshot) {
+        // 没有快照的球桌无法恢复（大厅使用本节点的空大厅）
+        if (roomId !== DEFAULT_ROOM_ID) {
+            cluster.releaseTable(roomId);
+        }
+        return;
+    }
+    
+    const room = roomManager.addRoom(Room.fromSnapshot(snapshot));
+    resumeRestoredRoom(room);
+    ioServer.to(room.id).emit('tableRestored', {
+        roomId: room.id,
+        message: '球桌已转移到其他服务器，请使用重连凭证恢复会话'
+    });
+    broadcastRoomList();
+}
+
+cluster.setHooks({
+    onRemoteSocket: registerSocketHandlers,
+    onLeaveTable: socket => leaveSocketRoom(socket, '切换房间'),
+    onTakeover: takeOverTable,
+    getDefaultTables: () => [DEFAULT_ROOM_ID]
+});
+
+// Socket.IO 连接限制：关闭过程中不再接受连接，拒绝被封禁的IP和同时连接数已满的IP
+ioServer.use((socket, next) => {
+    if (isShuttingDown) {
+        next(new Error('服务器正在重启，请稍后重新连接'));
+        return;
+    }
+    
+    const address = resolveClientAddress(socket);
+    socket.data.address = address;
+    
+    const ban = banList.getAddressBan(address);
+    if (ban) {
+        logger.info('⛔ 拒绝被封禁的IP连接', { address });
+        next(new Error(getBanMessage(ban)));
+        return;
+    }
+    
+    if (!connectionLimiter.canConnect(address)) {
+        logger.info('🚧 IP的连接数已达上限', { address, connections: connectionLimiter.getConnectionCount(address) });
+        next(new Error('来自你的网络的连接过多，请稍后再试'));
+        return;
+    }
+    next();
+});
+
+// Socket.IO 握手认证：携带令牌的连接绑定到登录用户（账号被封禁时拒绝连接），否则按配置作为游客
+ioServer.use((socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    
+    if (token) {
+        const user = authService.verifyToken(token);
+        if (!user) {
+            next(new Error('登录已失效，请重新登录'));
+            return;
+        }
+        const ban = banList.getBan(user.username);
+        if (ban) {
+            next(new Error(getBanMessage(ban)));
+            return;
+        }
+        socket.data.user = user;
+        next();
+        return;
+    }
+    
+    if (!config.allowsGuests()) {
+        next(new Error('请先登录'));
+        return;
+    }
+    
+    socket.data.user = null;
+    next();
+});
+
+// Socket.IO 连接处理
+ioServer.on('connection', (socket) => {
+    const clientAddress = getSocketAddress(socket);
+    const origin = socket.handshake.headers.origin;
+    const username = socket.data.user ? socket.data.user.username : '游客';
+    
+    socketLogger(socket).info('👤 用户连接', { username, address: clientAddress, origin });
+    socketLogger(socket).debug('Socket连接详情', { headers: socket.handshake.headers });
+    
+    // 发送当前房间列表
+    getRoomList()
+        .then(rooms => socket.emit('roomList', rooms))
+        .catch(error => logger.error('⚠️ 获取房间列表失败', { error: error.message }));
+    
+    connectionLimiter.addConnection(clientAddress);
+    socket.on('disconnect', () => connectionLimiter.removeConnection(clientAddress));
+    
+    limitEventRate(socket);
+    validateSocketEvents(socket);
+    countSocketEvents(socket);
+    rejectDuringShutdown(socket);
+    limitJoinAttempts(socket);
+    if (cluster.enabled) {
+        routeSocketEvents(socket);
+    }
+    registerSocketHandlers(socket);
+});
+
+// 注册客户端事件处理（本节点的连接和其他节点转发来的连接共用）
+function registerSocketHandlers(socket) {
+    // 获取房间列表
+    socket.on('listRooms', () => {
+        getRoomList()
+            .then(rooms => socket.emit('roomList', rooms))
+            .catch(error => logger.error('⚠️ 获取房间列表失败', { error: error.message }));
+    });
+
+    // 创建新房间
+    socket.on('createRoom', (data = {}) => {
+        const { name } = data;
+        const playerId = resolvePlayerId(socket, data.playerId);
+        
+        if (name !== undefined && (typeof name !== 'string' || name.trim().length > GAME_CONFIG.MAX_ROOM_NAME_LENGTH)) {
+            socket.emit('createRoomResponse', {
+                success: false,
+                message: `房间名称不能超过${GAME_CONFIG.MAX_ROOM_NAME_LENGTH}个字符`
+            });
+            return;
+        }
+        
+        if (roomManager.size >= GAME_CONFIG.MAX_ROOMS) {
+            socket.emit('createRoomResponse', {
+                success: false,
+                message: '房间数量已达上限，请稍后再试'
+            });
+            return;
+        }
+        
+        const shotClock = normalizeShotClockSettings(data.shotClock);
+        if (!shotClock.valid) {
+            socket.emit('createRoomResponse', { success: false, message: shotClock.reason });
+            return;
+        }
+        
+        const hostId = typeof playerId === 'string' && playerId.trim().length > 0 ? playerId : null;
+        const room = createTable(name && name.trim(), hostId);
+        room.shotClock.setSettings(shotClock.settings);
+        
+        socketLogger(socket).info('🏠 创建房间', { newRoomId: room.id, name: room.name, hostId });
+        
+        socket.emit('createRoomResponse', {
+            success: true,
+            message: `房间 "${room.name}" 创建成功`,
+            room: room.getSummary()
+        });
+        
+        broadcastRoomList();
+    });
+
+    // 玩家加入游戏（加入指定房间，未指定时加入默认房间）
+    socket.on('joinGame', (data) => {
+        const { roomId } = data;
+        const playerId = resolvePlayerId(socket, data.playerId);
+        
+        // 验证玩家ID
+        if (typeof playerId !== 'string' || playerId.trim().length === 0) {
+            socket.emit('joinGameResponse', {
+                success: false,
+                message: '玩家ID不能为空'
+            });
             return;
         }
         
@@ -277,9 +2776,40 @@ ioServer.on('connection', (socket) => {
             return;
         }
         
-        // 检查ID是否已存在
-        if (gameState.players.has(playerId)) {
-            console.log(`❌ 玩家ID "${playerId}" 已存在，拒绝加入`);
+        // 游客不能使用已注册的账号名
+        if (!socket.data.user && authService.isRegistered(playerId)) {
+            socket.emit('joinGameResponse', {
+                success: false,
+                message: `玩家ID "${playerId}" 已被注册，请登录后使用`
+            });
+            return;
+        }
+        
+        const ban = banList.getBan(playerId);
+        if (ban) {
+            socket.emit('joinGameResponse', { success: false, message: getBanMessage(ban) });
+            return;
+        }
+        
+        const room = roomId ? roomManager.getRoom(roomId) : roomManager.getDefaultRoom();
+        if (!room) {
+            socket.emit('joinGameResponse', {
+                success: false,
+                message: '房间不存在'
+            });
+            return;
+        }
+        
+        // 登录用户重新加入时接回原有的玩家记录
+        const existingPlayer = room.players.get(playerId);
+        if (existingPlayer && socket.data.user && existingPlayer.isAuthenticated) {
+            resumePlayer(room, existingPlayer, socket, 'joinGameResponse');
+            return;
+        }
+        
+        // 检查ID是否已存在（包括观众的名称）
+        if (isMemberNameTaken(room, playerId, socket) || room.players.has(playerId)) {
+            socketLogger(socket).info('❌ 玩家ID已存在，拒绝加入', { joinPlayerId: playerId, joinRoomId: room.id });
             socket.emit('joinGameResponse', {
                 success: false,
                 message: `玩家ID "${playerId}" 已被使用，请换一个ID`
@@ -287,92 +2817,330 @@ ioServer.on('connection', (socket) => {
             return;
         }
         
-        // 添加新玩家
-        const newPlayer = {
-            id: playerId,
-            socketId: socket.id,
-            isHoldingCue: false,
-            lastHeartbeat: Date.now(),
-            lastChatTime: 0, // 用于聊天频率限制
-            socket: socket
-        };
+        if (room.players.size >= GAME_CONFIG.MAX_PLAYERS_PER_ROOM) {
+            socket.emit('joinGameResponse', {
+                success: false,
+                message: '房间已满'
+            });
+            return;
+        }
         
-        gameState.players.set(playerId, newPlayer);
+        // 添加新玩家（如果已在其他房间中，先离开原房间）
+        const newPlayer = addPlayerToRoom(room, playerId, socket);
         
-        console.log(`✅ 玩家 "${playerId}" 成功加入游戏`);
+        socketLogger(socket).info('✅ 玩家加入房间');
         
         // 发送成功响应
         socket.emit('joinGameResponse', {
             success: true,
             message: `欢迎 ${playerId} 加入游戏！`,
-            playerId: playerId
+            playerId: playerId,
+            resumeToken: newPlayer.resumeToken,
+            authenticated: Boolean(socket.data.user),
+            room: room.getSummary()
         });
         
         // 发送聊天历史记录给新玩家
-        socket.emit('chatHistory', gameState.chatHistory);
+        socket.emit('chatHistory', getRecentChat(room, CHAT_TEAMS.PLAYERS));
         
         // 广播玩家列表更新
-        broadcastPlayerList();
+        broadcastPlayerList(room);
+        broadcastRoomList();
         
         // 发送当前游戏状态给新玩家
         socket.emit('gameState', {
-            currentPlayer: gameState.currentPlayer,
-            ballsState: gameState.ballsState
+            currentPlayer: room.currentPlayer,
+            ballsState: room.ballsState,
+            game: room.game ? room.game.getState() : null
+        });
+        
+        // 发送系统消息通知玩家加入
+        sendSystemMessage(room, `${playerId} 加入了游戏`, 'info');
+        
+        socketLogger(socket).debug('新玩家加入');
+    });
+
+    // 使用重连凭证恢复掉线前的会话
+    socket.on('resumeSession', (data = {}) => {
+        const { resumeToken } = data;
+        const found = typeof resumeToken === 'string' ? findPlayerByResumeToken(resumeToken) : null;
+        
+        if (!found) {
+            socket.emit('resumeSessionResponse', {
+                success: false,
+                message: '会话已过期，请重新加入游戏'
+            });
+            return;
+        }
+        
+        // 登录用户的会话只能由同一账号恢复
+        const { room, player } = found;
+        if (player.isAuthenticated && (!socket.data.user || socket.data.user.username !== player.id)) {
+            socket.emit('resumeSessionResponse', {
+                success: false,
+                message: '身份验证失败'
+            });
+            return;
+        }
+        
+        const ban = banList.getBan(player.id);
+        if (ban) {
+            socket.emit('resumeSessionResponse', { success: false, message: getBanMessage(ban) });
+            return;
+        }
+        
+        resumePlayer(room, player, socket, 'resumeSessionResponse');
+    });
+
+    // 玩家离开当前房间
+    socket.on('leaveRoom', () => {
+        const room = leaveSocketRoom(socket, '离开房间');
+        if (!room) {
+            return;
+        }
+        
+        socket.emit('leaveRoomResponse', { success: true, roomId: room.id });
+    });
+
+    // 以观众身份进入房间：接收球桌、击球、聊天和得分广播，但不能操作球桌
+    socket.on('spectate', (data = {}) => {
+        const { roomId, name } = data;
+        
+        if (!socket.data.user && name !== undefined &&
+            (typeof name !== 'string' || name.trim().length === 0 || name.length > 20)) {
+            socket.emit('spectateResponse', { success: false, message: '观众名称需要1到20个字符' });
+            return;
+        }
+        
+        const room = roomId ? roomManager.getRoom(roomId) : roomManager.getDefaultRoom();
+        if (!room) {
+            socket.emit('spectateResponse', { success: false, message: '房间不存在' });
+            return;
+        }
+        
+        if (socket.data.spectating && socket.data.roomId === room.id) {
+            socket.emit('spectateResponse', { success: false, message: '你已经在观看这个房间' });
+            return;
+        }
+        
+        if (room.spectators.size >= GAME_CONFIG.MAX_SPECTATORS_PER_ROOM) {
+            socket.emit('spectateResponse', { success: false, message: '观众人数已满' });
+            return;
+        }
+        
+        const spectatorId = socket.data.user ? socket.data.user.username : (name ? name.trim() : `观众-${socket.id.slice(0, 4)}`);
+        
+        // 游客不能使用已注册的账号名
+        if (!socket.data.user && authService.isRegistered(spectatorId)) {
+            socket.emit('spectateResponse', {
+                success: false,
+                message: `名称 "${spectatorId}" 已被注册，请登录后使用`
+            });
+            return;
+        }
+        
+        if (isMemberNameTaken(room, spectatorId, socket)) {
+            socket.emit('spectateResponse', {
+                success: false,
+                message: `名称 "${spectatorId}" 已被使用，请换一个名称`
+            });
+            return;
+        }
+        
+        const ban = banList.getBan(spectatorId);
+        if (ban) {
+            socket.emit('spectateResponse', { success: false, message: getBanMessage(ban) });
+            return;
+        }
+        
+        // 正在其他房间中比赛或观战时先离开
+        leaveSocketRoom(socket, '切换到观战');
+        
+        const spectator = {
+            id: spectatorId,
+            socket,
+            isAuthenticated: Boolean(socket.data.user),
+            joinedAt: Date.now(),
+            lastChatTime: 0
+        };
+        room.spectators.set(socket.id, spectator);
+        socket.join(room.id);
+        socket.data.roomId = room.id;
+        socket.data.playerId = null;
+        socket.data.spectating = true;
+        
+        socketLogger(socket).info('👀 观众进入房间', { spectatorId: spectator.id });
+        
+        socket.emit('spectateResponse', {
+            success: true,
+            message: `正在观看 ${room.name}`,
+            spectatorId: spectator.id,
+            room: room.getSummary(),
+            snapshot: getRoomSnapshot(room, CHAT_TEAMS.SPECTATORS)
         });
         
-        // 发送系统消息通知玩家加入
-        sendSystemMessage(`${playerId} 加入了游戏`, 'info');
+        broadcastSpectatorList(room);
+        broadcastRoomList();
+    });
+
+    // 聊天消息处理：斜杠命令、私聊（to）或频道消息（channel 为 table 或 team，默认 table）
+    socket.on('chatMessage', (data) => {
+        const { content, channel = CHAT_CHANNELS.TABLE, to } = data;
+        const sender = getChatSender(socket);
+        
+        if (!sender) {
+            socket.emit('chatError', { message: '身份验证失败' });
+            return;
+        }
+        
+        const command = typeof content === 'string' ? parseChatCommand(content.trim()) : null;
+        if (command) {
+            runChatCommand(socket, sender, command);
+        } else if (to !== undefined) {
+            sendDirectMessage(socket, sender, to, content);
+        } else {
+            sendChannelMessage(socket, sender, channel, content);
+        }
+    });
+
+    // 😀 给消息添加表情回应，再次发送相同的表情时取消
+    socket.on('reactToMessage', (data) => {
+        const { messageId, emoji } = data;
+        const sender = getChatSender(socket);
+        
+        if (!sender) {
+            socket.emit('chatError', { message: '身份验证失败' });
+            return;
+        }
+        
+        const message = findVisibleMessage(sender, messageId);
+        if (!message) {
+            socket.emit('chatError', { message: '消息不存在' });
+            return;
+        }
+        if (!checkNotMuted(socket, sender)) {
+            return;
+        }
+        
+        // 表情可以是任意不含空白的字符串（例如 constructor），不能读到 Object.prototype 上的属性
+        const reactions = Object.assign(Object.create(null), message.reactions);
+        const reactedBy = reactions[emoji] || [];
+        if (reactedBy.includes(sender.id)) {
+            reactions[emoji] = reactedBy.filter(memberId => memberId !== sender.id);
+            if (reactions[emoji].length === 0) {
+                delete reactions[emoji];
+            }
+        } else {
+            if (!reactions[emoji] && Object.keys(reactions).length >= CHAT_CONFIG.MAX_REACTIONS_PER_MESSAGE) {
+                socket.emit('chatError', { message: '这条消息的表情回应已达上限' });
+                return;
+            }
+            reactions[emoji] = [...reactedBy, sender.id];
+        }
         
-        debugLog('新玩家加入', { playerId, socketId: socket.id });
+        updateChatMessage(message, { reactions });
     });
 
-    // 聊天消息处理
-    socket.on('chatMessage', (data) => {
-        const { playerId, content } = data;
-        const player = gameState.players.get(playerId);
+    // ✏️ 编辑自己发送的消息（发送后一段时间内）
+    socket.on('editMessage', (data) => {
+        const { messageId, content } = data;
+        const sender = getChatSender(socket);
         
-        // 验证玩家身份
-        if (!player || player.socketId !== socket.id) {
+        if (!sender) {
             socket.emit('chatError', { message: '身份验证失败' });
             return;
         }
         
-        // 检查频率限制
-        const now = Date.now();
-        if (now - player.lastChatTime < GAME_CONFIG.CHAT_RATE_LIMIT) {
-            const remainingTime = Math.ceil((GAME_CONFIG.CHAT_RATE_LIMIT - (now - player.lastChatTime)) / 1000);
-            socket.emit('chatError', { 
-                message: `发送消息过于频繁，请等待 ${remainingTime} 秒` 
-            });
+        const message = findVisibleMessage(sender, messageId);
+        if (!message || message.sender !== sender.id || (message.type !== 'player' && message.type !== 'emote')) {
+            socket.emit('chatError', { message: '只能编辑自己发送的消息' });
+            return;
+        }
+        if (Date.now() - Date.parse(message.timestamp) > CHAT_CONFIG.EDIT_WINDOW) {
+            socket.emit('chatError', { message: `消息发送超过 ${CHAT_CONFIG.EDIT_WINDOW / 60000} 分钟后不能编辑` });
+            return;
+        }
+        if (!checkNotMuted(socket, sender)) {
             return;
         }
         
-        // 验证消息内容
         const validation = validateMessage(content);
         if (!validation.valid) {
             socket.emit('chatError', { message: validation.reason });
             return;
         }
         
-        // 更新玩家聊天时间和心跳
-        player.lastChatTime = now;
-        player.lastHeartbeat = now;
+        updateChatMessage(message, { content: validation.content, editedAt: new Date().toISOString() });
+        socketLogger(socket).debug('编辑聊天消息', { messageId, sender: sender.id });
+    });
+
+    // 🗑️ 删除消息：自己发送的消息，管理员和房主可以删除所在球桌中任何人的消息
+    socket.on('deleteMessage', (data) => {
+        const { messageId } = data;
+        const sender = getChatSender(socket);
+        
+        if (!sender) {
+            socket.emit('chatError', { message: '身份验证失败' });
+            return;
+        }
+        
+        const message = findVisibleMessage(sender, messageId);
+        if (!message) {
+            socket.emit('chatError', { message: '消息不存在' });
+            return;
+        }
+        
+        const isOwnMessage = message.sender === sender.id;
+        if (!isOwnMessage && !(isChatModerator(sender) && message.channel !== CHAT_CHANNELS.DIRECT)) {
+            socket.emit('chatError', { message: '只能删除自己发送的消息' });
+            return;
+        }
+        
+        deleteChatMessage(message, sender.id);
+        if (!isOwnMessage) {
+            socketLogger(socket).info('🗑️ 删除聊天消息', { messageId, by: sender.id, sender: message.sender });
+        }
+    });
+
+    // 加载更早的聊天记录（球桌频道、自己队伍的频道或与某人的私聊）
+    socket.on('loadMoreChat', (data) => {
+        const { channel, with: otherId, before = null, limit } = data;
+        const sender = getChatSender(socket);
+        
+        if (!sender) {
+            socket.emit('chatError', { message: '身份验证失败' });
+            return;
+        }
         
-        // 创建并广播玩家消息
-        const message = createPlayerMessage(playerId, validation.content);
-        broadcastChatMessage(message);
+        // 重启后房间ID可能被新的球桌使用，只查询这张球桌创建之后的消息
+        let query;
+        if (channel === CHAT_CHANNELS.TABLE) {
+            query = { roomId: sender.room.id, channel: CHAT_CHANNELS.TABLE, since: sender.room.createdAt };
+        } else if (channel === CHAT_CHANNELS.TEAM) {
+            query = { roomId: sender.room.id, channel: getTeamChannel(sender.team), since: sender.room.createdAt };
+        } else if (channel === CHAT_CHANNELS.DIRECT && otherId) {
+            // 游客的名称可以被之后的游客再次使用，私聊记录只对登录用户开放（与 /api/chat 相同）
+            if (!sender.member.isAuthenticated) {
+                socket.emit('chatError', { message: '查询私聊记录需要登录' });
+                return;
+            }
+            query = { channel: CHAT_CHANNELS.DIRECT, participants: [sender.id, otherId] };
+        } else {
+            socket.emit('chatError', { message: '频道不存在' });
+            return;
+        }
         
-        console.log(`💬 ${playerId}: ${validation.content}`);
+        const page = chatArchive.getPage({ ...query, before, limit });
+        socket.emit('chatHistoryPage', { channel, with: otherId || null, ...page });
     });
 
     // 心跳检测
-    socket.on('heartbeat', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
-        if (player && player.socketId === socket.id) {
+    socket.on('heartbeat', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
+        if (player) {
             player.lastHeartbeat = Date.now();
             socket.emit('heartbeatResponse', { timestamp: player.lastHeartbeat });
-            debugLog('收到心跳', { playerId, timestamp: player.lastHeartbeat });
+            socketLogger(socket).debug('收到心跳', { timestamp: player.lastHeartbeat });
         }
     });
 
@@ -382,395 +3150,657 @@ ioServer.on('connection', (socket) => {
         socket.emit('pong', data);
     });
 
-    // 玩家拿起球杆
-    socket.on('takeCue', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+    // 🙋 请求球杆：球杆空闲时直接拿起，否则进入等待队列
+    socket.on('requestCue', () => {
+        const { room, player } = getSocketPlayer(socket);
         
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             socket.emit('error', { message: '玩家验证失败' });
             return;
         }
         
-        if (!gameState.currentPlayer) {
-            gameState.currentPlayer = playerId;
-            player.isHoldingCue = true;
-            player.lastHeartbeat = Date.now(); // 更新心跳
-            
-            console.log(`🎱 玩家 ${playerId} 拿起球杆`);
-            sendSystemMessage(`${playerId} 拿起了球杆`, 'info');
-            broadcastPlayerList();
-            ioServer.emit('cueStateChanged', { playerId, isHolding: true });
-            ioServer.emit('gameState', { currentPlayer: gameState.currentPlayer });
-        } else {
-            socket.emit('error', { message: '已有其他玩家持杆中' });
+        socket.emit('requestCueResponse', requestCue(room, player));
+    });
+
+    // 玩家拿起球杆（旧版客户端，与 requestCue 相同，失败时返回错误）
+    socket.on('takeCue', () => {
+        const { room, player } = getSocketPlayer(socket);
+        
+        if (!player) {
+            socket.emit('error', { message: '玩家验证失败' });
+            return;
+        }
+        
+        const result = requestCue(room, player);
+        if (!result.success) {
+            socket.emit('error', { message: result.message });
+        }
+    });
+
+    // 🙅 离开等待球杆的队列
+    socket.on('leaveCueQueue', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
+        const removed = player ? room.dequeueCue(playerId) : false;
+        
+        if (removed) {
+            socketLogger(socket).info('🙅 离开球杆队列');
+            broadcastPlayerList(room);
         }
+        socket.emit('leaveCueQueueResponse', {
+            success: removed,
+            message: removed ? '已离开等待队列' : '当前不在等待队列中'
+        });
     });
 
     // 玩家放下球杆
-    socket.on('releaseCue', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+    socket.on('releaseCue', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             socket.emit('error', { message: '玩家验证失败' });
             return;
         }
         
-        if (gameState.currentPlayer === playerId) {
-            gameState.currentPlayer = null;
+        if (room.hasActiveGame()) {
+            socket.emit('error', { message: '比赛进行中不能放下球杆' });
+            return;
+        }
+        
+        if (room.currentPlayer === playerId) {
+            room.currentPlayer = null;
             player.isHoldingCue = false;
             player.lastHeartbeat = Date.now(); // 更新心跳
+            stopShotClock(room);
             
-            console.log(`🎱 玩家 ${playerId} 放下球杆`);
-            sendSystemMessage(`${playerId} 放下了球杆`, 'info');
-            broadcastPlayerList();
-            ioServer.emit('cueStateChanged', { playerId, isHolding: false });
-            ioServer.emit('gameState', { currentPlayer: null });
+            socketLogger(socket).info('🎱 放下球杆');
+            sendSystemMessage(room, `${playerId} 放下了球杆`, 'info');
+            broadcastPlayerList(room);
+            ioServer.to(room.id).emit('cueStateChanged', { playerId, isHolding: false });
+            ioServer.to(room.id).emit('gameState', { currentPlayer: null });
+            passCueToNext(room);
         }
     });
 
-    // 🚀 新的击球开始事件处理
+    // 🚀 击球开始：服务端根据当前球台状态和击球参数模拟结果
     socket.on('shotStart', (data) => {
-        const { playerId, ballsState, shotData } = data;
-        const player = gameState.players.get(playerId);
+        const { shotData } = data;
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        if (!player || player.socketId !== socket.id || gameState.currentPlayer !== playerId) {
+        if (!player || room.currentPlayer !== playerId) {
             socket.emit('error', { message: '无效的击球请求' });
             return;
         }
         
-        console.log(`🎱 处理 ${playerId} 的击球开始`);
+        if (room.isSimulating) {
+            socket.emit('error', { message: '球还在运动中，请等待模拟结束' });
+            return;
+        }
+        
+        if (room.hasActiveGame() && room.game.currentTurn !== playerId) {
+            socket.emit('error', { message: '还没有轮到你击球' });
+            return;
+        }
+        
+        if (antiCheat.isShotBlocked(playerId)) {
+            socket.emit('error', { message: '检测到异常操作，暂时不能击球' });
+            return;
+        }
+        
+        const validation = validateShotData(shotData);
+        if (!validation.valid) {
+            socket.emit('error', { message: validation.reason });
+            return;
+        }
+        
+        socketLogger(socket).info('🎱 处理击球开始');
+        
+        // 使用服务端保存的球台状态作为击球前状态，新球台按当前模式摆球
+        if (Object.keys(room.ballsState).length === 0) {
+            room.ballsState = getGameMode(room.gameMode).createRack();
+        }
+        const ballsState = room.ballsState;
+        
+        let shotResult;
+        const simulationStart = process.hrtime.bigint();
+        try {
+            shotResult = physicsEngine.simulateShot(ballsState, validation.shotData);
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+            return;
+        }
+        recordShotMetrics(Number(process.hrtime.bigint() - simulationStart) / 1e9, shotResult.duration);
         
-        // 更新游戏状态
-        gameState.isSimulating = true;
-        gameState.ballsState = ballsState;
-        gameState.shotPlayerId = playerId; // 记录击球玩家
+        // 更新游戏状态，出杆后停止击球计时
+        room.isSimulating = true;
+        room.shotPlayerId = playerId; // 记录击球玩家
+        stopShotClock(room);
         player.lastHeartbeat = Date.now();
         
         // 添加统一的开始时间戳
         const startTime = Date.now() + 100; // 100ms延迟确保所有客户端同步
+        antiCheat.beginShot(room.id, playerId, ballsState, validation.shotData, shotResult, startTime);
+        simulationConsensus.beginShot(room.id, playerId, Array.from(room.players.values())
+            .filter(roomPlayer => roomPlayer.socketId)
+            .map(roomPlayer => roomPlayer.id));
         
-        // 广播给所有玩家（包括击球者）
-        ioServer.emit('shotStart', {
+        // 广播给房间内所有玩家（包括击球者），客户端据此播放动画
+        ioServer.to(room.id).emit('shotStart', {
             playerId,
             ballsState,
-            shotData,
-            startTime
+            shotData: validation.shotData,
+            startTime,
+            duration: shotResult.duration
         });
         
-        // 🎯 启动服务端模拟监控 - 等待固定时间后检查模拟状态
-        if (gameState.simulationTimer) {
-            clearTimeout(gameState.simulationTimer);
-        }
-        
-        gameState.simulationTimer = setTimeout(() => {
-            // 6秒后自动结束模拟，给球更多时间完全停止
-            if (gameState.isSimulating && gameState.shotPlayerId === playerId) {
-                console.log(`⏰ 服务端统一结束物理模拟 (${playerId}) - 6秒超时`);
-                
-                gameState.isSimulating = false;
-                gameState.shotPlayerId = null;
-                
-                // 统一广播模拟结束事件
-                ioServer.emit('simulationEnd', {
-                    playerId,
-                    message: '物理模拟已结束，可以继续游戏'
-                });
-                
-                sendSystemMessage(`${playerId} 的击球模拟完成`, 'info');
-            }
-        }, 6000); // 从3秒延长到6秒
+        socketLogger(socket).debug('服务端模拟结果', {
+            duration: shotResult.duration,
+            firstContact: shotResult.firstContact,
+            pocketed: shotResult.pocketed
+        });
+        
+        // 🎯 在球实际停止的时间点提交模拟结果
+        if (room.simulationTimer) {
+            clearTimeout(room.simulationTimer);
+        }
+        
+        const shot = {
+            preShotState: ballsState,
+            shotData: validation.shotData,
+            startTime
+        };
+        room.pendingShot = { playerId, shotResult, shot };
+        room.simulationTimer = setTimeout(() => {
+            finishShot(room, playerId, shotResult, shot);
+        }, startTime - Date.now() + shotResult.duration * 1000);
         
         // 发送聊天消息
-        sendSystemMessage(`${playerId} 击球了！`, 'info');
+        sendSystemMessage(room, `${playerId} 击球了！`, 'info');
         
-        console.log(`🚀 广播击球开始事件给所有玩家`);
+        socketLogger(socket).debug('🚀 广播击球开始事件给房间内所有玩家');
     });
 
-    // 接收球的状态更新（保留作为备用）
+    // 接收球的状态更新（仅转发给其他玩家，不覆盖服务端状态）
     socket.on('ballsState', (data) => {
-        const { playerId, state } = data;
-        const player = gameState.players.get(playerId);
+        const { state } = data;
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        if (player && player.socketId === socket.id) {
-            gameState.ballsState = state;
+        if (player) {
             player.lastHeartbeat = Date.now(); // 更新心跳
-            // 广播给其他玩家
-            socket.broadcast.emit('ballsUpdate', { playerId, state });
+            // 广播给房间内其他玩家
+            socket.to(room.id).emit('ballsUpdate', { playerId, state });
         }
     });
 
     // 接收击球事件（保留作为备用）
     socket.on('ballHit', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        if (player && player.socketId === socket.id && gameState.currentPlayer === playerId) {
-            gameState.isSimulating = true;
+        if (player && room.currentPlayer === playerId) {
             player.lastHeartbeat = Date.now(); // 更新心跳
-            // 广播给其他玩家
-            socket.broadcast.emit('ballHit', data);
-            sendSystemMessage(`${playerId} 击球了！`, 'info');
-            console.log(`🎯 玩家 ${playerId} 击球`);
+            // 广播给房间内其他玩家
+            socket.to(room.id).emit('ballHit', { ...data, playerId });
+            sendSystemMessage(room, `${playerId} 击球了！`, 'info');
+            socketLogger(socket).info('🎯 击球');
         }
     });
 
-    // 🔄 更新的模拟完成事件处理
-    socket.on('simulationComplete', (data) => {
-        const { playerId, finalState } = data;
-        const player = gameState.players.get(playerId);
+    // 🔄 客户端本地模拟完成：上报的最终状态用于反作弊检查和一致性比对（所有客户端一致时采用客户端结果）
+    socket.on('simulationComplete', (data = {}) => {
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             return;
         }
         
-        console.log(`🎯 ${playerId} 完成物理模拟`);
-        
-        // 更新游戏状态
-        gameState.isSimulating = false;
-        gameState.ballsState = finalState;
         player.lastHeartbeat = Date.now();
         
-        // 发送同步确认给所有玩家
-        ioServer.emit('syncConfirm', {
-            playerId,
-            authoritativeState: finalState
-        });
-        
-        // 广播模拟完成事件（保持兼容性）
-        socket.broadcast.emit('simulationComplete', data);
+        // 上报了本地最终球台的客户端只在结果不一致时重发权威状态
+        if (data.finalState) {
+            handleAntiCheatResult(room, playerId, antiCheat.checkFinalState(room.id, playerId, data.finalState));
+            handleConsensusResult(room, simulationConsensus.addReport(room.id, playerId, data.finalState));
+        } else if (!room.isSimulating) {
+            // 服务端模拟已结束时，向该客户端重发权威状态以纠正本地偏差
+            socket.emit('syncConfirm', {
+                playerId,
+                authoritativeState: room.ballsState
+            });
+        }
         
-        console.log(`🔄 发送同步确认给所有玩家`);
+        socketLogger(socket).debug('客户端模拟完成', { serverSimulating: room.isSimulating });
     });
 
     // 重置台球桌
-    socket.on('resetTable', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+    socket.on('resetTable', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
         
         // 🔒 权限验证：只有持杆玩家才能重置球台
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             socket.emit('error', { message: '玩家验证失败' });
             return;
         }
         
-        if (gameState.currentPlayer !== playerId) {
+        if (room.currentPlayer !== playerId) {
             socket.emit('error', { message: '只有持杆者才能重置球台' });
             return;
         }
         
-        console.log(`🔄 玩家 ${playerId} 重置台球桌`);
-        
-        // 🛑 停止当前的模拟
-        if (gameState.simulationTimer) {
-            clearTimeout(gameState.simulationTimer);
-            gameState.simulationTimer = null;
+        if (room.hasActiveGame()) {
+            socket.emit('error', { message: '比赛进行中不能重置球台' });
+            return;
         }
         
-        // 🔄 重置游戏状态
-        gameState.ballsState = {};
-        gameState.isSimulating = false;
-        gameState.shotPlayerId = null;
+        socketLogger(socket).info('🔄 重置台球桌');
         player.lastHeartbeat = Date.now(); // 更新心跳
-        
-        // 🧹 清除所有得分记录
-        gameState.playerScores.clear();
-        console.log(`🧹 重置台球桌时清除所有得分记录`);
-        
-        // 📡 广播重置事件给所有玩家
-        ioServer.emit('resetTable', {
-            playerId: playerId,
-            resetBy: playerId
-        });
-        
-        // 🧹 广播得分清除事件
-        ioServer.emit('scoresCleared', {
-            clearedBy: playerId,
-            reason: '台球桌重置',
-            timestamp: Date.now()
-        });
-        
-        // 💬 发送系统消息
-        sendSystemMessage(`${playerId} 重置了台球桌`, 'info');
+        resetTableState(room, playerId);
         
         // 🎯 重置后自动进入击球状态（保持持杆状态）
         setTimeout(() => {
             // 确保持杆状态保持，并通知所有客户端可以继续游戏
-            ioServer.emit('gameState', { 
-                currentPlayer: gameState.currentPlayer,
+            ioServer.to(room.id).emit('gameState', {
+                currentPlayer: room.currentPlayer,
                 isReset: true,
                 readyForShot: true
             });
             
-            sendSystemMessage(`台球桌重置完成，${playerId} 可以继续击球`, 'info');
-            console.log(`🎯 台球桌重置完成，${playerId} 保持持杆状态`);
+            sendSystemMessage(room, `台球桌重置完成，${playerId} 可以继续击球`, 'info');
+            socketLogger(socket).info('🎯 台球桌重置完成，保持持杆状态');
         }, 100); // 短暂延迟确保重置完成
     });
 
-    // 🎱 处理客户端报告的进球事件
-    socket.on('ballsPocketed', (data) => {
-        const { playerId, pocketedBalls } = data;
-        const player = gameState.players.get(playerId);
+    // 🎮 房主切换球桌的游戏模式
+    socket.on('setGameMode', (data) => {
+        const { mode } = data;
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        // 验证玩家身份和权限
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             socket.emit('error', { message: '玩家验证失败' });
             return;
         }
         
-        // 只有当前持杆玩家或模拟中的玩家可以报告进球
-        if (gameState.currentPlayer !== playerId && gameState.shotPlayerId !== playerId) {
-            console.log(`⚠️ 无效的进球报告: ${playerId} 不是当前持杆/击球玩家`);
+        if (room.hostId !== playerId) {
+            socket.emit('error', { message: '只有房主才能切换游戏模式' });
             return;
         }
         
-        console.log(`🎯 收到进球报告: ${playerId}`, pocketedBalls);
+        const gameMode = getGameMode(mode);
+        if (!gameMode) {
+            socket.emit('error', { message: '未知的游戏模式' });
+            return;
+        }
         
-        // 处理每个进球
-        pocketedBalls.forEach(pocketInfo => {
-            const { ballNumber, pocketType } = pocketInfo;
-            
-            // 跳过白球（0号球），白球进洞不算得分
-            if (ballNumber === 0) {
-                console.log(`🎱 白球进洞，不记录得分`);
-                return;
-            }
-            
-            // 验证球号有效性（1-15号球）
-            if (ballNumber < 1 || ballNumber > 15) {
-                console.log(`⚠️ 无效球号: ${ballNumber}`);
-                return;
-            }
-            
-            // 记录该玩家的得分
-            if (!gameState.playerScores.has(playerId)) {
-                gameState.playerScores.set(playerId, []);
-            }
-            
-            const playerScore = gameState.playerScores.get(playerId);
-            
-            // 检查球是否已经被进过（防止重复记录）
-            if (!playerScore.includes(ballNumber)) {
-                playerScore.push(ballNumber);
-                
-                console.log(`🎯 玩家 ${playerId} 打进球 ${ballNumber} (${pocketType}洞)`);
-                
-                // 广播进球事件给所有玩家
-                ioServer.emit('playerScored', {
-                    playerId: playerId,
-                    ballNumber: ballNumber,
-                    pocketType: pocketType,
-                    timestamp: Date.now()
-                });
-                
-                // 发送系统消息
-                sendSystemMessage(`🎯 ${playerId} 打进了 ${ballNumber} 号球！`, 'info');
-                
-                debugLog('进球记录', {
-                    playerId,
-                    ballNumber,
-                    pocketType,
-                    currentScore: playerScore
-                });
-            } else {
-                console.log(`⚠️ 球 ${ballNumber} 已被 ${playerId} 进过，跳过重复记录`);
-            }
+        if (room.hasActiveGame() || room.isSimulating) {
+            socket.emit('error', { message: '比赛或击球进行中不能切换游戏模式' });
+            return;
+        }
+        
+        socketLogger(socket).info('🎮 切换游戏模式', { from: room.gameMode, to: gameMode.id });
+        
+        // 切换模式后按新模式摆球，清除上一模式的比赛和得分
+        room.gameMode = gameMode.id;
+        room.game = null;
+        room.ballsState = gameMode.createRack();
+        room.playerScores.clear();
+        player.lastHeartbeat = Date.now();
+        
+        ioServer.to(room.id).emit('gameModeChanged', {
+            mode: gameMode.id,
+            name: gameMode.name,
+            changedBy: playerId,
+            ballsState: room.ballsState
         });
+        sendSystemMessage(room, `🎮 ${playerId} 将游戏模式切换为「${gameMode.name}」`, 'info');
+        broadcastGameState(room);
+        broadcastRoomList();
+    });
+
+    // ⏱️ 房主调整球桌的击球计时设置（下一杆开始生效）
+    socket.on('setShotClock', (data) => {
+        const { room, player, playerId } = getSocketPlayer(socket);
         
-        // 更新玩家心跳
+        if (!player) {
+            socket.emit('error', { message: '玩家验证失败' });
+            return;
+        }
+        
+        if (room.hostId !== playerId) {
+            socket.emit('error', { message: '只有房主才能调整击球计时' });
+            return;
+        }
+        
+        if (room.hasActiveGame()) {
+            socket.emit('error', { message: '比赛进行中不能调整击球计时' });
+            return;
+        }
+        
+        const shotClock = normalizeShotClockSettings(data, room.shotClock.settings);
+        if (!shotClock.valid) {
+            socket.emit('error', { message: shotClock.reason });
+            return;
+        }
+        
+        room.shotClock.setSettings(shotClock.settings);
+        player.lastHeartbeat = Date.now();
+        
+        // 比赛以外不再计时时停止持杆玩家的计时
+        if (!shotClock.settings.practice) {
+            stopShotClock(room);
+        }
+        
+        socketLogger(socket).info('⏱️ 修改击球计时设置', { settings: shotClock.settings });
+        
+        ioServer.to(room.id).emit('shotClockSettingsChanged', {
+            settings: shotClock.settings,
+            changedBy: playerId
+        });
+        sendSystemMessage(room, shotClock.settings.enabled
+            ? `⏱️ ${playerId} 将击球计时设为每杆 ${shotClock.settings.duration} 秒`
+            : `⏱️ ${playerId} 关闭了击球计时`, 'info');
+        broadcastRoomList();
+    });
+
+    // ⏱️ 使用一次延时
+    socket.on('extendShotClock', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
+        
+        if (!player) {
+            socket.emit('error', { message: '玩家验证失败' });
+            return;
+        }
+        
+        const result = room.shotClock.extend(playerId);
+        if (!result.success) {
+            socket.emit('error', { message: result.message });
+            return;
+        }
+        
+        player.lastHeartbeat = Date.now();
+        ioServer.to(room.id).emit('shotClockExtended', {
+            playerId,
+            remaining: room.shotClock.getRemaining(),
+            extensionsLeft: room.shotClock.getExtensionsLeft(playerId)
+        });
+        sendSystemMessage(room, `⏱️ ${playerId} 使用了延时（${result.message}）`, 'info');
+    });
+
+    // 🏁 按当前模式开始比赛（发起者开球）
+    socket.on('startGame', (data) => {
+        const { opponentId, targetScore } = data;
+        const { room, player, playerId } = getSocketPlayer(socket);
+        
+        if (!player) {
+            socket.emit('error', { message: '玩家验证失败' });
+            return;
+        }
+        
+        const gameMode = getGameMode(room.gameMode);
+        if (!gameMode.Game) {
+            socket.emit('error', { message: '自由练习模式无需开始比赛，请先切换到比赛模式' });
+            return;
+        }
+        
+        if (room.hasActiveGame()) {
+            socket.emit('error', { message: '已有比赛正在进行' });
+            return;
+        }
+        
+        if (room.isSimulating) {
+            socket.emit('error', { message: '球还在运动中，请等待模拟结束' });
+            return;
+        }
+        
+        if (targetScore !== undefined &&
+            (!Number.isInteger(targetScore) || targetScore < 10 || targetScore > 150)) {
+            socket.emit('error', { message: '目标分数必须是10到150之间的整数' });
+            return;
+        }
+        
+        const opponent = opponentId
+            ? room.players.get(opponentId)
+            : Array.from(room.players.values()).find(p => p.id !== playerId);
+        if (!opponent || opponent.id === playerId) {
+            socket.emit('error', { message: '需要另一名玩家才能开始比赛' });
+            return;
+        }
+        
+        player.lastHeartbeat = Date.now();
+        startMatch(room, playerId, opponent.id, { targetScore });
+    });
+
+    // 加入匹配队列，按技术分寻找同一模式的对手
+    socket.on('queueForMatch', (data = {}) => {
+        const mode = data.mode || GAME_CONFIG.DEFAULT_MATCH_MODE;
+        const { room, player, playerId } = getSocketPlayer(socket);
+        
+        if (!player) {
+            socket.emit('queueForMatchResponse', { success: false, message: '请先加入游戏' });
+            return;
+        }
+        
+        const gameMode = getGameMode(mode);
+        if (!gameMode || !gameMode.Game) {
+            socket.emit('queueForMatchResponse', { success: false, message: '该模式不支持匹配' });
+            return;
+        }
+        
+        if (room.hasActiveGame() && room.game.isParticipant(playerId)) {
+            socket.emit('queueForMatchResponse', { success: false, message: '比赛进行中，无法排队' });
+            return;
+        }
+        
+        const rating = ratingService.getRating(playerId);
+        matchmakingQueue.enqueue(playerId, { socketId: socket.id, mode, rating });
+        
+        socketLogger(socket).info('⏳ 开始排队', { queuePlayerId: playerId, mode: gameMode.id, rating });
+        
+        socket.emit('queueForMatchResponse', {
+            success: true,
+            message: `正在匹配${gameMode.name}对手...`,
+            mode,
+            rating,
+            queueSize: matchmakingQueue.countByMode(mode)
+        });
+        
+        runMatchmaking();
+    });
+
+    // 取消排队
+    socket.on('cancelQueue', () => {
+        const { playerId } = getSocketPlayer(socket);
+        const removed = playerId ? matchmakingQueue.remove(playerId) : false;
+        
+        if (removed) {
+            socketLogger(socket).info('🚫 取消排队', { queuePlayerId: playerId });
+        }
+        socket.emit('cancelQueueResponse', {
+            success: removed,
+            message: removed ? '已取消匹配' : '当前不在匹配队列中'
+        });
+    });
+
+    // ✋ 自由球：击球前摆放白球
+    socket.on('placeCueBall', (data) => {
+        const { x, y } = data;
+        const { room, player, playerId } = getSocketPlayer(socket);
+        
+        if (!player) {
+            socket.emit('error', { message: '玩家验证失败' });
+            return;
+        }
+        
+        if (!room.hasActiveGame() || room.game.currentTurn !== playerId || !room.game.ballInHand) {
+            socket.emit('error', { message: '当前没有自由球' });
+            return;
+        }
+        
+        if (room.isSimulating) {
+            socket.emit('error', { message: '球还在运动中，请等待模拟结束' });
+            return;
+        }
+        
+        const maxX = TABLE.length / 2 - TABLE.ballRadius;
+        const maxY = TABLE.width / 2 - TABLE.ballRadius;
+        if (!Number.isFinite(x) || !Number.isFinite(y) || Math.abs(x) > maxX || Math.abs(y) > maxY) {
+            socket.emit('error', { message: '白球位置超出台面' });
+            return;
+        }
+        
+        if (room.game.ballInHandArea === 'kitchen' && x > TABLE.headSpot.x) {
+            socket.emit('error', { message: '开球时白球必须放在开球线后' });
+            return;
+        }
+        
+        if (!isPositionFree(room.ballsState, x, y, CUE_BALL)) {
+            socket.emit('error', { message: '白球不能与其他球重叠' });
+            return;
+        }
+        
+        room.ballsState[CUE_BALL] = { x, y, pocketed: false };
         player.lastHeartbeat = Date.now();
+        
+        ioServer.to(room.id).emit('cueBallPlaced', { playerId, x, y });
+        socketLogger(socket).debug('摆放白球', { x, y });
+    });
+
+    // 🎱 进球由服务端物理模拟判定，客户端上报的进球只用于反作弊检查（兼容旧客户端）
+    socket.on('ballsPocketed', (data) => {
+        const { room, player, playerId } = getSocketPlayer(socket);
+        
+        if (!player) {
+            return;
+        }
+        
+        handleAntiCheatResult(room, playerId, antiCheat.checkPocketReport(room.id, playerId, data.pocketedBalls));
+        socketLogger(socket).debug('收到客户端进球报告', { pocketedBalls: data.pocketedBalls });
     });
 
     // 🧹 处理清除所有得分的请求
-    socket.on('clearScores', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+    socket.on('clearScores', () => {
+        const { room, player, playerId } = getSocketPlayer(socket);
         
         // 验证玩家身份
-        if (!player || player.socketId !== socket.id) {
+        if (!player) {
             socket.emit('error', { message: '玩家验证失败' });
             return;
         }
         
         // 可以添加权限检查，比如只有持杆玩家可以清除得分
-        if (gameState.currentPlayer !== playerId) {
+        if (room.currentPlayer !== playerId) {
             socket.emit('error', { message: '只有持杆者才能清除得分记录' });
             return;
         }
         
-        console.log(`🧹 玩家 ${playerId} 请求清除所有得分记录`);
+        socketLogger(socket).info('🧹 请求清除所有得分记录');
         
-        // 清除所有玩家的得分记录
-        gameState.playerScores.clear();
+        // 清除房间内所有玩家的得分记录
+        room.playerScores.clear();
         
-        // 广播清除事件给所有玩家
-        ioServer.emit('scoresCleared', {
+        // 广播清除事件给房间内所有玩家
+        ioServer.to(room.id).emit('scoresCleared', {
             clearedBy: playerId,
             timestamp: Date.now()
         });
         
         // 发送系统消息
-        sendSystemMessage(`🧹 ${playerId} 清除了所有得分记录`, 'info');
+        sendSystemMessage(room, `🧹 ${playerId} 清除了所有得分记录`, 'info');
         
         // 更新玩家心跳
         player.lastHeartbeat = Date.now();
         
-        debugLog('得分记录已清除', { clearedBy: playerId });
+        socketLogger(socket).debug('得分记录已清除');
+    });
+
+    // 🎬 请求比赛回放：逐杆发送给客户端播放（玩家、观众和大厅中的连接都可以请求）
+    socket.on('requestReplay', (data = {}) => {
+        const { gameId } = data;
+        const replay = replayService.getReplay(gameId);
+        
+        if (!replay) {
+            socket.emit('replayError', { gameId, message: '回放不存在' });
+            return;
+        }
+        
+        const { shots, ...meta } = replay;
+        socket.emit('replayStart', { ...meta, shotCount: shots.length });
+        shots.forEach(shot => {
+            socket.emit('replayShot', { gameId, shot });
+        });
+        socket.emit('replayEnd', { gameId, shotCount: shots.length });
+        
+        socketLogger(socket).debug('发送比赛回放', { gameId, shotCount: shots.length });
     });
 
     // 📊 获取当前得分排行榜
-    socket.on('getScores', (data) => {
-        const { playerId } = data;
-        const player = gameState.players.get(playerId);
+    socket.on('getScores', () => {
+        const { player, playerId } = getSocketPlayer(socket);
+        const { spectator } = getSocketSpectator(socket);
         
-        if (!player || player.socketId !== socket.id) {
+        if (!player && !spectator) {
             return;
         }
         
-        // 构建得分排行榜
-        const scoreboard = Array.from(gameState.playerScores.entries()).map(([pid, scores]) => ({
-            playerId: pid,
-            balls: scores,
-            totalScore: scores.length
-        })).sort((a, b) => b.totalScore - a.totalScore);
+        // 构建得分排行榜（观众也可以查看）
+        const room = getSocketRoom(socket);
+        const scoreboard = getScoreboard(room);
         
         socket.emit('scoreboard', {
             scores: scoreboard,
             timestamp: Date.now()
         });
         
-        debugLog('发送得分排行榜', { requestedBy: playerId, scoreboard });
+        socketLogger(socket).debug('发送得分排行榜', { requestedBy: playerId || spectator.id, scoreboard });
     });
 
     // 断开连接处理
     socket.on('disconnect', () => {
-        console.log(`❌ Socket断开连接 - Socket ID: ${socket.id}`);
+        socketLogger(socket).info('❌ Socket断开连接');
         
-        // 找到对应的玩家并移除
-        for (const [playerId, player] of gameState.players.entries()) {
-            if (player.socketId === socket.id) {
-                removePlayer(playerId, '断开连接');
-                break;
-            }
+        // 观众直接离开
+        const { room: spectatedRoom, spectator } = getSocketSpectator(socket);
+        if (spectator) {
+            removeSpectator(spectatedRoom, socket);
+            return;
+        }
+        
+        // 保留玩家记录等待重连，超过宽限期后再从房间中移除
+        const { room, player } = getSocketPlayer(socket);
+        if (player) {
+            matchmakingQueue.remove(player.id);
+            holdPlayerForReconnect(room, player);
         }
     });
-});
+}
 
-// 启动服务器
-const PORT = config.getPort();
-httpServer.listen(PORT, () => {
-    console.log(`\n🎮 IncrediPool Server 启动成功!`);
-    console.log(`📍 服务器地址: http://localhost:${PORT}`);
-    console.log(`🌍 环境: ${config.isProduction() ? '生产环境' : '开发环境'}`);
-    console.log(`🔧 调试模式: ${config.shouldDebug() ? '开启' : '关闭'}`);
-    console.log(`⚡ 支持的前端地址:`);
-    config.getFrontendUrls().forEach(url => {
-        console.log(`   - ${url}`);
+// 启动服务器：多实例时先连接 Redis 并接管球桌，单实例时从本地快照恢复
+async function startServer() {
+    await cluster.start();
+    if (!cluster.enabled) {
+        restoreTableSnapshot();
+    }
+    
+    const PORT = config.getPort();
+    httpServer.listen(PORT, () => {
+        logger.info('🎮 IncrediPool Server 启动成功', {
+            url: `http://localhost:${PORT}`,
+            environment: config.isProduction() ? 'production' : 'development',
+            frontendUrls: config.getFrontendUrls(),
+            nodeId: cluster.enabled ? cluster.nodeId : undefined,
+            gameConfig: {
+                heartbeatInterval: GAME_CONFIG.HEARTBEAT_INTERVAL / 1000,
+                playerTimeout: GAME_CONFIG.PLAYER_TIMEOUT / 1000,
+                cueTimeout: GAME_CONFIG.CUE_TIMEOUT / 1000,
+                shotClock: SHOT_CLOCK_DEFAULTS,
+                reconnectGracePeriod: GAME_CONFIG.RECONNECT_GRACE_PERIOD / 1000,
+                maxRooms: GAME_CONFIG.MAX_ROOMS,
+                maxPlayersPerRoom: GAME_CONFIG.MAX_PLAYERS_PER_ROOM,
+                maxSpectatorsPerRoom: GAME_CONFIG.MAX_SPECTATORS_PER_ROOM,
+                matchmakingInterval: GAME_CONFIG.MATCHMAKING_INTERVAL / 1000,
+                snapshotInterval: GAME_CONFIG.SNAPSHOT_INTERVAL / 1000
+            }
+        });
     });
-    console.log(`⏰ 游戏配置:`);
-    console.log(`   - 心跳间隔: ${GAME_CONFIG.HEARTBEAT_INTERVAL / 1000}秒`);
-    console.log(`   - 玩家超时: ${GAME_CONFIG.PLAYER_TIMEOUT / 1000}秒`);
-    console.log(`   - 持杆超时: ${GAME_CONFIG.CUE_TIMEOUT / 1000}秒`);
-    console.log(`\n✅ 服务器准备就绪，等待连接...\n`);
-}); 
\ No newline at end of file
+}
+
+startServer().catch(error => {
+    logger.error('❌ 服务器启动失败', { error });
+    process.exit(1);
+});
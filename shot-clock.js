@@ -0,0 +1,205 @@
+// 击球计时：轮到玩家击球时开始倒计时，每秒通知客户端，到达提醒时间时发出警告，超时后按球桌设置处罚
+// 玩家可以使用延时次数延长本杆的时间，次数在每局比赛开始时重置
+// 默认只在比赛中计时，自由练习时需要房主打开 practice
+const SHOT_CLOCK_DEFAULTS = {
+    enabled: true,
+    practice: false,            // 自由练习时也计时（超时收回球杆）
+    duration: 45,               // 每杆的时间（秒）
+    warnings: [15, 5],          // 剩余这些秒数时发出警告
+    extensions: 1,              // 每名玩家每局可用的延时次数
+    extensionDuration: 30,      // 每次延时增加的秒数
+    penalty: 'foul'             // 超时处罚：'foul' 按犯规处理，'passTurn' 只交换球权
+};
+
+const SHOT_CLOCK_LIMITS = {
+    MIN_DURATION: 10,
+    MAX_DURATION: 300,
+    MAX_WARNINGS: 5,
+    MAX_EXTENSIONS: 5,
+    MIN_EXTENSION_DURATION: 5,
+    MAX_EXTENSION_DURATION: 120
+};
+
+const SHOT_CLOCK_PENALTIES = ['foul', 'passTurn'];
+
+const TICK_INTERVAL = 1000;
+
+// 合并并校验球桌的计时设置（只取已知的字段），返回 { valid, settings } 或 { valid: false, reason }
+function normalizeShotClockSettings(input = {}, base = SHOT_CLOCK_DEFAULTS) {
+    const settings = { ...base };
+    Object.keys(SHOT_CLOCK_DEFAULTS).forEach(key => {
+        if (input[key] !== undefined) {
+            settings[key] = input[key];
+        }
+    });
+
+    // 只修改每杆时间时，去掉不再小于每杆时间的提醒
+    if (input.warnings === undefined && Number.isInteger(settings.duration)) {
+        settings.warnings = settings.warnings.filter(seconds => seconds < settings.duration);
+    }
+
+    const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (typeof settings.enabled !== 'boolean' || typeof settings.practice !== 'boolean') {
+        return { valid: false, reason: '计时开关必须是布尔值' };
+    }
+    if (!isIntegerInRange(settings.duration, SHOT_CLOCK_LIMITS.MIN_DURATION, SHOT_CLOCK_LIMITS.MAX_DURATION)) {
+        return { valid: false, reason: `每杆时间必须是${SHOT_CLOCK_LIMITS.MIN_DURATION}到${SHOT_CLOCK_LIMITS.MAX_DURATION}秒之间的整数` };
+    }
+    if (!Array.isArray(settings.warnings) || settings.warnings.length > SHOT_CLOCK_LIMITS.MAX_WARNINGS ||
+        !settings.warnings.every(seconds => isIntegerInRange(seconds, 1, settings.duration - 1))) {
+        return { valid: false, reason: `提醒时间最多${SHOT_CLOCK_LIMITS.MAX_WARNINGS}个，且必须小于每杆时间` };
+    }
+    if (!isIntegerInRange(settings.extensions, 0, SHOT_CLOCK_LIMITS.MAX_EXTENSIONS)) {
+        return { valid: false, reason: `延时次数必须是0到${SHOT_CLOCK_LIMITS.MAX_EXTENSIONS}之间的整数` };
+    }
+    if (!isIntegerInRange(settings.extensionDuration, SHOT_CLOCK_LIMITS.MIN_EXTENSION_DURATION, SHOT_CLOCK_LIMITS.MAX_EXTENSION_DURATION)) {
+        return { valid: false, reason: `每次延时必须是${SHOT_CLOCK_LIMITS.MIN_EXTENSION_DURATION}到${SHOT_CLOCK_LIMITS.MAX_EXTENSION_DURATION}秒之间的整数` };
+    }
+    if (!SHOT_CLOCK_PENALTIES.includes(settings.penalty)) {
+        return { valid: false, reason: '超时处罚只能是 foul 或 passTurn' };
+    }
+
+    settings.warnings = Array.from(new Set(settings.warnings)).sort((a, b) => b - a);
+    return { valid: true, settings };
+}
+
+class ShotClock {
+    constructor(settings = SHOT_CLOCK_DEFAULTS) {
+        this.settings = { ...settings };
+        this.playerId = null;
+        this.deadline = null;
+        this.timer = null;
+        this.warned = new Set();        // 本杆已发出的提醒
+        this.usedExtensions = {};       // playerId -> 本局已用的延时次数
+        this.handlers = null;
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    getRemaining(now = Date.now()) {
+        return this.deadline ? Math.max(0, Math.ceil((this.deadline - now) / 1000)) : null;
+    }
+
+    getExtensionsLeft(playerId) {
+        return Math.max(0, this.settings.extensions - (this.usedExtensions[playerId] || 0));
+    }
+
+    // 轮到玩家击球时开始倒计时；handlers 为 { onTick, onWarning, onExpire }
+    start(playerId, handlers) {
+        this.stop();
+        if (!this.settings.enabled) {
+            return false;
+        }
+
+        this.playerId = playerId;
+        this.deadline = Date.now() + this.settings.duration * 1000;
+        this.warned.clear();
+        this.handlers = handlers;
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        this.handlers.onTick(this.getState());
+        return true;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+        }
+        this.timer = null;
+        this.playerId = null;
+        this.deadline = null;
+        this.handlers = null;
+    }
+
+    tick() {
+        const remaining = this.getRemaining();
+        const { handlers, playerId } = this;
+
+        if (remaining <= 0) {
+            this.stop();
+            handlers.onExpire(playerId);
+            return;
+        }
+
+        handlers.onTick(this.getState());
+        this.settings.warnings.forEach(seconds => {
+            if (remaining <= seconds && !this.warned.has(seconds)) {
+                this.warned.add(seconds);
+                handlers.onWarning(playerId, remaining);
+            }
+        });
+    }
+
+    // 使用一次延时，返回 { success, message }
+    extend(playerId) {
+        if (!this.isRunning() || this.playerId !== playerId) {
+            return { success: false, message: '当前不是你的击球时间' };
+        }
+        if (this.getExtensionsLeft(playerId) === 0) {
+            return { success: false, message: '本局的延时次数已用完' };
+        }
+
+        this.usedExtensions[playerId] = (this.usedExtensions[playerId] || 0) + 1;
+        this.deadline += this.settings.extensionDuration * 1000;
+
+        // 延时后重新计算需要提醒的时间点
+        const remaining = this.getRemaining();
+        this.settings.warnings.forEach(seconds => {
+            if (remaining > seconds) {
+                this.warned.delete(seconds);
+            }
+        });
+        this.handlers.onTick(this.getState());
+        return { success: true, message: `延时 ${this.settings.extensionDuration} 秒` };
+    }
+
+    // 新的一局开始时重置延时次数
+    resetExtensions() {
+        this.usedExtensions = {};
+    }
+
+    // 更换设置（正在计时的一杆不受影响）
+    setSettings(settings) {
+        this.settings = { ...settings };
+        if (!this.settings.enabled) {
+            this.stop();
+        }
+    }
+
+    getState() {
+        return {
+            enabled: this.settings.enabled,
+            practice: this.settings.practice,
+            running: this.isRunning(),
+            playerId: this.playerId,
+            remaining: this.getRemaining(),
+            duration: this.settings.duration,
+            extensionsLeft: this.playerId ? this.getExtensionsLeft(this.playerId) : null,
+            penalty: this.settings.penalty
+        };
+    }
+
+    toSnapshot() {
+        return {
+            settings: this.settings,
+            usedExtensions: this.usedExtensions
+        };
+    }
+
+    // 恢复设置和延时次数，计时需要由调用方重新开始
+    static fromSnapshot(snapshot) {
+        // 旧快照中没有的设置使用默认值
+        const clock = new ShotClock({ ...SHOT_CLOCK_DEFAULTS, ...snapshot.settings });
+        clock.usedExtensions = { ...snapshot.usedExtensions };
+        return clock;
+    }
+}
+
+module.exports = {
+    ShotClock,
+    SHOT_CLOCK_DEFAULTS,
+    SHOT_CLOCK_LIMITS,
+    normalizeShotClockSettings
+};
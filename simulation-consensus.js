@@ -0,0 +1,183 @@
+// 模拟结果一致性检查：收集每个参与玩家客户端上报的最终球台，与服务端模拟的结果比对
+// 所有参与玩家都上报后取客户端结果的中位数：所有客户端都与中位数一致、且落袋情况与服务端相同时，
+// 中位数结果作为 syncConfirm 的 authoritativeState；否则仍以服务端结果为准
+// 落袋必须与服务端相同，规则引擎按服务端结果判定的得分和犯规不会被客户端改变
+const CONSENSUS_CONFIG = {
+    POSITION_TOLERANCE: 0.05,       // 同一颗球的位置误差在此范围内（米）视为一致
+    PERSISTENT_DIVERGENCE: 3,       // 同一玩家连续多少杆不一致时记录为可能不同步或篡改
+    MIN_CONSENSUS_REPORTS: 2        // 至少有这么多客户端上报时才计算中位数结果
+};
+
+class SimulationConsensus {
+    constructor() {
+        this.shots = new Map();         // roomId -> { playerId, participants, reports, reference }
+        this.divergentShots = new Map(); // playerId -> 连续不一致的杆数
+    }
+
+    // 击球开始时记录参与比对的玩家（观众不参与）
+    beginShot(roomId, shooterId, participants) {
+        this.shots.set(roomId, {
+            playerId: shooterId,
+            participants: new Set(participants),
+            reports: new Map(),     // playerId -> finalState
+            reference: null         // 服务端模拟结束后的最终球台
+        });
+    }
+
+    clearShot(roomId) {
+        this.shots.delete(roomId);
+    }
+
+    // 收到客户端的最终球台；服务端模拟已结束时立即比对，否则等模拟结束后一起比对
+    addReport(roomId, playerId, finalState) {
+        const shot = this.shots.get(roomId);
+        if (!shot || !shot.participants.has(playerId) || shot.reports.has(playerId)) {
+            return { comparisons: [], summary: null };
+        }
+
+        shot.reports.set(playerId, finalState);
+        if (!shot.reference) {
+            return { comparisons: [], summary: null };
+        }
+        return {
+            comparisons: [this.compareReport(playerId, finalState, shot.reference)],
+            summary: this.summarizeIfComplete(roomId, shot)
+        };
+    }
+
+    // 服务端模拟结束，比对之前已经收到的上报
+    resolve(roomId, referenceState) {
+        const shot = this.shots.get(roomId);
+        if (!shot) {
+            return { comparisons: [], summary: null };
+        }
+
+        shot.reference = referenceState;
+        const comparisons = Array.from(shot.reports.entries())
+            .map(([playerId, finalState]) => this.compareReport(playerId, finalState, referenceState));
+        return { comparisons, summary: this.summarizeIfComplete(roomId, shot) };
+    }
+
+    // 比对一名玩家的上报并更新连续不一致的杆数
+    compareReport(playerId, finalState, referenceState) {
+        const difference = compareStates(finalState, referenceState);
+        const divergentShots = difference.matches ? 0 : (this.divergentShots.get(playerId) || 0) + 1;
+
+        if (divergentShots === 0) {
+            this.divergentShots.delete(playerId);
+        } else {
+            this.divergentShots.set(playerId, divergentShots);
+        }
+
+        return {
+            playerId,
+            ...difference,
+            divergentShots,
+            persistent: divergentShots >= CONSENSUS_CONFIG.PERSISTENT_DIVERGENCE
+        };
+    }
+
+    // 所有参与玩家都上报后，计算客户端的中位数结果并与服务端比对，adopted 表示采用中位数结果
+    summarizeIfComplete(roomId, shot) {
+        if (shot.reports.size < shot.participants.size) {
+            return null;
+        }
+
+        this.shots.delete(roomId);
+        if (shot.reports.size < CONSENSUS_CONFIG.MIN_CONSENSUS_REPORTS) {
+            return null;
+        }
+
+        const reports = Array.from(shot.reports.values());
+        const consensusState = medianState(reports);
+        const clientsAgree = reports.every(report => compareStates(report, consensusState).matches);
+        const adopted = clientsAgree && samePocketed(consensusState, shot.reference);
+        if (adopted) {
+            // 采用客户端结果时，之前与服务端不一致的比对不算作不同步
+            shot.reports.forEach((report, playerId) => this.divergentShots.delete(playerId));
+        }
+        return {
+            playerId: shot.playerId,
+            reportCount: shot.reports.size,
+            consensusState,
+            referenceState: shot.reference,
+            clientsAgree,
+            adopted,
+            ...compareStates(consensusState, shot.reference)
+        };
+    }
+
+    forgetPlayer(playerId) {
+        this.divergentShots.delete(playerId);
+    }
+}
+
+// 比对两个球台：落袋情况必须相同，台上的球位置误差不超过容忍范围
+function compareStates(state, referenceState) {
+    const divergentBalls = [];
+    let maxDeviation = 0;
+
+    for (const [number, reference] of Object.entries(referenceState)) {
+        const ball = state[number];
+        if (!ball || Boolean(ball.pocketed) !== Boolean(reference.pocketed)) {
+            divergentBalls.push(Number(number));
+            continue;
+        }
+        if (reference.pocketed) {
+            continue;
+        }
+
+        const deviation = Math.hypot(ball.x - reference.x, ball.y - reference.y);
+        maxDeviation = Math.max(maxDeviation, deviation);
+        if (deviation > CONSENSUS_CONFIG.POSITION_TOLERANCE) {
+            divergentBalls.push(Number(number));
+        }
+    }
+
+    return {
+        matches: divergentBalls.length === 0,
+        divergentBalls,
+        maxDeviation: Number(maxDeviation.toFixed(4))
+    };
+}
+
+// 两个球台的落袋情况是否相同
+function samePocketed(state, referenceState) {
+    return Object.entries(referenceState).every(([number, reference]) =>
+        Boolean(state[number]) && Boolean(state[number].pocketed) === Boolean(reference.pocketed));
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// 多个客户端结果的中位数：落袋按多数决定，位置取台上那些结果的中位数
+function medianState(states) {
+    const numbers = new Set(states.flatMap(state => Object.keys(state)));
+    const result = {};
+
+    numbers.forEach(number => {
+        const balls = states.map(state => state[number]).filter(Boolean);
+        const onTable = balls.filter(ball => !ball.pocketed);
+        if (onTable.length * 2 <= balls.length) {
+            const pocketed = balls.find(ball => ball.pocketed);
+            result[number] = { x: pocketed.x, y: pocketed.y, pocketed: true };
+            return;
+        }
+        result[number] = {
+            x: median(onTable.map(ball => ball.x)),
+            y: median(onTable.map(ball => ball.y)),
+            pocketed: false
+        };
+    });
+
+    return result;
+}
+
+module.exports = {
+    SimulationConsensus,
+    CONSENSUS_CONFIG,
+    compareStates
+};
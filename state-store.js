@@ -0,0 +1,256 @@
+// 共享状态存储：单实例部署使用内存实现，多实例部署使用 Redis（或兼容 Redis 命令的服务）
+// 没有 Redis 时，本地多进程部署（local-cluster.js）由主进程保存内存存储，工作进程通过 IPC 访问
+// 各实现接口相同，值都以 JSON 保存，ttl 单位为毫秒（不传表示永不过期）
+
+class MemoryStateStore {
+    constructor() {
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    readEntry(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async get(key) {
+        const entry = this.readEntry(key);
+        return entry ? JSON.parse(entry.value) : null;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.set(key, {
+            value: JSON.stringify(value),
+            expiresAt: ttl ? Date.now() + ttl : null
+        });
+    }
+
+    // 键不存在时才写入，返回是否写入成功
+    async setIfAbsent(key, value, ttl) {
+        if (this.readEntry(key)) {
+            return false;
+        }
+        await this.set(key, value, ttl);
+        return true;
+    }
+
+    // 当前值等于 value 时延长过期时间，返回是否延长成功
+    async extendIfEqual(key, value, ttl) {
+        const entry = this.readEntry(key);
+        if (!entry || entry.value !== JSON.stringify(value)) {
+            return false;
+        }
+        entry.expiresAt = Date.now() + ttl;
+        return true;
+    }
+
+    // 当前值等于 value 时删除
+    async deleteIfEqual(key, value) {
+        const entry = this.readEntry(key);
+        if (!entry || entry.value !== JSON.stringify(value)) {
+            return false;
+        }
+        this.entries.delete(key);
+        return true;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async keys(prefix) {
+        return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.readEntry(key));
+    }
+
+    async ping() {}
+
+    async close() {}
+}
+
+// 比较后再修改需要原子执行，使用 Lua 脚本
+const EXTEND_IF_EQUAL_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const DELETE_IF_EQUAL_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class RedisStateStore {
+    // client 为已连接的 node-redis v4 客户端
+    constructor(client, keyPrefix = 'incredipool:') {
+        this.client = client;
+        this.keyPrefix = keyPrefix;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.keyPrefix + key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value, ttl) {
+        const options = ttl ? { PX: ttl } : undefined;
+        await this.client.set(this.keyPrefix + key, JSON.stringify(value), options);
+    }
+
+    async setIfAbsent(key, value, ttl) {
+        const options = ttl ? { NX: true, PX: ttl } : { NX: true };
+        const result = await this.client.set(this.keyPrefix + key, JSON.stringify(value), options);
+        return result === 'OK';
+    }
+
+    async extendIfEqual(key, value, ttl) {
+        const result = await this.client.eval(EXTEND_IF_EQUAL_SCRIPT, {
+            keys: [this.keyPrefix + key],
+            arguments: [JSON.stringify(value), String(ttl)]
+        });
+        return result === 1;
+    }
+
+    async deleteIfEqual(key, value) {
+        const result = await this.client.eval(DELETE_IF_EQUAL_SCRIPT, {
+            keys: [this.keyPrefix + key],
+            arguments: [JSON.stringify(value)]
+        });
+        return result === 1;
+    }
+
+    async delete(key) {
+        await this.client.del(this.keyPrefix + key);
+    }
+
+    async keys(prefix) {
+        const keys = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${this.keyPrefix}${prefix}*`, COUNT: 100 })) {
+            keys.push(key.slice(this.keyPrefix.length));
+        }
+        return keys;
+    }
+
+    // 就绪检查：连接断开时抛出错误
+    async ping() {
+        await this.client.ping();
+    }
+
+    // 不支持 QUIT 的兼容服务直接断开连接
+    async close() {
+        await this.client.quit().catch(() => this.client.disconnect());
+    }
+}
+
+// 工作进程和主进程之间的存储请求
+const IPC_MESSAGE_TYPE = 'incredipool:stateStore';
+const IPC_METHODS = ['get', 'set', 'setIfAbsent', 'extendIfEqual', 'deleteIfEqual', 'delete', 'keys', 'ping'];
+
+// 工作进程中使用：每个操作发送给主进程中的 MemoryStateStore 执行（见 serveStateStore）
+class IpcStateStore {
+    constructor(channel = process) {
+        this.channel = channel;
+        this.nextId = 1;
+        this.pending = new Map();   // 请求ID -> { resolve, reject }
+        this.onMessage = message => {
+            if (!message || message.type !== IPC_MESSAGE_TYPE || !this.pending.has(message.id)) {
+                return;
+            }
+            const { resolve, reject } = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.result === undefined ? null : message.result);
+            }
+        };
+        this.channel.on('message', this.onMessage);
+    }
+
+    request(method, args) {
+        return new Promise((resolve, reject) => {
+            if (!this.channel.connected) {
+                reject(new Error('与主进程的连接已断开'));
+                return;
+            }
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.channel.send({ type: IPC_MESSAGE_TYPE, id, method, args }, error => {
+                if (error && this.pending.delete(id)) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    get(key) {
+        return this.request('get', [key]);
+    }
+
+    async set(key, value, ttl) {
+        await this.request('set', [key, value, ttl]);
+    }
+
+    setIfAbsent(key, value, ttl) {
+        return this.request('setIfAbsent', [key, value, ttl]);
+    }
+
+    extendIfEqual(key, value, ttl) {
+        return this.request('extendIfEqual', [key, value, ttl]);
+    }
+
+    deleteIfEqual(key, value) {
+        return this.request('deleteIfEqual', [key, value]);
+    }
+
+    async delete(key) {
+        await this.request('delete', [key]);
+    }
+
+    keys(prefix) {
+        return this.request('keys', [prefix]);
+    }
+
+    // 就绪检查：主进程没有响应时抛出错误
+    async ping() {
+        await this.request('ping', []);
+    }
+
+    async close() {
+        this.channel.off('message', this.onMessage);
+        this.pending.forEach(({ reject }) => reject(new Error('存储已关闭')));
+        this.pending.clear();
+    }
+}
+
+// 主进程中使用：为所有工作进程执行存储请求，nodeCluster 为 Node.js 的 cluster 模块
+function serveStateStore(nodeCluster, store = new MemoryStateStore()) {
+    nodeCluster.on('message', (worker, message) => {
+        if (!message || message.type !== IPC_MESSAGE_TYPE) {
+            return;
+        }
+        const reply = fields => {
+            if (worker.isConnected()) {
+                worker.send({ type: IPC_MESSAGE_TYPE, id: message.id, ...fields });
+            }
+        };
+        if (!IPC_METHODS.includes(message.method)) {
+            reply({ error: `不支持的操作 ${message.method}` });
+            return;
+        }
+        store[message.method](...message.args)
+            .then(result => reply({ result }))
+            .catch(error => reply({ error: error.message }));
+    });
+    return store;
+}
+
+module.exports = {
+    MemoryStateStore,
+    RedisStateStore,
+    IpcStateStore,
+    serveStateStore
+};
@@ -0,0 +1,101 @@
+// 本地 JSON 文件存储：数据常驻内存，修改后原子写回磁盘，无需外部数据库
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const SAVE_DELAY = 2000;    // scheduleSave 合并这段时间内的修改
+
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.lastWriteError = null;     // 最近一次写盘失败的原因，写盘成功后清除
+        this.writeChain = Promise.resolve();
+        this.saveTimer = null;
+        this.load();
+    }
+
+    // 启动时同步读取文件，文件不存在时从空数据开始
+    load() {
+        try {
+            const content = fs.readFileSync(this.filePath, 'utf8');
+            this.data = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('⚠️ 读取存储文件失败', { file: this.filePath, error: error.message });
+            }
+            this.data = {};
+        }
+    }
+
+    // 获取集合（不存在时用默认值创建）
+    collection(name, defaultValue = {}) {
+        if (!(name in this.data)) {
+            this.data[name] = defaultValue;
+        }
+        return this.data[name];
+    }
+
+    // 整体替换集合的内容
+    set(name, value) {
+        this.data[name] = value;
+    }
+
+    // 异步写回磁盘：先写临时文件再重命名，避免写到一半时崩溃损坏数据
+    save() {
+        this.cancelScheduledSave();
+        this.writeChain = this.writeChain
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tempPath, JSON.stringify(this.data));
+                await fs.promises.rename(tempPath, this.filePath);
+                this.lastWriteError = null;
+            })
+            .catch(error => {
+                this.lastWriteError = error.message;
+                logger.error('⚠️ 写入存储文件失败', { file: this.filePath, error: error.message });
+            });
+        return this.writeChain;
+    }
+
+    // 频繁修改的数据（例如聊天存档）延迟写盘，合并这段时间内的多次修改；退出前由 saveSync 写回
+    scheduleSave(delay = SAVE_DELAY) {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => this.save(), delay);
+        this.saveTimer.unref();
+    }
+
+    cancelScheduledSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    // 就绪检查：存储目录可写且最近一次写盘没有失败，否则抛出错误
+    async checkHealth() {
+        const directory = path.dirname(this.filePath);
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.access(directory, fs.constants.W_OK);
+        if (this.lastWriteError) {
+            throw new Error(`最近一次写盘失败: ${this.lastWriteError}`);
+        }
+    }
+
+    // 同步写回磁盘，用于进程退出前
+    saveSync() {
+        this.cancelScheduledSave();
+        const tempPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(this.data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = {
+    JsonStore,
+    SAVE_DELAY
+};
@@ -0,0 +1,150 @@
+// 测试多实例部署：用 local-cluster.js 启动两个服务器进程（不需要 Redis），
+// 在一个进程上创建球桌，另一个进程上的玩家加入同一张球桌，两边的玩家列表和聊天都要互通
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const io = require('socket.io-client');
+
+const BASE_PORT = parseInt(process.env.TEST_CLUSTER_PORT, 10) || 3100;
+const NODE_URLS = [`http://localhost:${BASE_PORT}`, `http://localhost:${BASE_PORT + 1}`];
+
+function startCluster(dataDir) {
+    const child = spawn(process.execPath, [path.join(__dirname, 'local-cluster.js'), '2'], {
+        env: { ...process.env, PORT: String(BASE_PORT), DATA_DIR: dataDir, REDIS_URL: '' },
+        stdio: process.env.TEST_VERBOSE ? 'inherit' : 'ignore'
+    });
+    return child;
+}
+
+// 等待两个进程都通过就绪检查
+async function waitUntilReady(timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    for (const url of NODE_URLS) {
+        while (true) {
+            try {
+                const response = await fetch(`${url}/readyz`);
+                if (response.ok) {
+                    break;
+                }
+            } catch (error) {
+                // 进程还没有开始监听
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`${url} 没有在 ${timeout / 1000} 秒内就绪`);
+            }
+            await sleep(200);
+        }
+    }
+}
+
+function connect(url) {
+    const socket = io(url, { transports: ['websocket'], reconnection: false });
+    return new Promise((resolve, reject) => {
+        socket.on('connect', () => resolve(socket));
+        socket.on('connect_error', reject);
+    });
+}
+
+// 等待某个事件中满足条件的数据
+function waitFor(socket, event, predicate = () => true, timeout = 3000) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            resolve(null);
+        }, timeout);
+        const listener = data => {
+            if (predicate(data)) {
+                clearTimeout(timer);
+                socket.off(event, listener);
+                resolve(data);
+            }
+        };
+        socket.on(event, listener);
+    });
+}
+
+async function runTests() {
+    console.log('🧪 开始测试跨进程的球桌...\n');
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incredipool-cluster-'));
+    const clusterProcess = startCluster(dataDir);
+    const sockets = [];
+    let failed = 0;
+    const check = (ok, label) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        if (!ok) {
+            failed++;
+        }
+    };
+
+    try {
+        await waitUntilReady();
+        const alice = await connect(NODE_URLS[0]);
+        const bob = await connect(NODE_URLS[1]);
+        sockets.push(alice, bob);
+
+        alice.emit('joinGame', { playerId: 'ClusterAlice' });
+        check(Boolean(await waitFor(alice, 'joinGameResponse', r => r.success)), 'Alice 在进程 1 加入大厅');
+
+        alice.emit('createRoom', { name: '跨进程球桌', playerId: 'ClusterAlice' });
+        const created = await waitFor(alice, 'createRoomResponse');
+        if (!created || !created.success) {
+            throw new Error(`创建球桌失败：${created ? created.message : '没有响应'}`);
+        }
+        check(true, '进程 1 创建球桌');
+        const roomId = created.room.id;
+
+        alice.emit('joinGame', { playerId: 'ClusterAlice', roomId });
+        check(Boolean(await waitFor(alice, 'joinGameResponse', r => r.success)), 'Alice 加入新球桌');
+
+        const aliceSeesBob = waitFor(alice, 'playerList', list => list.some(p => p.id === 'ClusterBob'));
+        bob.emit('joinGame', { playerId: 'ClusterBob', roomId });
+        const joined = await waitFor(bob, 'joinGameResponse');
+        check(Boolean(joined && joined.success), 'Bob 从进程 2 加入进程 1 的球桌');
+        check(Boolean(await aliceSeesBob), 'Alice 的玩家列表中出现 Bob');
+
+        const aliceGetsChat = waitFor(alice, 'chatMessage', message => message.content === '来自进程 2 的消息');
+        bob.emit('chatMessage', { content: '来自进程 2 的消息' });
+        check(Boolean(await aliceGetsChat), 'Bob 的聊天消息送达 Alice');
+
+        const rooms = await (await fetch(`${NODE_URLS[1]}/api/rooms`)).json();
+        const listed = rooms.find(room => room.id === roomId);
+        check(Boolean(listed && listed.playerCount === 2), '进程 2 的房间列表显示球桌中有两名玩家');
+    } finally {
+        sockets.forEach(socket => socket.disconnect());
+        await stopCluster(clusterProcess);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 发送 SIGTERM 让各进程优雅关闭，超时后强制结束
+function stopCluster(child, timeout = 10000) {
+    return new Promise(resolve => {
+        if (child.exitCode !== null) {
+            resolve();
+            return;
+        }
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+        child.once('exit', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        child.kill('SIGTERM');
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
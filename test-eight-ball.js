@@ -0,0 +1,159 @@
+// 测试8球规则引擎：开球、分组、犯规、自由球和胜负判定（用构造的模拟结果，不运行物理引擎）
+const { EightBallGame, FOUL_REASONS } = require('./game-modes/eight-ball');
+
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 球台状态：列出的球已落袋，其余球都在台面上
+function tableWith(pocketedNumbers = []) {
+    const ballsState = {};
+    for (let number = 0; number <= 15; number++) {
+        ballsState[number] = { x: 0, y: 0, pocketed: pocketedNumbers.includes(number) };
+    }
+    return ballsState;
+}
+
+// 构造物理引擎返回的击球结果
+function shot({ firstContact = null, pocketed = [], rails = [], scratch = false } = {}) {
+    const pocketedBalls = scratch ? [...pocketed, 0] : pocketed;
+    return {
+        firstContact,
+        pocketed: pocketedBalls.map(ballNumber => ({ ballNumber, pocket: 'topRight', pocketType: 'corner' })),
+        railContacts: rails,
+        cueBallPocketed: scratch
+    };
+}
+
+// 开球后分组前的对局（Alice 持杆）
+function openTableGame() {
+    const game = new EightBallGame(['Alice', 'Bob']);
+    game.evaluateShot(shot({ firstContact: 1, pocketed: [10] }), tableWith());
+    return game;
+}
+
+// Alice 打全色球、Bob 打花色球，轮到 Alice
+function groupedGame() {
+    const game = openTableGame();
+    game.evaluateShot(shot({ firstContact: 2, pocketed: [2] }), tableWith([10]));
+    return game;
+}
+
+function testBreak() {
+    console.log('📝 测试开球');
+    const game = new EightBallGame(['Alice', 'Bob']);
+    check(game.isBreak && game.ballInHand && game.ballInHandArea === 'kitchen', '开球前白球可在开球线后自由摆放');
+
+    let outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [3, 11] }), tableWith());
+    check(outcome.fouls.length === 0 && outcome.continueTurn && outcome.nextPlayer === 'Alice', '开球进球后继续击球');
+    check(game.isTableOpen && outcome.groupAssigned === null, '开球进球不分组');
+
+    const illegal = new EightBallGame(['Alice', 'Bob']);
+    outcome = illegal.evaluateShot(shot({ firstContact: 1, rails: [2, 3, 4] }), tableWith());
+    check(outcome.fouls.includes(FOUL_REASONS.ILLEGAL_BREAK), '开球未进球且碰库球少于4颗判犯规');
+    check(outcome.nextPlayer === 'Bob' && outcome.ballInHand && illegal.ballInHandArea === 'anywhere', '开球犯规后对手获得自由球');
+
+    const enough = new EightBallGame(['Alice', 'Bob']);
+    outcome = enough.evaluateShot(shot({ firstContact: 1, rails: [2, 3, 4, 5] }), tableWith());
+    check(outcome.fouls.length === 0 && outcome.nextPlayer === 'Bob' && !outcome.ballInHand, '4颗球碰库的开球有效，未进球交换球权');
+
+    const eightOnBreak = new EightBallGame(['Alice', 'Bob']);
+    outcome = eightOnBreak.evaluateShot(shot({ firstContact: 1, pocketed: [8] }), tableWith());
+    check(outcome.gameOver === null && outcome.respotBalls.includes(8), '开球打进8号球不判负，8号球放回置球点');
+}
+
+function testGroups() {
+    console.log('\n📝 测试分组');
+    const game = openTableGame();
+    const outcome = game.evaluateShot(shot({ firstContact: 12, pocketed: [12] }), tableWith([10]));
+    check(game.groups.Alice === 'stripes' && game.groups.Bob === 'solids', '开放球台时第一颗合法落袋的球决定分组');
+    check(outcome.groupAssigned && outcome.continueTurn, '分组后继续击球');
+
+    const foulGame = openTableGame();
+    foulGame.evaluateShot(shot({ firstContact: 5, pocketed: [5], scratch: true }), tableWith([10]));
+    check(foulGame.isTableOpen, '犯规时打进的球不分组');
+
+    const eightFirst = openTableGame();
+    const eightOutcome = eightFirst.evaluateShot(shot({ firstContact: 8, rails: [8] }), tableWith([10]));
+    check(eightOutcome.fouls.includes(FOUL_REASONS.WRONG_BALL_FIRST), '开放球台时先碰8号球判犯规');
+}
+
+function testFouls() {
+    console.log('\n📝 测试犯规和自由球');
+    let game = groupedGame();
+    let outcome = game.evaluateShot(shot({ firstContact: 9, pocketed: [1] }), tableWith([2, 10]));
+    check(outcome.fouls.includes(FOUL_REASONS.WRONG_BALL_FIRST), '先碰到对方的球判犯规');
+    check(outcome.nextPlayer === 'Bob' && outcome.ballInHand && game.ballInHandArea === 'anywhere', '犯规后对手获得台面任意位置的自由球');
+    check(!game.stats.Alice.ballsPocketed.includes(1), '犯规时打进的球不计入个人统计');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 3, pocketed: [3], scratch: true }), tableWith([2, 10]));
+    check(outcome.fouls.includes(FOUL_REASONS.SCRATCH) && outcome.nextPlayer === 'Bob', '白球落袋判犯规');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot(), tableWith([2, 10]));
+    check(outcome.fouls.includes(FOUL_REASONS.NO_CONTACT), '白球没碰到任何球判犯规');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 3 }), tableWith([2, 10]));
+    check(outcome.fouls.includes(FOUL_REASONS.NO_RAIL), '碰球后没有球碰库或落袋判犯规');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 3, rails: [3] }), tableWith([2, 10]));
+    check(outcome.fouls.length === 0 && outcome.nextPlayer === 'Bob' && !outcome.ballInHand, '合法击球未进球时交换球权，没有自由球');
+}
+
+function testEightBall() {
+    console.log('\n📝 测试打进8号球');
+    let game = groupedGame();
+    let outcome = game.evaluateShot(shot({ firstContact: 3, pocketed: [3, 8] }), tableWith([2, 10]));
+    check(outcome.gameOver && outcome.gameOver.winner === 'Bob' && outcome.gameOver.reason === '提前打进8号球', '提前打进8号球判负');
+
+    const cleared = tableWith([1, 2, 3, 4, 5, 6, 7, 10]);
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 8, pocketed: [8] }), cleared);
+    check(outcome.gameOver && game.winner === 'Alice' && game.status === 'finished', '清台后打进8号球获胜');
+    check(!game.isActive() && outcome.nextPlayer === null, '比赛结束后没有下一位击球玩家');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 8, pocketed: [8], scratch: true }), cleared);
+    check(outcome.gameOver && outcome.gameOver.winner === 'Bob', '打进8号球时白球落袋判负');
+
+    game = groupedGame();
+    outcome = game.evaluateShot(shot({ firstContact: 9, rails: [9] }), cleared);
+    check(outcome.fouls.includes(FOUL_REASONS.WRONG_BALL_FIRST), '清台后必须先碰8号球');
+}
+
+function testSnapshot() {
+    console.log('\n📝 测试快照恢复');
+    const game = groupedGame();
+    const restored = EightBallGame.fromSnapshot(game.toSnapshot());
+    check(restored instanceof EightBallGame, '恢复后仍是8球规则引擎');
+    check(JSON.stringify(restored.getState()) === JSON.stringify(game.getState()), '恢复后的比赛状态与原状态一致');
+
+    const forfeit = restored.forfeit('Alice');
+    check(forfeit.winner === 'Bob' && restored.winner === 'Bob', '玩家离开时对手获胜');
+}
+
+function runTests() {
+    console.log('🧪 开始测试8球规则...\n');
+
+    testBreak();
+    testGroups();
+    testFouls();
+    testEightBall();
+    testSnapshot();
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests();
+}
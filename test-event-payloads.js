@@ -0,0 +1,106 @@
+// 测试容易让事件处理出错的参数：不传参数、传入 null，以及和 Object.prototype 属性同名的表情，服务器都不能崩溃
+const io = require('socket.io-client');
+
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+
+// 参数可以不传的对象参数事件
+const OPTIONAL_PAYLOAD_EVENTS = [
+    'createRoom',
+    'spectate',
+    'ballHit',
+    'simulationComplete',
+    'startGame',
+    'queueForMatch'
+];
+
+// 和 Object.prototype 上的属性同名的表情回应
+const PROTOTYPE_EMOJIS = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+
+function connect() {
+    const socket = io(SERVER_URL, { transports: ['websocket'], reconnection: false });
+    return new Promise((resolve, reject) => {
+        socket.on('connect', () => resolve(socket));
+        socket.on('connect_error', reject);
+    });
+}
+
+// 发送 ping，服务器在超时前回复 pong 说明仍在运行
+function isServerAlive(socket, timeout = 2000) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), timeout);
+        socket.once('pong', () => {
+            clearTimeout(timer);
+            resolve(true);
+        });
+        socket.emit('ping', Date.now());
+    });
+}
+
+async function runTests() {
+    console.log('🧪 开始测试不传参数的事件...\n');
+
+    const player = await connect();
+    const spectator = await connect();
+    let messageId = null;
+    player.on('chatMessage', message => {
+        messageId = messageId || message.id;
+    });
+    player.emit('joinGame', { playerId: 'PayloadTester' });
+    await sleep(500);
+
+    let failed = 0;
+    for (const event of OPTIONAL_PAYLOAD_EVENTS) {
+        for (const [label, args] of [['不传参数', []], ['null', [null]]]) {
+            // 观战需要一个没有加入球桌的连接
+            const socket = event === 'spectate' ? spectator : player;
+            socket.emit(event, ...args);
+            await sleep(1000);  // ping 的频率限制为每秒一次
+
+            const alive = await isServerAlive(player);
+            console.log(`${alive ? '✅' : '❌'} ${event}（${label}）`);
+            if (!alive) {
+                failed++;
+                break;
+            }
+        }
+        if (failed > 0) {
+            break;
+        }
+    }
+
+    if (failed === 0) {
+        console.log('\n📝 测试表情回应使用 Object.prototype 的属性名');
+        player.emit('chatMessage', { content: '表情回应测试' });
+        await sleep(500);
+
+        for (const emoji of PROTOTYPE_EMOJIS) {
+            player.emit('reactToMessage', { messageId, emoji });
+            await sleep(1000);
+
+            const alive = await isServerAlive(player);
+            console.log(`${alive ? '✅' : '❌'} reactToMessage（${emoji}）`);
+            if (!alive) {
+                failed++;
+                break;
+            }
+        }
+    }
+
+    player.disconnect();
+    spectator.disconnect();
+
+    console.log(failed > 0 ? '\n❌ 服务器没有响应' : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
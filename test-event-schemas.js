@@ -0,0 +1,112 @@
+// 测试事件参数校验：合法参数通过，类型、范围、大小上限和未声明字段被拒绝并指出出错的字段，以及可以不传参数的事件
+const { validateEventPayload, normalizeEventPayload, SCHEMA_LIMITS } = require('./event-schemas');
+
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 校验不应抛出异常，抛出时按未通过处理并记录原因
+function validate(event, data) {
+    try {
+        return validateEventPayload(event, data);
+    } catch (error) {
+        return { valid: false, threw: true, message: error.message };
+    }
+}
+
+function accepts(event, data, label) {
+    const result = validate(event, data);
+    check(result.valid, result.valid ? label : `${label}（${result.message}）`);
+}
+
+// path 为预期出错的字段，不传时只检查被拒绝
+function rejects(event, data, label, path) {
+    const result = validate(event, data);
+    const ok = !result.valid && !result.threw && (path === undefined || result.path === path);
+    check(ok, ok ? `${label}：${result.message}` : `${label}（${JSON.stringify(result)}）`);
+}
+
+const SHOT = { angle: 0.5, power: 0.8, spin: { x: 0.1, y: -0.2 } };
+
+function testValidPayloads() {
+    console.log('📝 测试合法参数');
+    accepts('joinGame', { playerId: 'Alice', roomId: 'lobby' }, 'joinGame 带玩家和房间ID');
+    accepts('shotStart', { shotData: SHOT, ballsState: { 0: { x: 0, y: 0 }, 15: { x: 1.3, y: 0.7, pocketed: true } } }, 'shotStart 带击球参数和球台');
+    accepts('ping', 12345, 'ping 带时间戳');
+    accepts('ping', { timestamp: 12345 }, 'ping 带对象参数');
+    accepts('ping', undefined, 'ping 不带参数');
+    accepts('listRooms', undefined, '没有参数的事件可以不传参数');
+    accepts('listRooms', { playerId: 'Alice' }, '没有参数的事件可以只带 playerId');
+    accepts('ballsPocketed', { pocketedBalls: [{ ballNumber: 3, pocket: 'topLeft', time: 1.5 }] }, 'ballsPocketed 带落袋列表');
+    accepts('createRoom', { name: '练习桌', shotClock: { enabled: true, duration: 30, warnings: [10, 5] } }, 'createRoom 带计时设置');
+}
+
+function testRejections() {
+    console.log('\n📝 测试拒绝不合法的参数');
+    rejects('fakeEvent', {}, '未声明 schema 的事件');
+    rejects('joinGame', undefined, '必须传参数的事件不传参数', '');
+    rejects('joinGame', 'lobby', '对象参数传入字符串', '');
+    rejects('joinGame', ['lobby'], '对象参数传入数组', '');
+    rejects('joinGame', { roomId: 'lobby', admin: true }, '未声明的字段', 'admin');
+    rejects('joinGame', { roomId: 'x'.repeat(SCHEMA_LIMITS.MAX_ID_LENGTH + 1) }, '字符串超过长度上限', 'roomId');
+    rejects('shotStart', {}, '缺少必填字段', 'shotData');
+    rejects('shotStart', { shotData: { angle: 0.5 } }, '缺少嵌套的必填字段', 'shotData.power');
+    rejects('shotStart', { shotData: { ...SHOT, spin: { x: '0.1' } } }, '嵌套字段类型错误', 'shotData.spin.x');
+    rejects('shotStart', { shotData: { ...SHOT, power: Infinity } }, '数字不是有限值', 'shotData.power');
+    rejects('shotStart', { shotData: { ...SHOT, angle: SCHEMA_LIMITS.MAX_SHOT_ANGLE + 1 } }, '数字超出取值范围', 'shotData.angle');
+    rejects('ballsState', { state: { 16: { x: 0, y: 0 } } }, '球号超出范围', 'state.16');
+    rejects('ballsState', { state: { 0: { x: 5, y: 0 } } }, '球的位置超出台面', 'state.0.x');
+    rejects('ballsState', { state: { 0: { x: 0, y: 0, pocketed: 'yes' } } }, '布尔字段类型错误', 'state.0.pocketed');
+    rejects('loadMoreChat', { channel: 'table', limit: 2.5 }, '整数字段传入小数', 'limit');
+
+    const tooManyBalls = Array.from({ length: SCHEMA_LIMITS.MAX_BALL_NUMBER + 2 }, () => ({ ballNumber: 1 }));
+    rejects('ballsPocketed', { pocketedBalls: tooManyBalls }, '数组超过长度上限', 'pocketedBalls');
+    rejects('ballsPocketed', { pocketedBalls: [{ pocket: 'topLeft' }] }, '数组项缺少必填字段', 'pocketedBalls[0].ballNumber');
+    rejects('reactToMessage', { messageId: 'm1', emoji: '👍 👍' }, '表情包含空白字符', 'emoji');
+    rejects('reactToMessage', { messageId: 'm1', emoji: '' }, '表情为空', 'emoji');
+    rejects('ping', 'now', '不符合任何一种格式', '');
+    rejects('ping', -1, '时间戳为负数', '');
+}
+
+function testPrototypeNames() {
+    console.log('\n📝 测试和 Object.prototype 属性同名的事件和字段');
+    for (const event of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        rejects(event, { playerId: 'Alice' }, `事件 ${event}`);
+    }
+    rejects('joinGame', JSON.parse('{ "roomId": "lobby", "__proto__": { "admin": true } }'), '参数中的 __proto__ 字段', '__proto__');
+    rejects('ballsState', { state: { constructor: { x: 0, y: 0 } } }, '球台中和 Object.prototype 属性同名的键', 'state.constructor');
+}
+
+function testNormalize() {
+    console.log('\n📝 测试参数转换');
+    const createRoom = normalizeEventPayload('createRoom', undefined);
+    check(typeof createRoom === 'object' && Object.keys(createRoom).length === 0, '对象参数不传时转换为空对象');
+    check(Object.keys(normalizeEventPayload('spectate', null)).length === 0, '对象参数传入 null 时转换为空对象');
+    check(normalizeEventPayload('ping', undefined) === undefined, '不是对象参数的事件保留原值');
+
+    const data = { roomId: 'lobby' };
+    check(normalizeEventPayload('joinGame', data) === data, '传入的参数原样返回');
+    check(normalizeEventPayload('toString', undefined) === undefined, '未知事件保留原值');
+}
+
+function runTests() {
+    console.log('🧪 开始测试事件参数校验...\n');
+
+    testValidPayloads();
+    testRejections();
+    testPrototypeNames();
+    testNormalize();
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests();
+}
@@ -0,0 +1,179 @@
+// 测试9球和 14.1 连续进球规则、击球超时的处理，以及游戏模式注册表（用构造的模拟结果，不运行物理引擎）
+const { getGameMode, listGameModes, DEFAULT_GAME_MODE } = require('./game-modes');
+const { NineBallGame, getLowestBall, FOUL_REASONS: NINE_BALL_FOULS } = require('./game-modes/nine-ball');
+const { StraightPoolGame, FOUL_REASONS: STRAIGHT_POOL_FOULS } = require('./game-modes/straight-pool');
+const { isPositionFree } = require('./physics');
+
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 球台状态：1 到 maxBall 号球中列出的球已落袋，其余球都在台面上
+function tableWith(pocketedNumbers = [], maxBall = 9) {
+    const ballsState = {};
+    for (let number = 0; number <= maxBall; number++) {
+        ballsState[number] = { x: 0.1 * number, y: 0, pocketed: pocketedNumbers.includes(number) };
+    }
+    return ballsState;
+}
+
+// 构造物理引擎返回的击球结果
+function shot({ firstContact = null, pocketed = [], rails = [], scratch = false, finalState = {} } = {}) {
+    const pocketedBalls = scratch ? [...pocketed, 0] : pocketed;
+    return {
+        firstContact,
+        pocketed: pocketedBalls.map(ballNumber => ({ ballNumber, pocket: 'topRight', pocketType: 'corner' })),
+        railContacts: rails,
+        cueBallPocketed: scratch,
+        finalState
+    };
+}
+
+// 开球后轮到 Alice 继续击球的9球比赛
+function nineBallAfterBreak() {
+    const game = new NineBallGame(['Alice', 'Bob']);
+    game.evaluateShot(shot({ firstContact: 1, pocketed: [2] }), tableWith());
+    return game;
+}
+
+function testNineBall() {
+    console.log('📝 测试9球');
+    check(getLowestBall(tableWith([1, 2])) === 3, '台面上号码最小的球不计已落袋的球');
+    check(getLowestBall(tableWith([1, 2, 3, 4, 5, 6, 7, 8, 9])) === null, '台面上没有目标球时没有最小号球');
+
+    const rack = NineBallGame.createRack();
+    check(Object.keys(rack).length === 10, '9球摆球包括白球和1到9号球');
+
+    let game = new NineBallGame(['Alice', 'Bob']);
+    let outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [9] }), tableWith());
+    check(outcome.gameOver && outcome.gameOver.winner === 'Alice' && outcome.gameOver.reason === '开球打进9号球获胜', '开球打进9号球获胜');
+
+    game = new NineBallGame(['Alice', 'Bob']);
+    outcome = game.evaluateShot(shot({ firstContact: 3, pocketed: [5] }), tableWith());
+    check(outcome.fouls.includes(NINE_BALL_FOULS.WRONG_BALL_FIRST), '开球先碰的不是1号球判犯规');
+
+    game = new NineBallGame(['Alice', 'Bob']);
+    outcome = game.evaluateShot(shot({ firstContact: 1, rails: [2, 3] }), tableWith());
+    check(outcome.fouls.includes(NINE_BALL_FOULS.ILLEGAL_BREAK), '开球未进球且碰库球少于4颗判犯规');
+
+    game = nineBallAfterBreak();
+    outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [9] }), tableWith([2]));
+    check(outcome.gameOver && game.winner === 'Alice', '先碰最小号球后组合打进9号球获胜');
+
+    game = nineBallAfterBreak();
+    outcome = game.evaluateShot(shot({ firstContact: 4, pocketed: [9] }), tableWith([2]));
+    check(outcome.gameOver === null && outcome.respotBalls.includes(9), '犯规时打进的9号球放回置球点');
+    check(outcome.nextPlayer === 'Bob' && outcome.ballInHand && game.ballInHandArea === 'anywhere', '犯规后对手获得台面任意位置的自由球');
+
+    game = nineBallAfterBreak();
+    outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [6] }), tableWith([2]));
+    check(outcome.fouls.length === 0 && outcome.continueTurn && outcome.nextPlayer === 'Alice', '合法打进任意球继续击球');
+
+    game = nineBallAfterBreak();
+    outcome = game.evaluateShot(shot({ firstContact: 1, scratch: true }), tableWith([2]));
+    check(outcome.fouls.includes(NINE_BALL_FOULS.SCRATCH) && outcome.ballInHand, '白球落袋判犯规，对手获得自由球');
+}
+
+function testStraightPool() {
+    console.log('\n📝 测试 14.1 连续进球');
+    const fullTable = tableWith([], 15);
+
+    let game = new StraightPoolGame(['Alice', 'Bob']);
+    let outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [4, 7], finalState: tableWith([4, 7], 15) }));
+    check(outcome.scores.Alice === 2 && outcome.continueTurn, '开球合法打进的球每颗得1分并继续击球');
+
+    game = new StraightPoolGame(['Alice', 'Bob']);
+    outcome = game.evaluateShot(shot({ firstContact: 1, rails: [1], finalState: fullTable }));
+    check(outcome.fouls.includes(STRAIGHT_POOL_FOULS.ILLEGAL_BREAK) && outcome.scores.Alice === -2, '开球无效扣2分');
+
+    game = new StraightPoolGame(['Alice', 'Bob']);
+    game.evaluateShot(shot({ firstContact: 1, rails: [1, 2], finalState: fullTable }));
+    outcome = game.evaluateShot(shot({ firstContact: 3, pocketed: [3], finalState: tableWith([3], 15) }));
+    check(outcome.shooter === 'Bob' && outcome.scores.Bob === 1, '2颗球碰库的开球有效，对手接着击球');
+
+    outcome = game.evaluateShot(shot({ firstContact: 5 }));
+    check(outcome.fouls.includes(STRAIGHT_POOL_FOULS.NO_RAIL) && outcome.scores.Bob === 0, '一般犯规扣1分');
+    check(outcome.nextPlayer === 'Alice' && !outcome.ballInHand, '白球没有落袋的犯规不给自由球');
+
+    outcome = game.evaluateShot(shot({ firstContact: 6, pocketed: [6], scratch: true, finalState: fullTable }));
+    check(outcome.respotBalls.includes(6) && outcome.scores.Alice === -1, '犯规时打进的球放回置球点，不得分');
+    check(outcome.ballInHand && game.ballInHandArea === 'kitchen', '白球落袋后对手只能在开球线后摆放白球');
+
+    // Bob 连续三次犯规（中间 Alice 正常击球不影响 Bob 的连续犯规次数）
+    game = new StraightPoolGame(['Alice', 'Bob']);
+    game.evaluateShot(shot({ firstContact: 1, rails: [1, 2], finalState: fullTable }));
+    for (let i = 0; i < 3; i++) {
+        outcome = game.evaluateShot(shot({ firstContact: 2, finalState: fullTable }));
+        if (i < 2) {
+            game.evaluateShot(shot({ firstContact: 2, rails: [2], finalState: fullTable }));
+        }
+    }
+    check(outcome.shooter === 'Bob' && game.scores.Bob === -18, '连续第三次犯规额外扣15分');
+
+    game = new StraightPoolGame(['Alice', 'Bob'], { targetScore: 3 });
+    outcome = game.evaluateShot(shot({ firstContact: 1, pocketed: [1, 2, 3], finalState: tableWith([1, 2, 3], 15) }));
+    check(outcome.gameOver && game.winner === 'Alice', '率先达到目标分数获胜');
+
+    game = new StraightPoolGame(['Alice', 'Bob']);
+    game.isBreak = false;
+    const lastBall = tableWith([1, 2, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], 15);
+    outcome = game.evaluateShot(shot({ firstContact: 15, pocketed: [15], finalState: lastBall }));
+    check(outcome.reRack === true, '台面只剩一颗目标球时重新摆球');
+
+    game.adjustTable(lastBall, outcome);
+    const onTable = Object.keys(lastBall).filter(number => number !== '0' && !lastBall[number].pocketed);
+    check(onTable.length === 15, '重新摆球后15颗目标球都回到台面');
+    check(onTable.every(number => isPositionFree(lastBall, lastBall[number].x, lastBall[number].y, Number(number))), '重新摆球后球互不重叠');
+}
+
+function testTimeouts() {
+    console.log('\n📝 测试击球超时');
+    let game = new NineBallGame(['Alice', 'Bob']);
+    let outcome = game.timeoutShot('foul');
+    check(outcome.nextPlayer === 'Bob' && game.isBreak && game.ballInHandArea === 'kitchen', '开球超时由对手开球，白球仍摆在开球线后');
+
+    game = nineBallAfterBreak();
+    outcome = game.timeoutShot('foul');
+    check(outcome.fouls.includes(NINE_BALL_FOULS.SHOT_CLOCK) && outcome.ballInHand && game.stats.Alice.fouls === 1, '超时按犯规处理时对手获得自由球');
+
+    game = nineBallAfterBreak();
+    outcome = game.timeoutShot('passTurn');
+    check(outcome.fouls.length === 0 && outcome.nextPlayer === 'Bob' && !outcome.ballInHand, '超时只交换球权时没有自由球');
+
+    game = new StraightPoolGame(['Alice', 'Bob']);
+    game.isBreak = false;
+    outcome = game.timeoutShot('foul');
+    check(outcome.scores.Alice === -1 && !outcome.ballInHand, '14.1 中超时犯规扣1分，不给自由球');
+}
+
+function testRegistry() {
+    console.log('\n📝 测试游戏模式注册表');
+    check(getGameMode(DEFAULT_GAME_MODE).Game === null, '默认的自由练习没有规则引擎');
+    check(getGameMode('nineBall').Game === NineBallGame && getGameMode('straightPool').Game === StraightPoolGame, '按模式ID取得规则引擎');
+    check(getGameMode('snooker') === null && getGameMode('toString') === null, '未知模式返回 null');
+
+    const modes = listGameModes();
+    check(modes.filter(mode => mode.isMatch).length === 3 && modes.find(mode => mode.id === 'practice').isMatch === false, '模式列表标出哪些是比赛');
+}
+
+function runTests() {
+    console.log('🧪 开始测试游戏模式...\n');
+
+    testNineBall();
+    testStraightPool();
+    testTimeouts();
+    testRegistry();
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests();
+}
@@ -0,0 +1,157 @@
+// 测试服务端物理引擎：开球、进袋、白球落袋、结果可重现，以及白球和目标球的摆放
+const {
+    PhysicsEngine,
+    TABLE,
+    CUE_BALL,
+    createStandardRack,
+    cloneBallsState,
+    isPositionFree,
+    respotCueBall,
+    spotObjectBall
+} = require('./physics');
+
+const engine = new PhysicsEngine();
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 白球放在目标球和球袋连线的延长线上，返回瞄准球袋的击球参数
+function lineUpShot(objectBall, pocket, distance = 0.3) {
+    const angle = Math.atan2(pocket.y - objectBall.y, pocket.x - objectBall.x);
+    const cueBall = {
+        x: objectBall.x - Math.cos(angle) * distance,
+        y: objectBall.y - Math.sin(angle) * distance,
+        pocketed: false
+    };
+    return { cueBall, shotData: { angle, power: 0.4, spin: { x: 0, y: 0 } } };
+}
+
+function getPocket(id) {
+    return TABLE.pockets.find(pocket => pocket.id === id);
+}
+
+// 台上的球都在台面内，并且互不重叠
+function isLegalLayout(ballsState) {
+    const halfLength = TABLE.length / 2;
+    const halfWidth = TABLE.width / 2;
+    return Object.entries(ballsState).every(([number, ball]) => {
+        if (ball.pocketed) {
+            return true;
+        }
+        const onTable = Math.abs(ball.x) <= halfLength && Math.abs(ball.y) <= halfWidth;
+        // 碰撞在一个步长内分离，允许极小的重叠
+        const others = { ...ballsState, [number]: { ...ball, pocketed: true } };
+        const separated = Object.entries(others).every(([, other]) =>
+            other.pocketed || Math.hypot(other.x - ball.x, other.y - ball.y) >= 2 * TABLE.ballRadius - 1e-3);
+        return onTable && separated;
+    });
+}
+
+function testBreak() {
+    console.log('📝 测试开球');
+    const rack = createStandardRack();
+    const shotData = { angle: 0, power: 1, spin: { x: 0, y: 0 } };
+    const result = engine.simulateShot(rack, shotData);
+
+    check(result.firstContact === 1, '开球时白球首先碰到顶点的 1 号球');
+    const moved = Object.keys(rack).filter(number => {
+        const before = rack[number];
+        const after = result.finalState[number];
+        return after.pocketed || Math.hypot(after.x - before.x, after.y - before.y) > 0.01;
+    });
+    check(moved.length >= 10, `开球把球堆打散（${moved.length} 颗球移动）`);
+    check(isLegalLayout(result.finalState), '开球后所有球都在台面内且互不重叠');
+    check(result.duration > 0 && result.duration < 30, `模拟在时间上限内结束（${result.duration} 秒）`);
+    check(rack[1].pocketed === false && rack[1].x === TABLE.footSpot.x, '模拟不修改传入的球状态');
+
+    const again = engine.simulateShot(createStandardRack(), shotData);
+    check(JSON.stringify(again.finalState) === JSON.stringify(result.finalState), '相同的开球得到相同的结果');
+}
+
+function testPocketing() {
+    console.log('\n📝 测试进袋');
+    const pocket = getPocket('topRight');
+    const objectBall = { x: 1.0, y: -0.45, pocketed: false };
+    const { cueBall, shotData } = lineUpShot(objectBall, pocket);
+    const result = engine.simulateShot({ 0: cueBall, 1: objectBall }, shotData);
+
+    check(result.firstContact === 1, '白球首先碰到 1 号球');
+    const pocketed = result.pocketed.find(entry => entry.ballNumber === 1);
+    check(Boolean(pocketed && pocketed.pocket === 'topRight' && pocketed.pocketType === 'corner'), '1 号球落入右上角袋');
+    check(result.finalState[1].pocketed === true, '最终状态中 1 号球标记为进袋');
+    check(result.cueBallPocketed === false && result.finalState[CUE_BALL].pocketed === false, '白球留在台面上');
+
+    const side = getPocket('bottomSide');
+    const sideShot = lineUpShot({ x: 0, y: 0.4, pocketed: false }, side);
+    const sideResult = engine.simulateShot({ 0: sideShot.cueBall, 5: { x: 0, y: 0.4, pocketed: false } }, sideShot.shotData);
+    const sidePocketed = sideResult.pocketed.find(entry => entry.ballNumber === 5);
+    check(Boolean(sidePocketed && sidePocketed.pocketType === 'side'), '5 号球落入中袋');
+}
+
+function testScratchAndMiss() {
+    console.log('\n📝 测试白球落袋和空杆');
+    const pocket = getPocket('bottomLeft');
+    const start = { x: -1.0, y: 0.4, pocketed: false };
+    const angle = Math.atan2(pocket.y - start.y, pocket.x - start.x);
+    const scratch = engine.simulateShot(
+        { 0: start, 8: { x: 0.9, y: -0.3, pocketed: false } },
+        { angle, power: 0.4 }
+    );
+    check(scratch.cueBallPocketed === true, '白球直接打进角袋算作白球落袋');
+    check(scratch.firstContact === null, '没有碰到任何球时 firstContact 为 null');
+    check(scratch.finalState[8].pocketed === false, '没被碰到的 8 号球留在原位');
+
+    const alreadyPocketed = { 0: { x: 0, y: 0, pocketed: false }, 3: { x: 0, y: 0, pocketed: true } };
+    const result = engine.simulateShot(alreadyPocketed, { angle: 0, power: 0.1 });
+    check(result.finalState[3].pocketed === true && result.pocketed.length === 0, '已进袋的球不参与模拟');
+
+    let threw = false;
+    try {
+        engine.simulateShot({ 0: { x: 0, y: 0, pocketed: true } }, { angle: 0, power: 0.5 });
+    } catch (error) {
+        threw = true;
+    }
+    check(threw, '白球不在台面上时拒绝模拟');
+}
+
+function testSpotting() {
+    console.log('\n📝 测试摆放白球和目标球');
+    const ballsState = cloneBallsState({
+        0: { x: 0.5, y: 0.2, pocketed: true },
+        2: { x: TABLE.headSpot.x, y: TABLE.headSpot.y, pocketed: false },
+        4: { x: TABLE.footSpot.x, y: TABLE.footSpot.y, pocketed: false },
+        7: { x: 0, y: 0, pocketed: true }
+    });
+
+    respotCueBall(ballsState);
+    const cueBall = ballsState[CUE_BALL];
+    check(cueBall.pocketed === false && cueBall.x < TABLE.headSpot.x, '开球点被占用时白球向头库方向摆放');
+    check(isPositionFree(ballsState, cueBall.x, cueBall.y, CUE_BALL), '摆放后的白球不与其他球重叠');
+
+    spotObjectBall(ballsState, 7);
+    const spotted = ballsState[7];
+    check(spotted.pocketed === false && spotted.x > TABLE.footSpot.x, '置球点被占用时目标球向底库方向摆放');
+    check(isPositionFree(ballsState, spotted.x, spotted.y, 7), '摆放后的目标球不与其他球重叠');
+}
+
+function runTests() {
+    console.log('🧪 开始测试物理引擎...\n');
+
+    testBreak();
+    testPocketing();
+    testScratchAndMiss();
+    testSpotting();
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests();
+}
@@ -0,0 +1,115 @@
+// 测试事件频率限制：令牌桶的连发和恢复、未列出的事件共用 default 令牌桶、通知和断开恶意连接，以及配置合并
+const {
+    SocketRateLimiter,
+    TokenBucket,
+    RATE_LIMIT_BUDGETS,
+    mergeRateLimitBudgets
+} = require('./rate-limiter');
+
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 同一时刻连续检查 count 次，返回通过的次数
+function burst(limiter, event, count, now) {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if (limiter.check(event, now).allowed) {
+            allowed++;
+        }
+    }
+    return allowed;
+}
+
+function testTokenBucket() {
+    console.log('📝 测试令牌桶');
+    const now = 1000000;
+    const bucket = new TokenBucket({ burst: 3, perSecond: 2 }, now);
+
+    check([0, 1, 2].every(() => bucket.take(now) === 0), '可以连续取出 burst 个令牌');
+    check(bucket.take(now) === 500, '令牌用完后返回需要等待的毫秒数（每秒恢复2个，等待500毫秒）');
+    check(bucket.take(now + 250) === 250, '等待时间随已恢复的令牌减少');
+    check(bucket.take(now + 500) === 0, '恢复一个令牌后可以再取出');
+
+    bucket.take(now + 60000);
+    check(bucket.tokens === 2, '长时间空闲后令牌数不超过 burst');
+}
+
+function testSocketRateLimiter() {
+    console.log('\n📝 测试连接的频率限制');
+    const now = 2000000;
+    const { ping, chatMessage } = RATE_LIMIT_BUDGETS;
+    const defaultBurst = RATE_LIMIT_BUDGETS.default.burst;
+
+    let limiter = new SocketRateLimiter();
+    check(burst(limiter, 'ping', ping.burst + 3, now) === ping.burst, `ping 连续发送最多 ${ping.burst} 次`);
+    check(burst(limiter, 'chatMessage', chatMessage.burst, now) === chatMessage.burst, '不同事件使用各自的令牌桶');
+    check(limiter.check('ping', now + 1000 / ping.perSecond).allowed, '等待令牌恢复后 ping 可以再发送');
+
+    limiter = new SocketRateLimiter();
+    const names = Array.from({ length: defaultBurst + 5 }, (_, i) => `unknownEvent${i}`);
+    const allowed = names.filter(name => limiter.check(name, now).allowed).length;
+    check(allowed === defaultBurst, `不断换事件名称也共用 default 令牌桶（最多 ${defaultBurst} 次）`);
+    check(!limiter.check('constructor', now).allowed && !limiter.check('__proto__', now).allowed, '和 Object.prototype 属性同名的事件也使用 default 令牌桶');
+
+    limiter = new SocketRateLimiter();
+    burst(limiter, 'ping', ping.burst, now);
+    const first = limiter.check('ping', now);
+    const second = limiter.check('ping', now);
+    check(!first.allowed && first.notify && first.retryAfter > 0, '第一次被丢弃时通知客户端并给出等待时间');
+    check(!second.allowed && !second.notify, '恢复前再次被丢弃不重复通知');
+    check(limiter.check('ping', now + 1000).allowed, '令牌恢复后事件通过');
+    check(limiter.check('ping', now + 1000).notify, '恢复后再被丢弃时重新通知');
+
+    limiter = new SocketRateLimiter(RATE_LIMIT_BUDGETS, { OFFENDER_THRESHOLD: 5, OFFENDER_WINDOW: 1000 });
+    burst(limiter, 'ping', ping.burst, now);
+    const results = [1, 2, 3, 4, 5].map(() => limiter.check('ping', now));
+    check(!results[3].offender && results[4].offender, '时间窗口内被丢弃的事件达到阈值时标记为恶意连接');
+
+    limiter = new SocketRateLimiter(RATE_LIMIT_BUDGETS, { OFFENDER_THRESHOLD: 5, OFFENDER_WINDOW: 1000 });
+    burst(limiter, 'ping', ping.burst, now);
+    [1, 2, 3, 4].forEach(() => limiter.check('ping', now));
+    burst(limiter, 'ping', ping.burst, now + 5000);
+    check(!limiter.check('ping', now + 5000).offender, '超出时间窗口的丢弃不计入阈值');
+}
+
+function testMergeBudgets() {
+    console.log('\n📝 测试配置合并');
+    const originalPing = { ...RATE_LIMIT_BUDGETS.ping };
+    const { budgets, invalid } = mergeRateLimitBudgets({
+        ping: { burst: 20, perSecond: 10 },
+        customEvent: { burst: 2, perSecond: 1 },
+        chatMessage: { burst: 0, perSecond: 1 },
+        heartbeat: { burst: '5', perSecond: 1 },
+        resetTable: null
+    });
+
+    check(budgets.ping.burst === 20 && budgets.customEvent.perSecond === 1, '合并配置中格式正确的事件限制');
+    check(invalid.length === 3 && ['chatMessage', 'heartbeat', 'resetTable'].every(event => invalid.includes(event)), '报告格式不正确的项');
+    check(budgets.chatMessage === RATE_LIMIT_BUDGETS.chatMessage, '格式不正确的项保留默认限制');
+    check(RATE_LIMIT_BUDGETS.ping.burst === originalPing.burst && !('customEvent' in RATE_LIMIT_BUDGETS), '合并不修改默认配置');
+
+    const limiter = new SocketRateLimiter(budgets);
+    check(burst(limiter, 'customEvent', 5, 3000000) === 2, '合并后的配置用于新事件');
+}
+
+function runTests() {
+    console.log('🧪 开始测试事件频率限制...\n');
+
+    testTokenBucket();
+    testSocketRateLimiter();
+    testMergeBudgets();
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests();
+}
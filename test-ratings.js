@@ -0,0 +1,128 @@
+// 测试技术分和匹配队列：Elo 分数变化、定级期、分数保存，以及按分差和等待时间配对
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { RatingService, RATING_CONFIG } = require('./ratings');
+const { MatchmakingQueue, MATCHMAKING_CONFIG } = require('./matchmaking');
+
+let failed = 0;
+
+function check(ok, label) {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+        failed++;
+    }
+}
+
+// 直接写入分数记录，模拟已经打过若干场的玩家
+function setRecord(ratings, playerId, rating, games) {
+    ratings.ratings[playerId] = { rating, games, wins: 0, losses: 0 };
+}
+
+async function testRatings(dataDir) {
+    console.log('📝 测试 Elo 分数变化');
+    const filePath = path.join(dataDir, 'ratings.json');
+    const store = new JsonStore(filePath);
+    const ratings = new RatingService(store);
+
+    const summary = ratings.getSummary('Newcomer');
+    check(summary.rating === RATING_CONFIG.DEFAULT_RATING && summary.games === 0 && summary.provisional, '新玩家使用初始分数并处于定级期');
+    check(ratings.getRating('constructor') === RATING_CONFIG.DEFAULT_RATING, '和 Object.prototype 属性同名的玩家也使用初始分数');
+
+    let changes = ratings.recordResult('Alice', 'Bob');
+    check(changes.Alice.change === 24 && changes.Bob.change === -24, '定级期内同分对局按 K=48 各加减24分');
+    check(changes.Alice.before === 1200 && changes.Alice.after === 1224, '返回比赛前后的分数');
+
+    const alice = ratings.getSummary('Alice');
+    const bob = ratings.getSummary('Bob');
+    check(alice.games === 1 && alice.wins === 1 && bob.losses === 1, '记录场次和胜负');
+
+    setRecord(ratings, 'Veteran', 1200, RATING_CONFIG.PROVISIONAL_GAMES);
+    setRecord(ratings, 'Rival', 1200, RATING_CONFIG.PROVISIONAL_GAMES);
+    changes = ratings.recordResult('Veteran', 'Rival');
+    check(changes.Veteran.change === 16 && changes.Rival.change === -16, '定级期后同分对局按 K=32 各加减16分');
+    check(!ratings.getSummary('Veteran').provisional, '打满定级场次后不再处于定级期');
+
+    setRecord(ratings, 'Underdog', 1000, 20);
+    setRecord(ratings, 'Favorite', 1400, 20);
+    changes = ratings.recordResult('Underdog', 'Favorite');
+    check(changes.Underdog.change === 29 && changes.Favorite.change === -29, '低分玩家战胜高分玩家时分数变化大（400分差约±29）');
+
+    setRecord(ratings, 'Underdog', 1000, 20);
+    setRecord(ratings, 'Favorite', 1400, 20);
+    changes = ratings.recordResult('Favorite', 'Underdog');
+    check(changes.Favorite.change === 3 && changes.Underdog.change === -3, '高分玩家战胜低分玩家时分数变化小（400分差约±3）');
+
+    await store.save();
+    const reloaded = new JsonStore(filePath);
+    reloaded.load();
+    check(new RatingService(reloaded).getRating('Alice') === 1224, '分数写入存储文件，重新加载后保留');
+}
+
+function testMatchmaking() {
+    console.log('\n📝 测试匹配队列');
+    const { INITIAL_RATING_WINDOW, WINDOW_EXPANSION_RATE, WINDOW_EXPANSION_INTERVAL, MAX_RATING_WINDOW } = MATCHMAKING_CONFIG;
+    const now = Date.now();
+
+    let queue = new MatchmakingQueue();
+    queue.enqueue('Alice', { socketId: 'a', mode: 'eightBall', rating: 1200 });
+    queue.enqueue('Bob', { socketId: 'b', mode: 'nineBall', rating: 1200 });
+    check(queue.countByMode('eightBall') === 1 && queue.size === 2, '按模式统计排队人数');
+    check(queue.findMatches(now).length === 0, '不同模式的玩家不配对');
+
+    queue.enqueue('Carol', { socketId: 'c', mode: 'eightBall', rating: 1250 });
+    const matches = queue.findMatches(now);
+    check(matches.length === 1 && matches[0][0].playerId === 'Alice' && matches[0][1].playerId === 'Carol', '同一模式分差在范围内的玩家配对');
+    check(!queue.has('Alice') && !queue.has('Carol') && queue.has('Bob'), '配对成功的玩家移出队列');
+
+    queue = new MatchmakingQueue();
+    const diff = INITIAL_RATING_WINDOW + WINDOW_EXPANSION_RATE;
+    queue.restore({ playerId: 'Low', socketId: 'l', mode: 'eightBall', rating: 1200, joinedAt: now });
+    queue.restore({ playerId: 'High', socketId: 'h', mode: 'eightBall', rating: 1200 + diff, joinedAt: now });
+    check(queue.findMatches(now).length === 0, `刚排队时分差超过 ${INITIAL_RATING_WINDOW} 不配对`);
+    check(queue.findMatches(now + WINDOW_EXPANSION_INTERVAL).length === 1, `等待 ${WINDOW_EXPANSION_INTERVAL / 1000} 秒后可接受的分差扩大到 ${diff}`);
+
+    queue = new MatchmakingQueue();
+    queue.enqueue('Low', { socketId: 'l', mode: 'eightBall', rating: 1000 });
+    queue.enqueue('High', { socketId: 'h', mode: 'eightBall', rating: 1000 + MAX_RATING_WINDOW + 1 });
+    check(queue.findMatches(now + 3600000).length === 0, `等待再久分差也不超过 ${MAX_RATING_WINDOW}`);
+
+    queue = new MatchmakingQueue();
+    queue.restore({ playerId: 'Early', socketId: 'e', mode: 'eightBall', rating: 1200, joinedAt: now - 5000 });
+    queue.enqueue('Far', { socketId: 'f', mode: 'eightBall', rating: 1280 });
+    queue.enqueue('Near', { socketId: 'n', mode: 'eightBall', rating: 1210 });
+    const [first] = queue.findMatches(now);
+    check(first[0].playerId === 'Early' && first[1].playerId === 'Near', '先排队的玩家优先，选择分差最小的对手');
+    check(queue.has('Far'), '没有配对的玩家留在队列中');
+
+    queue = new MatchmakingQueue();
+    const entry = queue.enqueue('Returning', { socketId: 'r', mode: 'eightBall', rating: 1200 });
+    entry.joinedAt = now - 30000;
+    queue.remove('Returning');
+    queue.restore(entry);
+    check(queue.get('Returning').joinedAt === now - 30000, '放回队列的玩家保留原排队时间');
+}
+
+async function runTests() {
+    console.log('🧪 开始测试技术分和匹配...\n');
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incredipool-ratings-'));
+    try {
+        await testRatings(dataDir);
+        testMatchmaking();
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(failed > 0 ? `\n❌ ${failed} 项测试失败` : '\n✅ 测试完成！');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// 运行测试
+if (require.main === module) {
+    runTests().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
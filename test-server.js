@@ -6,6 +6,7 @@ class TestClient {
         this.playerId = playerId;
         this.serverUrl = serverUrl;
         this.socket = null;
+        this.resumeToken = null;
     }
 
     connect() {
@@ -20,14 +21,28 @@ class TestClient {
 
         this.socket.on('joinGameResponse', (response) => {
             if (response.success) {
+                this.resumeToken = response.resumeToken;
                 console.log(`✅ ${this.playerId} 加入成功: ${response.message}`);
             } else {
                 console.log(`❌ ${this.playerId} 加入失败: ${response.message}`);
             }
         });
 
+        this.socket.on('resumeSessionResponse', (response) => {
+            if (response.success) {
+                this.resumeToken = response.resumeToken;
+                console.log(`✅ ${this.playerId} 恢复会话成功: ${response.message}，持杆玩家: ${response.snapshot.currentPlayer}`);
+            } else {
+                console.log(`❌ ${this.playerId} 恢复会话失败: ${response.message}`);
+            }
+        });
+
         this.socket.on('playerList', (players) => {
-            console.log(`📋 当前玩家列表: ${players.map(p => `${p.id}(${p.isOnline ? '在线' : '离线'})`).join(', ')}`);
+            console.log(`📋 当前玩家列表: ${players.map(p => `${p.id}(${p.isOnline ? '在线' : '离线'}${p.isHoldingCue ? '，持杆' : ''}${p.queuePosition ? `，排队第${p.queuePosition}位` : ''})`).join(', ')}`);
+        });
+
+        this.socket.on('requestCueResponse', (response) => {
+            console.log(`🙋 ${this.playerId} 请求球杆: ${response.message}`);
         });
 
         this.socket.on('error', (error) => {
@@ -53,12 +68,30 @@ class TestClient {
         }
     }
 
+    resumeSession(resumeToken) {
+        if (this.socket) {
+            this.socket.emit('resumeSession', { resumeToken });
+        }
+    }
+
     takeCue() {
         if (this.socket) {
             this.socket.emit('takeCue', { playerId: this.playerId });
         }
     }
 
+    requestCue() {
+        if (this.socket) {
+            this.socket.emit('requestCue');
+        }
+    }
+
+    releaseCue() {
+        if (this.socket) {
+            this.socket.emit('releaseCue', { playerId: this.playerId });
+        }
+    }
+
     sendHeartbeat() {
         if (this.socket) {
             this.socket.emit('heartbeat', { playerId: this.playerId });
@@ -118,29 +151,38 @@ async function runTests() {
     await sleep(2000);
 
     // 测试5: 拿球杆
-    console.log('\n📝 测试5: Player1拿球杆');
-    client1.takeCue();
+    console.log('\n📝 测试5: Player1请求球杆（球杆空闲，直接拿起）');
+    client1.requestCue();
     await sleep(2000);
 
-    // 测试6: 第二个玩家尝试拿球杆（应该失败）
-    console.log('\n📝 测试6: Player2尝试拿球杆（应该失败）');
-    client3.takeCue();
+    // 测试6: 第二个玩家请求球杆（进入等待队列）
+    console.log('\n📝 测试6: Player2请求球杆（应该进入等待队列）');
+    client3.requestCue();
     await sleep(2000);
 
-    // 测试7: 模拟断开连接
-    console.log('\n📝 测试7: Player1突然断开连接（模拟关闭页面）');
+    // 测试7: 有人排队时持杆玩家断线，球杆交给下一位
+    console.log('\n📝 测试7: Player1断线（球杆应交给排队的Player2），然后使用重连凭证恢复会话');
+    const resumeToken = client1.resumeToken;
     client1.disconnect();
-    await sleep(3000);
+    await sleep(2000);
+    const client4 = new TestClient('Player1');
+    client4.connect();
+    await sleep(1000);
+    client4.resumeSession(resumeToken);
+    await sleep(2000);
 
-    // 测试8: Player2现在应该可以拿球杆了
-    console.log('\n📝 测试8: Player2现在应该可以拿球杆了');
-    client3.takeCue();
+    // 测试8: Player1排队，Player2放下球杆后自动交给Player1
+    console.log('\n📝 测试8: Player1排队，Player2放下球杆后球杆应自动交给Player1');
+    client4.requestCue();
+    await sleep(1000);
+    client3.releaseCue();
     await sleep(2000);
 
     // 清理
     console.log('\n🧹 清理测试连接...');
     client2.disconnect();
     client3.disconnect();
+    client4.disconnect();
     
     console.log('\n✅ 测试完成！');
     process.exit(0);